@@ -0,0 +1,229 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global require exports module process console */
+
+/*
+  A reference server for the /packs protocol spoken by hub.HTTPTransport:
+
+   - GET  /packs/keys/       returns a JSON array of commit keys, in the
+                             order their packs were pushed
+   - GET  /packs/heads/      returns a JSON array of the commit keys no
+                             other commit descends from
+   - POST /packs/commits/    given a JSON array of commit keys, returns a
+                             JSON hash of { key, created_on, ancestors } (or
+                             null) by key
+   - GET  /packs/?pk=<key>   returns the JSON pack for a commit, or 404
+   - POST /packs/?pk=<key>   stores the JSON pack for a commit
+
+  Every pushed pack goes through hub.Pack.decode(), so packs that are
+  malformed, in a format we can't read, or whose keys don't match their
+  contents are refused with a 400 and the pack error as JSON.  Pushing a
+  commit the server already has is accepted and ignored.
+
+  The server does not look at the data a pack refers to; that is left to the
+  hubs that pull it (see hub.Pack#verifyWith()).
+
+  Run it from the top of the tree, after building hub.js:
+
+    node lib/pack_server.js [port] [directory]
+
+  Packs are kept in memory, and also written to `directory` (one <key>.json
+  file each) if one is given, so the server can be restarted without losing
+  them.  Each pack is written to a temporary file that is then renamed into
+  place, and its key appended to the `keys` file there, which keeps the
+  order the packs were pushed in.
+*/
+
+var http = require("http"),
+    url = require("url"),
+    fs = require("fs"),
+    path = require("path"),
+    hub = require("../hub");
+
+var DEFAULT_PORT = 8000,
+    MAX_PACK_SIZE = 16 * 1024 * 1024,
+    KEYS_FILE = "keys",
+    PACK_FILE = /^([0-9a-f]{64})\.json$/;
+
+function PackServer(directory) {
+  this.directory = directory || null;
+  this.keys = [];
+  this.packs = {};
+  this.commits = {};
+  if (this.directory) this.load();
+}
+
+// Reads back the packs a previous run wrote to the directory, in the order
+// of the keys file.  Packs missing from it (the server stopped before it
+// could list them) go last, and are listed now.
+PackServer.prototype.load = function() {
+  var self = this, dir = this.directory, keysPath = path.join(dir, KEYS_FILE),
+      listed = {}, keys = [];
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir);
+    return;
+  }
+  if (fs.existsSync(keysPath)) {
+    fs.readFileSync(keysPath, "utf8").split("\n").forEach(function(key) {
+      if (!key || listed[key] || !fs.existsSync(self.packPath(key))) return;
+      listed[key] = true;
+      keys.push(key);
+    });
+  }
+  fs.readdirSync(dir).sort().forEach(function(name) {
+    var match = PACK_FILE.exec(name);
+    if (!match || listed[match[1]]) return;
+    fs.appendFileSync(keysPath, match[1] + "\n");
+    keys.push(match[1]);
+  });
+  keys.forEach(function(key) {
+    self.add(key, fs.readFileSync(self.packPath(key), "utf8"));
+  });
+};
+
+PackServer.prototype.packPath = function(key) {
+  return path.join(this.directory, key + ".json");
+};
+
+// Writes the pack for `key` to the directory, and lists it in the keys file.
+PackServer.prototype.write = function(key, text) {
+  var file = this.packPath(key), temp = file + ".tmp";
+  fs.writeFileSync(temp, text);
+  fs.renameSync(temp, file);
+  fs.appendFileSync(path.join(this.directory, KEYS_FILE), key + "\n");
+};
+
+// Returns true, or the hub.Error the pack was refused with.
+PackServer.prototype.store = function(key, text) {
+  if (this.packs[key]) return true;
+
+  var pack = hub.Pack.decode(text);
+  if (!hub.ok(pack)) return pack;
+  if (pack.version !== key) {
+    return hub.Pack.error(hub.Pack.MISSING_COMMIT, "Pack does not carry commit %@", key);
+  }
+
+  text = JSON.stringify(pack.encode());
+  if (this.directory) this.write(key, text);
+  this.add(key, text);
+  return true;
+};
+
+PackServer.prototype.add = function(key, text) {
+  this.keys.push(key);
+  this.packs[key] = text;
+  this.commits[key] = hub.Hub.commitInPack(JSON.parse(text), key);
+};
+
+PackServer.prototype.heads = function() {
+  return hub.Hub.tips(this.commits);
+};
+
+// Looks up a JSON array of commit keys.
+PackServer.prototype.lookup = function(text) {
+  var commits = this.commits, keys, ret = {};
+  try {
+    keys = JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+  if (!Array.isArray(keys)) return null;
+  keys.forEach(function(key) {
+    ret[key] = commits.hasOwnProperty(key) ? commits[key] : null;
+  });
+  return ret;
+};
+
+PackServer.prototype.handle = function(req, res) {
+  var self = this,
+      parsed = url.parse(req.url, true),
+      key = parsed.query.pk;
+
+  var send = function(status, json) {
+    var body = typeof json === "string" ? json : JSON.stringify(json);
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(body)
+    });
+    res.end(body);
+  };
+
+  var refuse = function(status, message, code) {
+    send(status, { error: message, code: code || status });
+  };
+
+  var readBody = function(callback) {
+    var chunks = [], size = 0, tooLarge = false;
+    req.on("data", function(chunk) {
+      size += chunk.length;
+      if (size > MAX_PACK_SIZE) tooLarge = true;
+      else chunks.push(chunk);
+    });
+    req.on("end", function() {
+      if (tooLarge) refuse(413, "Request is too large");
+      else callback(Buffer.concat(chunks).toString("utf8"));
+    });
+  };
+
+  if (parsed.pathname === "/packs/keys/" || parsed.pathname === "/packs/keys") {
+    if (req.method !== "GET") return refuse(405, "Method not allowed");
+    return send(200, this.keys);
+  }
+
+  if (parsed.pathname === "/packs/heads/" || parsed.pathname === "/packs/heads") {
+    if (req.method !== "GET") return refuse(405, "Method not allowed");
+    return send(200, this.heads());
+  }
+
+  if (parsed.pathname === "/packs/commits/" || parsed.pathname === "/packs/commits") {
+    if (req.method !== "POST") return refuse(405, "Method not allowed");
+    return readBody(function(text) {
+      var ret = self.lookup(text);
+      if (ret) send(200, ret);
+      else refuse(400, "Expected a JSON array of commit keys");
+    });
+  }
+
+  if (parsed.pathname !== "/packs/" && parsed.pathname !== "/packs") {
+    return refuse(404, "Not found");
+  }
+  if (!key || !/^[0-9a-f]{64}$/.test(key)) return refuse(400, "Missing or malformed pk");
+
+  if (req.method === "GET") {
+    if (!this.packs[key]) return refuse(404, "No pack for " + key);
+    return send(200, this.packs[key]);
+  }
+  if (req.method !== "POST") return refuse(405, "Method not allowed");
+
+  readBody(function(text) {
+    var ret = self.store(key, text);
+    if (hub.ok(ret)) send(200, true);
+    else refuse(400, ret.get("message"), ret.code);
+  });
+};
+
+/*
+  Returns an http.Server for the /packs protocol, not yet listening.
+  `directory` is optional (see above).
+*/
+exports.createServer = function(directory) {
+  var packServer = new PackServer(directory),
+      server = http.createServer(function(req, res) {
+        packServer.handle(req, res);
+      });
+  server.packServer = packServer;
+  return server;
+};
+
+exports.PackServer = PackServer;
+
+if (require.main === module) {
+  var port = parseInt(process.argv[2], 10) || DEFAULT_PORT,
+      server = exports.createServer(process.argv[3]);
+  server.listen(port, "127.0.0.1", function() {
+    console.log("hub.js pack server listening on http://127.0.0.1:" + port + "/packs/");
+  });
+}
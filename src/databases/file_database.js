@@ -0,0 +1,431 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global hub require Buffer */
+
+/**
+  A hub.Database kept in a directory, for hubs running on node servers:
+
+  {{{
+    var aHub = hub.Hub.create({
+      uti: "com.example.app",
+      databaseType: hub.FileDatabase.extend({ root: "/var/lib/hubs" })
+    }) ;
+  }}}
+
+  Each database gets a directory under `root`, laid out much like a git
+  object store:
+
+   - objects/ holds the rows that were put, each in a file named after the
+     SHA256 of its contents (in a subdirectory named after the first two
+     characters), so equal rows are stored once;
+   - index is an append-only log with a line for each transaction that
+     changed anything: an array of ["put", table, hash, replace],
+     ["update", table, where, changes] and ["remove", table, where]
+     statements, in the order they ran.
+
+  The tables are kept in memory, as in hub.MemoryDatabase, and opening the
+  database replays the index to rebuild them.
+
+  Once the index holds `compactAfter` more statements than there are rows
+  (rows removed, replaced or updated since it was last rewritten, as after
+  hub.Hub#gc()), it is rewritten as a single transaction putting the rows
+  there are, and the objects it no longer refers to are deleted.  This is
+  done when a transaction commits, and when the database is opened.
+
+  Writes are crash-safe: objects are written to a temporary file and renamed
+  into place before the index refers to them, and a transaction is only
+  committed once its line of the index is on disk.  A line left half-written
+  by a crash is dropped the next time the database is opened.  Only one
+  process should open a directory at a time.
+
+  Writes are synchronous, so they are done when the transaction finishes.
+
+  @class
+  @extends hub.MemoryDatabase
+*/
+hub.FileDatabase = hub.MemoryDatabase.extend(
+/** @scope hub.FileDatabase.prototype */ {
+
+  /**
+    The directory databases are kept in, each in a directory of its own.
+
+    @property {String}
+  */
+  root: "hubs",
+
+  /**
+    The directory this database is kept in: its name, under `root`.
+
+    @property {String}
+  */
+  directory: null,
+
+  /**
+    How many more statements than rows the index may hold before it is
+    rewritten, and the objects no longer needed are deleted.
+
+    @property {Number}
+  */
+  compactAfter: 1000,
+
+  init: function() {
+    arguments.callee.base.apply(this, arguments) ;
+    if (!this.directory) this.directory = this.root + "/" + this.name ;
+  },
+
+  open: function(callback) {
+    var self = this ;
+    arguments.callee.base.call(this, function(ret) {
+      if (hub.ok(ret)) ret = self._hub_load() ;
+      if (hub.ok(ret)) self._hub_compactIfNeeded() ;
+      callback(ret) ;
+    });
+  },
+
+  /**
+    Deletes the database's directory and everything in it, and empties its
+    tables.  The database is opened again by the next transaction.
+
+    @returns {Boolean} true
+  */
+  erase: function() {
+    var fs = require('fs') ;
+    var remove = function(path) {
+      if (fs.statSync(path).isDirectory()) {
+        fs.readdirSync(path).forEach(function(name) { remove(path + "/" + name) ; }) ;
+        fs.rmdirSync(path) ;
+      } else fs.unlinkSync(path) ;
+    };
+    if (hub.FileDatabase._hub_exists(this.directory)) remove(this.directory) ;
+    this._hub_tables = null ;
+    this.isOpen = false ;
+    return true ;
+  },
+
+  /** @private
+    Makes the directory if need be, drops a half-written last line from the
+    index and replays the rest into the tables.  Returns true, or a
+    hub.Error.
+  */
+  _hub_load: function() {
+    var F = hub.FileDatabase, M = hub.MemoryDatabase, fs = require('fs'),
+        self = this, tables = this._hub_tables, directory = this.directory,
+        index = directory + "/index", text, parsed ;
+    this._hub_statements = 0 ;
+    try {
+      F._hub_makeDirectory(directory + "/objects") ;
+      if (!F._hub_exists(index)) return true ;
+      text = fs.readFileSync(index, 'utf8') ;
+    } catch (e) {
+      hub.debug(hub.fmt("Couldn't open %@: %@", directory, e)) ;
+      return F.NO_DIRECTORY_ERROR ;
+    }
+
+    parsed = F.parseIndex(text) ;
+    if (!parsed) return F.CORRUPT_INDEX_ERROR ;
+    try {
+      if (parsed.length < text.length) {
+        hub.debug(hub.fmt("Dropping a half-written transaction from %@", index)) ;
+        fs.truncateSync(index, Buffer.byteLength(text.slice(0, parsed.length), 'utf8')) ;
+      }
+      parsed.transactions.forEach(function(statements) {
+        self._hub_statements += statements.length ;
+        statements.forEach(function(s) {
+          switch (s[0]) {
+            case 'put':
+              M.put(tables[s[1]], JSON.parse(fs.readFileSync(F.objectPath(directory, s[2]), 'utf8')), !!s[3]) ;
+              break ;
+            case 'update':
+              M.update(tables[s[1]], s[2], s[3]) ;
+              break ;
+            case 'remove':
+              M.remove(tables[s[1]], s[2]) ;
+              break ;
+          }
+        });
+      });
+    } catch (e2) {
+      hub.debug(hub.fmt("Couldn't read %@: %@", directory, e2)) ;
+      return F.CORRUPT_INDEX_ERROR ;
+    }
+    return true ;
+  },
+
+  /** @private
+    Writes the statements `tx` logged that changed something: first the
+    objects, then the transaction's line of the index.
+  */
+  _hub_commit: function(tx) {
+    var F = hub.FileDatabase, fs = require('fs'), directory = this.directory,
+        directories = {}, line, fd, size ;
+    if (tx._hub_log.length === 0) return ;
+
+    line = JSON.stringify(tx._hub_log.map(function(s) {
+      if (s[0] !== 'put') return s ;
+      var hash = hub.SHA256(s[2]) ;
+      directories[F._hub_writeObject(directory, hash, s[2])] = true ;
+      return ['put', s[1], hash, s[3] ? 1 : 0] ;
+    })) + "\n" ;
+    hub.keys(directories).forEach(F._hub_syncDirectory) ;
+
+    fd = fs.openSync(directory + "/index", 'a') ;
+    try {
+      size = fs.fstatSync(fd).size ;
+      try {
+        fs.writeSync(fd, line) ;
+        fs.fsyncSync(fd) ;
+      } catch (e) {
+        // leave no half-written line behind for the next transaction
+        fs.ftruncateSync(fd, size) ;
+        throw e ;
+      }
+    } finally {
+      fs.closeSync(fd) ;
+    }
+    this._hub_statements += tx._hub_log.length ;
+    this._hub_compactIfNeeded() ;
+  },
+
+  /** @private
+    The number of statements in the index.
+  */
+  _hub_statements: 0,
+
+  /** @private
+    Rewrites the index if it holds `compactAfter` more statements than
+    there are rows.  The transactions are already on disk either way, so a
+    failure is only logged; the old index and objects are still there.
+  */
+  _hub_compactIfNeeded: function() {
+    var tables = this._hub_tables, rows = 0, name ;
+    for (name in tables) {
+      if (tables.hasOwnProperty(name)) rows += tables[name].rows.length ;
+    }
+    if (this._hub_statements - rows < this.compactAfter) return ;
+    try {
+      this._hub_compact() ;
+    } catch (e) {
+      hub.debug(hub.fmt("Couldn't compact %@: %@", this.directory, e)) ;
+    }
+  },
+
+  /** @private
+    Writes a new index that puts the rows there are, in order, moves it over
+    the old one, and then deletes the objects it doesn't refer to.
+  */
+  _hub_compact: function() {
+    var F = hub.FileDatabase, fs = require('fs'), directory = this.directory,
+        tables = this._hub_tables, statements = [], live = {},
+        directories = {}, temp, fd, name ;
+
+    for (name in tables) {
+      if (!tables.hasOwnProperty(name)) continue ;
+      tables[name].rows.forEach(function(row) {
+        var json = F.rowJSON(tables[name].schema, row), hash = hub.SHA256(json) ;
+        if (!live[hash]) directories[F._hub_writeObject(directory, hash, json)] = true ;
+        live[hash] = true ;
+        statements.push(['put', name, hash, 0]) ;
+      });
+    }
+    hub.keys(directories).forEach(F._hub_syncDirectory) ;
+
+    temp = hub.fmt("%@/index-%@", directory, hub.uuid()) ;
+    fd = fs.openSync(temp, 'w') ;
+    try {
+      if (statements.length > 0) fs.writeSync(fd, JSON.stringify(statements) + "\n") ;
+      fs.fsyncSync(fd) ;
+    } finally {
+      fs.closeSync(fd) ;
+    }
+    fs.renameSync(temp, directory + "/index") ;
+    F._hub_syncDirectory(directory) ;
+    this._hub_statements = statements.length ;
+
+    // the new index is on disk, so nothing refers to the other objects now
+    fs.readdirSync(directory + "/objects").forEach(function(prefix) {
+      var path = directory + "/objects/" + prefix ;
+      if (!fs.statSync(path).isDirectory()) {
+        fs.unlinkSync(path) ; // a temporary file left by a crash
+        return ;
+      }
+      fs.readdirSync(path).forEach(function(rest) {
+        if (!live[prefix + rest]) fs.unlinkSync(path + "/" + rest) ;
+      });
+    });
+  },
+
+  /** @private
+    Wraps the tables' transaction API, logging the statements that change
+    rows on the transaction (put rows are logged as the JSON of their
+    columns).
+  */
+  _hub_transaction: function(queue, undo) {
+    var tx = arguments.callee.base.apply(this, arguments),
+        tables = this._hub_tables, log = [] ;
+    return {
+      _hub_log: log,
+
+      put: function(table, row, replace) {
+        log.push(['put', table, hub.FileDatabase.rowJSON(tables[table].schema, row), replace]) ;
+        tx.put(table, row, replace) ;
+      },
+
+      select: function(table, where, callback) {
+        tx.select(table, where, callback) ;
+      },
+
+      update: function(table, where, changes) {
+        log.push(['update', table, hub.clone(where), hub.clone(changes)]) ;
+        tx.update(table, where, changes) ;
+      },
+
+      remove: function(table, where) {
+        log.push(['remove', table, hub.clone(where)]) ;
+        tx.remove(table, where) ;
+      }
+    };
+  }
+
+});
+
+hub.FileDatabase.mixin(
+/** @scope hub.FileDatabase */ {
+
+  /**
+    Returned when the database's directory can't be made or read.
+
+    @property {hub.Error}
+  */
+  NO_DIRECTORY_ERROR: hub.Error.desc("No Database Directory"),
+
+  /**
+    Returned when the index can't be replayed: a line other than the last is
+    not a transaction, or refers to a missing object.
+
+    @property {hub.Error}
+  */
+  CORRUPT_INDEX_ERROR: hub.Error.desc("Corrupt Database Index"),
+
+  /**
+    Returns the JSON of the columns of `row` in the table described by
+    `schema`, in the schema's order and as hub.Database.value() stores
+    them, so that equal rows have equal JSON.
+
+    @param {Hash} schema
+    @param {Hash} row
+    @returns {String}
+  */
+  rowJSON: function(schema, row) {
+    var ret = {}, column ;
+    for (column in schema.columns) {
+      if (schema.columns.hasOwnProperty(column)) ret[column] = hub.Database.value(row[column]) ;
+    }
+    return JSON.stringify(ret) ;
+  },
+
+  /**
+    Returns the path of the object `hash` in `directory`.
+
+    @param {String} directory
+    @param {String} hash
+    @returns {String}
+  */
+  objectPath: function(directory, hash) {
+    return hub.fmt("%@/objects/%@/%@", directory, hash.slice(0, 2), hash.slice(2)) ;
+  },
+
+  /**
+    Parses the text of an index into its transactions.  A last line that
+    isn't finished, or isn't a transaction, was cut short by a crash and is
+    left out; `length` is the length of the text that was used.  Returns
+    null if any other line isn't a transaction.
+
+    @param {String} text
+    @returns {Hash} { transactions, length }, or null
+  */
+  parseIndex: function(text) {
+    var lines = text.split("\n"), transactions = [], length = 0, i, tx ;
+    // whatever follows the last newline is unfinished
+    for (i = 0; i < lines.length - 1; i++) {
+      try {
+        tx = JSON.parse(lines[i]) ;
+      } catch (e) {
+        tx = null ;
+      }
+      if (hub.typeOf(tx) !== hub.T_ARRAY) {
+        if (i < lines.length - 2) return null ;
+        break ;
+      }
+      transactions.push(tx) ;
+      length += lines[i].length + 1 ;
+    }
+    return { transactions: transactions, length: length } ;
+  },
+
+  /** @private
+    Writes `contents` to the object `hash` unless it's there already,
+    through a temporary file so the object is never half-written.  Returns
+    the directory it went in.
+  */
+  _hub_writeObject: function(directory, hash, contents) {
+    var F = hub.FileDatabase, fs = require('fs'),
+        path = F.objectPath(directory, hash),
+        parent = path.slice(0, path.lastIndexOf("/")),
+        temp, fd ;
+    if (F._hub_exists(path)) return parent ;
+    F._hub_makeDirectory(parent) ;
+    temp = hub.fmt("%@/objects/tmp-%@", directory, hub.uuid()) ;
+    fd = fs.openSync(temp, 'w') ;
+    try {
+      fs.writeSync(fd, contents) ;
+      fs.fsyncSync(fd) ;
+    } finally {
+      fs.closeSync(fd) ;
+    }
+    fs.renameSync(temp, path) ;
+    return parent ;
+  },
+
+  /** @private
+    Flushes `directory` itself, so the files renamed into it stay there.
+    Not every platform can; where it can't, the rename has to do.
+  */
+  _hub_syncDirectory: function(directory) {
+    var fs = require('fs'), fd ;
+    try {
+      fd = fs.openSync(directory, 'r') ;
+    } catch (e) {
+      return ;
+    }
+    try {
+      fs.fsyncSync(fd) ;
+    } catch (e2) {
+      // nothing more to do
+    } finally {
+      fs.closeSync(fd) ;
+    }
+  },
+
+  /** @private Makes `directory` and its parents, as needed. */
+  _hub_makeDirectory: function(directory) {
+    var fs = require('fs'), path = "" ;
+    directory.split("/").forEach(function(part, idx) {
+      path = idx === 0 ? part : path + "/" + part ;
+      if (path && !hub.FileDatabase._hub_exists(path)) fs.mkdirSync(path, 493) ; // 0755
+    });
+  },
+
+  /** @private */
+  _hub_exists: function(path) {
+    try {
+      require('fs').statSync(path) ;
+      return true ;
+    } catch (e) {
+      return false ;
+    }
+  }
+
+});
@@ -0,0 +1,397 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global hub window */
+
+/**
+  A hub.Database kept in the browser's IndexedDB:
+
+  {{{
+    var aHub = hub.Hub.create({ uti: "com.example.app", databaseType: hub.IndexedDBDatabase }) ;
+  }}}
+
+  Each table is an object store holding its rows by an id of their own (as
+  SQL's rowid), so rows come back in the order they were added, and rows
+  whose key is null are kept, as SQL keeps them.  The store has a unique
+  index on the table's key, one for each of the table's unique indexes and
+  one on its commit_id and store_key columns (see
+  hub.IndexedDBDatabase.indexes()).  Values are stored as SQL would store
+  them in a column of the table's type, so that lookups find them whether
+  they're given as numbers or strings.
+
+  Statements run one after the other, each once the one before it is done,
+  so that each sees the work of the ones before it, as with SQL.
+
+  Under node, give it an IndexedDB to use as its `factory`; see
+  hub.IndexedDBShim.
+
+  @class
+  @extends hub.Database
+*/
+hub.IndexedDBDatabase = hub.Database.extend(
+/** @scope hub.IndexedDBDatabase.prototype */ {
+
+  /**
+    The IndexedDB to open the database with; window.indexedDB if null.
+
+    @property {Object}
+  */
+  factory: null,
+
+  /**
+    The underlying database, once open.
+
+    @property {Object}
+  */
+  db: null,
+
+  open: function(callback) {
+    var self = this, I = hub.IndexedDBDatabase,
+        factory = this.factory || (typeof window !== "undefined" ? window.indexedDB : null),
+        request = null ;
+    try {
+      if (factory) request = factory.open(this.name, I.VERSION) ;
+    } catch (e) {
+      hub.debug(hub.fmt("Couldn't open %@: %@", this.name, e)) ;
+    }
+    if (!request) {
+      callback(I.NO_DATABASE_ERROR) ;
+      return ;
+    }
+
+    request.onupgradeneeded = function(event) {
+      self._hub_createStores(request.result) ;
+    };
+    request.onsuccess = function() {
+      self.db = request.result ;
+      callback(true) ;
+    };
+    request.onerror = function() {
+      hub.debug(hub.fmt("Couldn't open %@: %@", self.name, request.error && request.error.name)) ;
+      callback(I.NO_DATABASE_ERROR) ;
+    };
+  },
+
+  run: function(func, onError, onSuccess) {
+    var self = this ;
+    // func is called back later, as it is by the other backends
+    setTimeout(function() {
+      self._hub_run(func, onError, onSuccess) ;
+    }, 0) ;
+  },
+
+  /** @private */
+  _hub_run: function(func, onError, onSuccess) {
+    var queue = [], failed = null, tx, idb ;
+    idb = this.db.transaction(hub.keys(this.tables), "readwrite") ;
+    idb.oncomplete = function() { onSuccess() ; } ;
+    idb.onabort = function() { onError(failed || idb.error) ; } ;
+
+    // aborts the transaction if `func` throws
+    var guard = function(func) {
+      return function() {
+        if (failed) return ;
+        try {
+          func.apply(this, arguments) ;
+        } catch (e) {
+          failed = e ;
+          idb.abort() ;
+        }
+      };
+    };
+
+    // runs the next statement, which calls back once it's done
+    var next = guard(function() {
+      var statement = queue.shift() ;
+      if (statement) statement(next) ;
+    });
+
+    tx = this._hub_wrap(idb, queue, guard) ;
+    guard(func)(tx) ;
+    next() ;
+  },
+
+  /** @private
+    Creates the object stores and indexes that aren't there.
+  */
+  _hub_createStores: function(db) {
+    var I = hub.IndexedDBDatabase, tables = this.tables, name, store, indexes, index ;
+    for (name in tables) {
+      if (!tables.hasOwnProperty(name) || db.objectStoreNames.contains(name)) continue ;
+      store = db.createObjectStore(name, { autoIncrement: true }) ;
+      indexes = I.indexes(tables[name]) ;
+      for (index in indexes) {
+        if (indexes.hasOwnProperty(index)) {
+          store.createIndex(index, I.keyPath(indexes[index].columns), { unique: indexes[index].unique }) ;
+        }
+      }
+    }
+  },
+
+  /** @private
+    Returns the hub.Database transaction API over the IndexedDB transaction
+    `idb`.  Statements are pushed onto `queue`; each is called with the
+    function to call once it's done.  Callbacks are wrapped with `guard`.
+  */
+  _hub_wrap: function(idb, queue, guard) {
+    var I = hub.IndexedDBDatabase, tables = this.tables ;
+
+    // calls `callback` once every request in `requests` succeeded
+    var all = function(requests, callback) {
+      var left = requests.length, results = [] ;
+      if (left === 0) {
+        callback(results) ;
+        return ;
+      }
+      requests.forEach(function(request, idx) {
+        request.onsuccess = guard(function() {
+          results[idx] = request.result ;
+          if (--left === 0) callback(results) ;
+        });
+      });
+    };
+
+    // the rows of `table` that match `where`, as { id, row }
+    var find = function(table, where, callback) {
+      var schema = tables[table], store = idb.objectStore(table), lookup = I.lookup(schema, where), requests = [] ;
+      if (!lookup) {
+        requests.push(store.getAllKeys(), store.getAll()) ;
+      } else {
+        lookup.keys.forEach(function(key) {
+          var index = store.index(lookup.index) ;
+          requests.push(index.getAllKeys(key), index.getAll(key)) ;
+        });
+      }
+      all(requests, function(results) {
+        var ret = [], seen = {}, i ;
+        for (i = 0; i < results.length; i += 2) {
+          results[i].forEach(function(id, idx) {
+            var row = results[i + 1][idx] ;
+            if (seen[id] || !hub.Database.matches(row, where)) return ;
+            seen[id] = true ;
+            ret.push({ id: id, row: row }) ;
+          });
+        }
+        callback(ret) ;
+      });
+    };
+
+    return {
+      put: function(table, row, replace) {
+        row = I.row(tables[table], row) ;
+        queue.push(function(done) {
+          var store = idb.objectStore(table), indexes = I.indexes(tables[table]),
+              requests = [], request, index, key ;
+          if (!replace) {
+            // INSERT OR IGNORE: only rows with the same key or unique
+            // columns are ignored; any other error aborts the transaction
+            request = store.add(row) ;
+            request.onsuccess = done ;
+            request.onerror = guard(function(event) {
+              if (!request.error || request.error.name !== "ConstraintError") return ;
+              event.preventDefault() ;
+              event.stopPropagation() ;
+              done() ;
+            });
+            return ;
+          }
+
+          // INSERT OR REPLACE: rows with the same key or unique columns go first
+          for (index in indexes) {
+            if (!indexes.hasOwnProperty(index) || !indexes[index].unique) continue ;
+            key = I.key(indexes[index].columns, row) ;
+            if (key !== null) requests.push(store.index(index).getAllKeys(key)) ;
+          }
+          all(requests, function(results) {
+            var deletes = [] ;
+            results.forEach(function(ids) {
+              ids.forEach(function(id) { deletes.push(store['delete'](id)) ; }) ;
+            });
+            all(deletes, function() {
+              all([store.add(row)], done) ;
+            });
+          });
+        });
+      },
+
+      select: function(table, where, callback) {
+        queue.push(function(done) {
+          find(table, where, function(found) {
+            guard(callback)(found.map(function(item) { return item.row ; })) ;
+            done() ;
+          });
+        });
+      },
+
+      update: function(table, where, changes) {
+        changes = I.row(tables[table], changes, true) ;
+        queue.push(function(done) {
+          var store = idb.objectStore(table) ;
+          find(table, where, function(found) {
+            all(found.map(function(item) {
+              return store.put(hub.mixin(item.row, changes), item.id) ;
+            }), done) ;
+          });
+        });
+      },
+
+      remove: function(table, where) {
+        queue.push(function(done) {
+          var store = idb.objectStore(table) ;
+          find(table, where, function(found) {
+            all(found.map(function(item) {
+              return store['delete'](item.id) ;
+            }), done) ;
+          });
+        });
+      }
+    };
+  }
+
+});
+
+hub.IndexedDBDatabase.mixin(
+/** @scope hub.IndexedDBDatabase */ {
+
+  /**
+    Returned when there's no IndexedDB, or it won't open the database.
+
+    @property {hub.Error}
+  */
+  NO_DATABASE_ERROR: hub.Error.desc("No IndexedDB Database"),
+
+  /**
+    The version of the object stores.  Bump it when the tables change, so
+    browsers upgrade the databases they have.
+
+    @property {Number}
+  */
+  VERSION: 1,
+
+  /**
+    The columns that get an index wherever a table has them.
+
+    @property {Array}
+  */
+  INDEXED_COLUMNS: ['commit_id', 'store_key'],
+
+  /**
+    Returns the indexes of the table described by `schema`, as { columns,
+    unique } by name: the unique index on its key, its other unique indexes,
+    and one on each of the INDEXED_COLUMNS it has (named after the column)
+    that isn't one of them.
+
+    @param {Hash} schema
+    @returns {Hash}
+  */
+  indexes: function(schema) {
+    var ret = {}, name ;
+    ret[schema.index] = { columns: schema.key, unique: true } ;
+    for (name in schema.unique) {
+      if (schema.unique.hasOwnProperty(name)) ret[name] = { columns: schema.unique[name], unique: true } ;
+    }
+    hub.IndexedDBDatabase.INDEXED_COLUMNS.forEach(function(column) {
+      if (!schema.columns.hasOwnProperty(column)) return ;
+      for (name in ret) {
+        if (ret[name].columns.length === 1 && ret[name].columns[0] === column) return ;
+      }
+      ret[column] = { columns: [column], unique: false } ;
+    });
+    return ret ;
+  },
+
+  /**
+    Returns the key path for `columns`: the column itself if there's just
+    one.
+
+    @param {Array} columns
+    @returns {String|Array}
+  */
+  keyPath: function(columns) {
+    return columns.length === 1 ? columns[0] : columns ;
+  },
+
+  /**
+    Returns the key of `row` on `columns`, as IndexedDB has it: the value of
+    the column if there's just one, or else an array of the values.  Returns
+    null if one of them is null, as such rows aren't in an index.
+
+    @param {Array} columns
+    @param {Hash} row
+    @returns {Object}
+  */
+  key: function(columns, row) {
+    var values = columns.map(function(column) { return row[column] ; }) ;
+    if (values.some(function(value) { return value === null || value === undefined ; })) return null ;
+    return values.length === 1 ? values[0] : values ;
+  },
+
+  /**
+    Returns `value` as SQL would store it in a column of `type`: INTEGER
+    columns turn strings of digits into numbers, and TEXT columns turn
+    numbers into strings.
+
+    @param {String} type
+    @param {Object} value
+    @returns {Object}
+  */
+  affinity: function(type, value) {
+    value = hub.Database.value(value) ;
+    if (type === "INTEGER" && typeof value === hub.T_STRING && /^-?\d+$/.test(value)) return parseInt(value, 10) ;
+    if (type === "TEXT" && typeof value === hub.T_NUMBER) return String(value) ;
+    return value ;
+  },
+
+  /**
+    Returns the columns of `row` in the table described by `schema`, as SQL
+    would store them (see affinity()).  Columns the row doesn't have are
+    null, unless `partial` is true.
+
+    @param {Hash} schema
+    @param {Hash} row
+    @param {Boolean} partial optional
+    @returns {Hash}
+  */
+  row: function(schema, row, partial) {
+    var ret = {}, column ;
+    for (column in schema.columns) {
+      if (!schema.columns.hasOwnProperty(column) || (partial && !row.hasOwnProperty(column))) continue ;
+      ret[column] = hub.IndexedDBDatabase.affinity(schema.columns[column], row[column]) ;
+    }
+    return ret ;
+  },
+
+  /**
+    Returns how to look up the rows of the table described by `schema` that
+    match `where`, as { index, keys }: the keys to get from the index.
+    Returns null if there's no column to look them up by, and every row has
+    to be looked at.
+
+    @param {Hash} schema
+    @param {Hash} where
+    @returns {Hash}
+  */
+  lookup: function(schema, where) {
+    var I = hub.IndexedDBDatabase, indexes = I.indexes(schema), columns, name ;
+
+    var keys = function(column) {
+      if (!where || !where.hasOwnProperty(column)) return null ;
+      var values = hub.typeOf(where[column]) === hub.T_ARRAY ? where[column] : [where[column]] ;
+      values = values.map(function(value) { return I.affinity(schema.columns[column], value) ; }) ;
+      // rows with a null column are in no index
+      return values.some(function(value) { return value === null ; }) ? null : values ;
+    };
+
+    var ret ;
+    for (name in indexes) {
+      if (!indexes.hasOwnProperty(name)) continue ;
+      columns = indexes[name].columns ;
+      ret = columns.length === 1 ? keys(columns[0]) : null ;
+      if (ret) return { index: name, keys: ret } ;
+    }
+    return null ;
+  }
+
+});
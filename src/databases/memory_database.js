@@ -0,0 +1,259 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global hub */
+
+/**
+  A hub.Database kept in memory, so hubs run wherever JavaScript does (under
+  node, in unit tests) without an SQL engine:
+
+  {{{
+    var aHub = hub.Hub.create({ uti: "com.example.app", databaseType: hub.MemoryDatabase }) ;
+  }}}
+
+  It keeps the same tables, unique keys and transaction semantics as
+  hub.SQLDatabase: statements run in order, those issued from callbacks
+  after the ones already queued, and a transaction that throws is rolled
+  back.  Transactions run asynchronously, as they do in a browser.
+
+  The data lives as long as the database object does.  Hubs share their
+  databases by name (see hub.Hub#database()), so hubs made in the same
+  process see each other's data, just like hubs in the same page.
+
+  @class
+  @extends hub.Database
+*/
+hub.MemoryDatabase = hub.Database.extend(
+/** @scope hub.MemoryDatabase.prototype */ {
+
+  open: function(callback) {
+    var tables = this.tables, name ;
+    this._hub_tables = {} ;
+    for (name in tables) {
+      if (tables.hasOwnProperty(name)) this._hub_tables[name] = hub.MemoryDatabase.table(tables[name]) ;
+    }
+    setTimeout(function() { callback(true) ; }, 0) ;
+  },
+
+  run: function(func, onError, onSuccess) {
+    var self = this ;
+    setTimeout(function() {
+      var queue = [], undo = [], tx = self._hub_transaction(queue, undo) ;
+      try {
+        func(tx) ;
+        while (queue.length) queue.shift()() ;
+        self._hub_commit(tx) ;
+      } catch (e) {
+        while (undo.length) undo.pop()() ;
+        onError(e) ;
+        return ;
+      }
+      onSuccess() ;
+    }, 0) ;
+  },
+
+  /** @private
+    Called with the transaction once all of its statements have run.  If it
+    throws, the transaction is rolled back; see hub.FileDatabase.
+  */
+  _hub_commit: function(tx) {},
+
+  /** @private
+    Returns the hub.Database transaction API over the tables, queueing each
+    statement in `queue` and the way to take back each change in `undo`.
+  */
+  _hub_transaction: function(queue, undo) {
+    var M = hub.MemoryDatabase, tables = this._hub_tables ;
+    return {
+      put: function(table, row, replace) {
+        queue.push(function() { M.put(tables[table], row, replace, undo) ; }) ;
+      },
+
+      select: function(table, where, callback) {
+        queue.push(function() { callback(M.select(tables[table], where)) ; }) ;
+      },
+
+      update: function(table, where, changes) {
+        queue.push(function() { M.update(tables[table], where, changes, undo) ; }) ;
+      },
+
+      remove: function(table, where) {
+        queue.push(function() { M.remove(tables[table], where, undo) ; }) ;
+      }
+    };
+  }
+
+});
+
+hub.MemoryDatabase.mixin(
+/** @scope hub.MemoryDatabase */ {
+
+  /**
+    Returns an empty table for the schema `schema` (one of the tables in
+    hub.Database.STORE_TABLES or HUB_TABLES): its rows, in the order they
+    were added, and a hash of rows by key for each unique index.
+
+    @param {Hash} schema
+    @returns {Hash}
+  */
+  table: function(schema) {
+    var indexes = [schema.key], name ;
+    for (name in schema.unique) {
+      if (schema.unique.hasOwnProperty(name)) indexes.push(schema.unique[name]) ;
+    }
+    return {
+      schema: schema,
+      rows: [],
+      indexes: indexes.map(function(columns) {
+        return { schema: { key: columns }, rows: {} } ;
+      })
+    };
+  },
+
+  /**
+    Adds `row` to `table`, as hub.Database's put() does.  The row is copied,
+    with only the table's columns, and values as SQL would store them.
+    Pushes the way to take the change back onto `undo`, if given.
+
+    @param {Hash} table see table()
+    @param {Hash} row
+    @param {Boolean} replace
+    @param {Array} undo optional
+  */
+  put: function(table, row, replace, undo) {
+    var M = hub.MemoryDatabase, columns = table.schema.columns,
+        ret = {}, conflicts = [], column ;
+    for (column in columns) {
+      if (columns.hasOwnProperty(column)) ret[column] = hub.Database.value(row[column]) ;
+    }
+    table.indexes.forEach(function(index) {
+      var key = M._hub_indexKey(index, ret), other = key ? index.rows[key] : null ;
+      if (other && conflicts.indexOf(other) < 0) conflicts.push(other) ;
+    });
+    if (conflicts.length > 0) {
+      if (!replace) return ;
+      conflicts.forEach(function(other) { M._hub_delete(table, other, undo) ; }) ;
+    }
+    M._hub_insert(table, ret, undo) ;
+  },
+
+  /**
+    Returns copies of the rows of `table` that match `where` (see
+    hub.Database.matches()), in the order they were added.
+
+    @param {Hash} table see table()
+    @param {Hash} where
+    @returns {Array}
+  */
+  select: function(table, where) {
+    return hub.MemoryDatabase._hub_find(table, where).map(function(row) {
+      return hub.mixin({}, row) ;
+    });
+  },
+
+  /**
+    Sets the columns in `changes` on the rows of `table` that match `where`.
+
+    @param {Hash} table see table()
+    @param {Hash} where
+    @param {Hash} changes
+    @param {Array} undo optional
+  */
+  update: function(table, where, changes, undo) {
+    var M = hub.MemoryDatabase ;
+    M._hub_find(table, where).forEach(function(row) {
+      var changed = hub.mixin({}, row), column ;
+      for (column in changes) {
+        if (changes.hasOwnProperty(column) && table.schema.columns.hasOwnProperty(column)) {
+          changed[column] = hub.Database.value(changes[column]) ;
+        }
+      }
+      M._hub_delete(table, row, undo) ;
+      M._hub_insert(table, changed, undo) ;
+    });
+  },
+
+  /**
+    Deletes the rows of `table` that match `where`.
+
+    @param {Hash} table see table()
+    @param {Hash} where
+    @param {Array} undo optional
+  */
+  remove: function(table, where, undo) {
+    var M = hub.MemoryDatabase ;
+    M._hub_find(table, where).forEach(function(row) {
+      M._hub_delete(table, row, undo) ;
+    });
+  },
+
+  /** @private
+    The key of `row` in `index`, or null if one of its columns is null (SQL
+    lets any number of rows share a null key).
+  */
+  _hub_indexKey: function(index, row) {
+    var columns = index.schema.key, i ;
+    for (i = 0; i < columns.length; i++) {
+      if (row[columns[i]] === null || row[columns[i]] === undefined) return null ;
+    }
+    return hub.Database.keyFor(index.schema, row) ;
+  },
+
+  /** @private
+    The rows of `table` that match `where`, looked up by key when `where`
+    names the table's key.
+  */
+  _hub_find: function(table, where) {
+    var M = hub.MemoryDatabase, key = table.schema.key, index = table.indexes[0],
+        values, ret ;
+    if (where && key.length === 1 && where.hasOwnProperty(key[0])) {
+      values = where[key[0]] ;
+      if (hub.typeOf(values) !== hub.T_ARRAY) values = [values] ;
+      ret = [] ;
+      values.forEach(function(value) {
+        var probe = {}, row ;
+        probe[key[0]] = value ;
+        row = index.rows[M._hub_indexKey(index, probe)] ;
+        if (row && ret.indexOf(row) < 0 && hub.Database.matches(row, where)) ret.push(row) ;
+      });
+      return ret ;
+    }
+    return table.rows.filter(function(row) {
+      return hub.Database.matches(row, where) ;
+    });
+  },
+
+  /** @private */
+  _hub_insert: function(table, row, undo) {
+    var M = hub.MemoryDatabase ;
+    table.rows.push(row) ;
+    table.indexes.forEach(function(index) {
+      var key = M._hub_indexKey(index, row) ;
+      if (key) index.rows[key] = row ;
+    });
+    if (undo) undo.push(function() { M._hub_delete(table, row) ; }) ;
+  },
+
+  /** @private */
+  _hub_delete: function(table, row, undo) {
+    var M = hub.MemoryDatabase, at = table.rows.indexOf(row) ;
+    if (at < 0) return ;
+    table.rows.splice(at, 1) ;
+    table.indexes.forEach(function(index) {
+      var key = M._hub_indexKey(index, row) ;
+      if (key && index.rows[key] === row) delete index.rows[key] ;
+    });
+    if (undo) {
+      undo.push(function() {
+        table.rows.splice(at, 0, row) ;
+        table.indexes.forEach(function(index) {
+          var key = M._hub_indexKey(index, row) ;
+          if (key) index.rows[key] = row ;
+        });
+      });
+    }
+  }
+
+});
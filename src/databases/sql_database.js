@@ -0,0 +1,265 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global hub hub_precondition Gears window */
+
+/**
+  A hub.Database kept in the browser's SQL database (Web SQL, or Gears).
+  Tables are created as needed when the database is opened, and tables made
+  by older versions of hub.js are brought up to date.
+
+  This is the backend hubs use unless told otherwise; see
+  hub.Hub#databaseType.
+
+  @class
+  @extends hub.Database
+*/
+hub.SQLDatabase = hub.Database.extend(
+/** @scope hub.SQLDatabase.prototype */ {
+
+  /**
+    The number of bytes to ask the browser for.
+
+    @property {Number}
+  */
+  size: 5000000,
+
+  /**
+    The underlying database, once open.
+
+    @property {Object}
+  */
+  db: null,
+
+  open: function(callback) {
+    var self = this, db = null ;
+    try {
+      if (window.openDatabaseSync) {
+        db = window.openDatabaseSync(this.name, "1.1", this.name, this.size) ;
+      } else if (window.openDatabase) {
+        db = window.openDatabase(this.name, "1.1", this.name, this.size) ;
+      } else if (window.google && window.google.gears) {
+        db = Gears.openDatabase(this.name, "1.1") ;
+      }
+    } catch (e) {
+      hub.debug(hub.fmt("Couldn't open %@: %@", this.name, e)) ;
+    }
+    if (!db) {
+      callback(hub.SQLDatabase.NO_DATABASE_ERROR) ;
+      return ;
+    }
+
+    db.transaction(function(tx) {
+      self._hub_createTables(tx) ;
+    },
+    function(error) {
+      callback(hub.SQLDatabase.NO_DATABASE_ERROR) ;
+    },
+    function() {
+      self.db = db ;
+      callback(true) ;
+    });
+  },
+
+  run: function(func, onError, onSuccess) {
+    var self = this, failed = null ;
+    this.db.transaction(function(tx) {
+      func(self._hub_wrap(tx, function(e) { failed = failed || e ; })) ;
+    }, function(error) {
+      onError(failed || error) ;
+    }, onSuccess) ;
+  },
+
+  /** @private
+    Creates the tables that aren't there, and adds whatever columns and
+    indexes older versions of them lack.  Statements that fail because the
+    change is already there are ignored.
+  */
+  _hub_createTables: function(tx) {
+    var S = hub.SQLDatabase, tables = this.tables, name, table, columns, index ;
+    var ignore = function() { return false ; };
+    for (name in tables) {
+      if (!tables.hasOwnProperty(name)) continue ;
+      table = tables[name] ;
+      columns = [] ;
+      hub.keys(table.columns).forEach(function(column) {
+        columns.push(S.quote(column) + " " + table.columns[column]) ;
+      });
+      tx.executeSql(hub.fmt("CREATE TABLE IF NOT EXISTS %@ (%@)", S.quote(name), columns.join(", ")), [], null, ignore) ;
+      (table.added || []).forEach(function(column) {
+        tx.executeSql(hub.fmt("ALTER TABLE %@ ADD COLUMN %@ %@", S.quote(name), S.quote(column), table.columns[column]), [], null, ignore) ;
+      });
+      tx.executeSql(S.indexSQL(name, table.index, table.key), [], null, ignore) ;
+      for (index in table.unique) {
+        if (table.unique.hasOwnProperty(index)) {
+          tx.executeSql(S.indexSQL(name, index, table.unique[index]), [], null, ignore) ;
+        }
+      }
+    }
+  },
+
+  /** @private
+    Returns the hub.Database transaction API over the SQL transaction `tx`.
+    A statement that fails is passed to `fail`, and rolls the transaction
+    back.
+  */
+  _hub_wrap: function(tx, fail) {
+    var S = hub.SQLDatabase, tables = this.tables, name = this.name, ret ;
+
+    var error = function(tx, e) {
+      hub.debug(hub.fmt("SQL error in %@: %@", name, e && e.message)) ;
+      fail(e) ;
+      return true ; // roll back
+    };
+
+    var rowsFrom = function(res) {
+      var ret = [], i, len = res.rows.length ;
+      for (i = 0; i < len; i++) ret.push(hub.clone(res.rows.item(i))) ;
+      return ret ;
+    };
+
+    ret = {
+      put: function(table, row, replace) {
+        var columns = hub.keys(row).filter(function(column) {
+          return tables[table].columns.hasOwnProperty(column) ;
+        });
+        tx.executeSql(hub.fmt("INSERT OR %@ INTO %@ (%@) VALUES (%@)",
+          replace ? "REPLACE" : "IGNORE", S.quote(table),
+          columns.map(S.quote).join(", "),
+          columns.map(function() { return "?" ; }).join(", ")),
+          columns.map(function(column) { return hub.Database.value(row[column]) ; }), null, error) ;
+      },
+
+      select: function(table, where, callback) {
+        var batches = S.batches(where), rows = [], left = batches.length ;
+        batches.forEach(function(batch) {
+          var clause = S.where(batch) ;
+          tx.executeSql(hub.fmt("SELECT * FROM %@%@", S.quote(table), clause.sql), clause.values,
+          function(tx, res) {
+            rows = rows.concat(rowsFrom(res)) ;
+            if (--left === 0) callback(rows) ;
+          }, error) ;
+        });
+        if (batches.length === 0) callback([]) ;
+      },
+
+      update: function(table, where, changes) {
+        var columns = hub.keys(changes) ;
+        S.batches(where).forEach(function(batch) {
+          var clause = S.where(batch) ;
+          tx.executeSql(hub.fmt("UPDATE %@ SET %@%@", S.quote(table),
+            columns.map(function(column) { return S.quote(column) + " = ?" ; }).join(", "), clause.sql),
+            columns.map(function(column) { return hub.Database.value(changes[column]) ; }).concat(clause.values), null, error) ;
+        });
+      },
+
+      remove: function(table, where) {
+        S.batches(where).forEach(function(batch) {
+          var clause = S.where(batch) ;
+          tx.executeSql(hub.fmt("DELETE FROM %@%@", S.quote(table), clause.sql), clause.values, null, error) ;
+        });
+      }
+    };
+    return ret ;
+  }
+
+});
+
+hub.SQLDatabase.mixin(
+/** @scope hub.SQLDatabase */ {
+
+  /**
+    Returned when the browser has no SQL database, or won't open one (a bad
+    version, or no quota left).
+
+    @property {hub.Error}
+  */
+  NO_DATABASE_ERROR: hub.Error.desc("No SQL Database"),
+
+  /**
+    The most values put in one IN (...) clause; SQLite allows 999 variables
+    per statement.
+
+    @property {Number}
+  */
+  BATCH_SIZE: 500,
+
+  /**
+    Quotes an identifier (some columns, like "commit", are SQL keywords).
+
+    @param {String} name
+    @returns {String}
+  */
+  quote: function(name) {
+    return '"' + name + '"' ;
+  },
+
+  /**
+    Returns the SQL creating the unique index `index` on `columns` of
+    `table`.
+
+    @param {String} table
+    @param {String} index
+    @param {Array} columns
+    @returns {String}
+  */
+  indexSQL: function(table, index, columns) {
+    var S = hub.SQLDatabase ;
+    return hub.fmt("CREATE UNIQUE INDEX IF NOT EXISTS %@ ON %@ (%@)", S.quote(index), S.quote(table), columns.map(S.quote).join(", ")) ;
+  },
+
+  /**
+    Returns the WHERE clause for `where` (see hub.Database.matches()) as
+    { sql, values }; the sql is empty when `where` matches every row.
+
+    @param {Hash} where
+    @returns {Hash}
+  */
+  where: function(where) {
+    var S = hub.SQLDatabase, terms = [], values = [], column, value ;
+    for (column in where) {
+      if (!where.hasOwnProperty(column)) continue ;
+      value = where[column] ;
+      if (hub.typeOf(value) === hub.T_ARRAY) {
+        if (value.length === 0) {
+          terms.push("0") ;
+        } else {
+          terms.push(S.quote(column) + " IN (" + value.map(function() { return "?" ; }).join(", ") + ")") ;
+          values = values.concat(value.map(hub.Database.value)) ;
+        }
+      } else if (value === null || value === undefined) {
+        terms.push(S.quote(column) + " IS NULL") ;
+      } else {
+        terms.push(S.quote(column) + " = ?") ;
+        values.push(hub.Database.value(value)) ;
+      }
+    }
+    return { sql: terms.length ? " WHERE " + terms.join(" AND ") : "", values: values } ;
+  },
+
+  /**
+    Splits `where` into hashes whose arrays hold at most BATCH_SIZE values,
+    so each makes a statement SQLite will take.  Only the first long array
+    is split.
+
+    @param {Hash} where
+    @returns {Array}
+  */
+  batches: function(where) {
+    var S = hub.SQLDatabase, column, ret = [], i, batch ;
+    for (column in where) {
+      if (where.hasOwnProperty(column) && hub.typeOf(where[column]) === hub.T_ARRAY && where[column].length > S.BATCH_SIZE) {
+        for (i = 0; i < where[column].length; i += S.BATCH_SIZE) {
+          batch = hub.clone(where) ;
+          batch[column] = where[column].slice(i, i + S.BATCH_SIZE) ;
+          ret.push(batch) ;
+        }
+        return ret ;
+      }
+    }
+    return [where] ;
+  }
+
+});
@@ -0,0 +1,455 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global hub */
+
+/**
+  An in-memory stand-in for `window.indexedDB`, so that hub.IndexedDBDatabase
+  can be used (and tested) under node:
+
+  {{{
+    var aHub = hub.Hub.create({
+      uti: "com.example.app",
+      databaseType: hub.IndexedDBDatabase.extend({ factory: hub.IndexedDBShim.create() })
+    }) ;
+  }}}
+
+  It does what hub.IndexedDBDatabase needs, the way browsers do it:
+
+   - open() and deleteDatabase(), with upgradeneeded;
+   - object stores with a key path (a column, or an array of columns) or
+     with keys of their own (autoIncrement, or given to add() and put()),
+     and indexes on them, unique or not;
+   - get(), getAll(), getAllKeys(), add(), put() and delete() on stores,
+     and get(), getAll() and getAllKeys() on indexes, with keys rather than
+     key ranges;
+   - transactions, which run their requests in order, one transaction at a
+     time, commit once they have no requests left, and roll back when they
+     are aborted, or a request fails and its error isn't prevented.
+
+  Keys are numbers, strings, or arrays of them.  Values are copied as JSON.
+  Databases last as long as the shim does.  Give the shim a `quota` to see
+  what happens when a browser runs out of space.
+
+  @class
+  @extends hub.Object
+*/
+hub.IndexedDBShim = hub.Object.extend(
+/** @scope hub.IndexedDBShim.prototype */ {
+
+  /**
+    The most records a database may hold, or null for no limit.  Adding a
+    record past it fails with a QuotaExceededError.
+
+    @property {Number}
+  */
+  quota: null,
+
+  init: function() {
+    arguments.callee.base.apply(this, arguments) ;
+    this._hub_databases = {} ;
+  },
+
+  /**
+    Opens the database `name`, creating it, or upgrading it if `version` is
+    newer than its own.  Returns the request.
+
+    @param {String} name
+    @param {Number} version optional
+    @returns {Hash} the request
+  */
+  open: function(name, version) {
+    var I = hub.IndexedDBShim, databases = this._hub_databases, quota = this.quota,
+        request = { result: null, error: null } ;
+    setTimeout(function() {
+      var db = databases[name] || { version: 0, stores: {}, transactions: [] },
+          oldVersion = db.version, connection ;
+      if (version === undefined) version = oldVersion || 1 ;
+      if (version < oldVersion) {
+        request.error = I._hub_error("VersionError") ;
+        I._hub_fire(request, 'onerror', { target: request }) ;
+        return ;
+      }
+      databases[name] = db ;
+      db.quota = quota ;
+      connection = request.result = I._hub_connection(name, db) ;
+      if (version > oldVersion) {
+        db.version = connection.version = version ;
+        connection._hub_upgrading = true ;
+        I._hub_fire(request, 'onupgradeneeded', { target: request, oldVersion: oldVersion, newVersion: version }) ;
+        connection._hub_upgrading = false ;
+      }
+      I._hub_fire(request, 'onsuccess', { target: request }) ;
+    }, 0) ;
+    return request ;
+  },
+
+  /**
+    Deletes the database `name`.  Returns the request.
+
+    @param {String} name
+    @returns {Hash} the request
+  */
+  deleteDatabase: function(name) {
+    var databases = this._hub_databases, request = { result: undefined, error: null } ;
+    setTimeout(function() {
+      delete databases[name] ;
+      hub.IndexedDBShim._hub_fire(request, 'onsuccess', { target: request }) ;
+    }, 0) ;
+    return request ;
+  }
+
+});
+
+hub.IndexedDBShim.mixin(
+/** @scope hub.IndexedDBShim */ {
+
+  /**
+    Compares two keys the way IndexedDB orders them: numbers, then strings,
+    then arrays (element by element).
+
+    @param {Object} a
+    @param {Object} b
+    @returns {Number} -1, 0 or 1
+  */
+  compareKeys: function(a, b) {
+    var I = hub.IndexedDBShim, ta = I._hub_rank(a), tb = I._hub_rank(b), i, ret ;
+    if (ta !== tb) return ta < tb ? -1 : 1 ;
+    if (ta === 3) {
+      for (i = 0; i < a.length && i < b.length; i++) {
+        ret = I.compareKeys(a[i], b[i]) ;
+        if (ret !== 0) return ret ;
+      }
+      return a.length === b.length ? 0 : (a.length < b.length ? -1 : 1) ;
+    }
+    return a === b ? 0 : (a < b ? -1 : 1) ;
+  },
+
+  /**
+    Returns true if `key` is a key the shim takes: a number, a string, or an
+    array of keys.
+
+    @param {Object} key
+    @returns {Boolean}
+  */
+  isKey: function(key) {
+    if (typeof key === hub.T_NUMBER) return !isNaN(key) ;
+    if (typeof key === hub.T_STRING) return true ;
+    if (hub.typeOf(key) === hub.T_ARRAY) return key.every(hub.IndexedDBShim.isKey) ;
+    return false ;
+  },
+
+  /**
+    Returns the key of `value` at `keyPath`: a property name, or an array of
+    them.
+
+    @param {Hash} value
+    @param {String|Array} keyPath
+    @returns {Object}
+  */
+  keyAt: function(value, keyPath) {
+    if (hub.typeOf(keyPath) === hub.T_ARRAY) {
+      return keyPath.map(function(path) { return value[path] ; }) ;
+    }
+    return value[keyPath] ;
+  },
+
+  /** @private */
+  _hub_rank: function(key) {
+    if (typeof key === hub.T_NUMBER) return 1 ;
+    if (typeof key === hub.T_STRING) return 2 ;
+    return 3 ;
+  },
+
+  /** @private */
+  _hub_error: function(name, message) {
+    return { name: name, message: message || name } ;
+  },
+
+  /** @private
+    Calls the handler `name` of `target`, if it has one.
+  */
+  _hub_fire: function(target, name, event) {
+    if (target[name]) target[name](event) ;
+  },
+
+  /** @private */
+  _hub_copy: function(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value)) ;
+  },
+
+  /** @private
+    Returns a connection to `db`, the database `name`.
+  */
+  _hub_connection: function(name, db) {
+    var I = hub.IndexedDBShim, ret ;
+
+    var listStores = function() {
+      var names = hub.keys(db.stores).sort() ;
+      names.contains = function(storeName) { return names.indexOf(storeName) >= 0 ; } ;
+      ret.objectStoreNames = names ;
+    };
+
+    ret = {
+      name: name,
+      version: db.version,
+      objectStoreNames: null,
+      _hub_upgrading: false,
+
+      createObjectStore: function(storeName, options) {
+        if (!ret._hub_upgrading) throw I._hub_error("InvalidStateError") ;
+        if (db.stores[storeName]) throw I._hub_error("ConstraintError") ;
+        var store = db.stores[storeName] = {
+          keyPath: (options && options.keyPath) || null,
+          autoIncrement: !!(options && options.autoIncrement),
+          current: 0,
+          indexes: {},
+          records: {}
+        };
+        listStores() ;
+        return {
+          name: storeName,
+          createIndex: function(indexName, keyPath, options) {
+            store.indexes[indexName] = { keyPath: keyPath, unique: !!(options && options.unique) } ;
+          }
+        };
+      },
+
+      deleteObjectStore: function(storeName) {
+        if (!ret._hub_upgrading) throw I._hub_error("InvalidStateError") ;
+        delete db.stores[storeName] ;
+        listStores() ;
+      },
+
+      transaction: function(storeNames, mode) {
+        if (hub.typeOf(storeNames) !== hub.T_ARRAY) storeNames = [storeNames] ;
+        storeNames.forEach(function(storeName) {
+          if (!db.stores[storeName]) throw I._hub_error("NotFoundError", storeName) ;
+        });
+        var tx = I._hub_transaction(db, storeNames, mode || "readonly") ;
+        db.transactions.push(tx) ;
+        if (db.transactions.length === 1) setTimeout(function() { tx._hub_run() ; }, 0) ;
+        return tx ;
+      },
+
+      close: function() {}
+    };
+    listStores() ;
+    return ret ;
+  },
+
+  /** @private
+    Returns a transaction on the stores named `storeNames` of `db`.  It runs
+    once the transactions before it are done.
+  */
+  _hub_transaction: function(db, storeNames, mode) {
+    var I = hub.IndexedDBShim, queue = [], isDone = false, backup, tx ;
+
+    var finish = function(handler, event) {
+      isDone = true ;
+      setTimeout(function() {
+        I._hub_fire(tx, handler, event) ;
+        db.transactions.shift() ;
+        if (db.transactions.length > 0) db.transactions[0]._hub_run() ;
+      }, 0) ;
+    };
+
+    var abort = function(error) {
+      if (isDone) return ;
+      storeNames.forEach(function(storeName) { hub.mixin(db.stores[storeName], backup[storeName]) ; }) ;
+      tx.error = error || I._hub_error("AbortError") ;
+      finish('onabort', { target: tx }) ;
+    };
+
+    // queues a request running `func`, which returns its result or throws
+    var request = function(func) {
+      if (isDone) throw I._hub_error("TransactionInactiveError") ;
+      var ret = { result: undefined, error: null, transaction: tx, _hub_func: func } ;
+      queue.push(ret) ;
+      return ret ;
+    };
+
+    tx = {
+      mode: mode,
+      error: null,
+
+      objectStore: function(storeName) {
+        if (storeNames.indexOf(storeName) < 0) throw I._hub_error("NotFoundError", storeName) ;
+        return I._hub_objectStore(db, db.stores[storeName], request, mode) ;
+      },
+
+      abort: function() {
+        if (isDone) throw I._hub_error("InvalidStateError") ;
+        abort() ;
+      },
+
+      _hub_run: function() {
+        var req, event, prevented ;
+        backup = {} ;
+        storeNames.forEach(function(storeName) {
+          var store = db.stores[storeName] ;
+          backup[storeName] = { records: hub.mixin({}, store.records), current: store.current } ;
+        });
+        while (!isDone && queue.length > 0) {
+          req = queue.shift() ;
+          try {
+            req.result = req._hub_func() ;
+          } catch (e) {
+            req.error = e ;
+          }
+          prevented = false ;
+          event = {
+            target: req,
+            preventDefault: function() { prevented = true ; },
+            stopPropagation: function() {}
+          };
+          try {
+            I._hub_fire(req, req.error ? 'onerror' : 'onsuccess', event) ;
+          } catch (e2) {
+            abort(e2) ;
+            return ;
+          }
+          if (req.error && !prevented) {
+            abort(req.error) ;
+            return ;
+          }
+        }
+        if (!isDone) finish('oncomplete', { target: tx }) ;
+      }
+    };
+    return tx ;
+  },
+
+  /** @private
+    Returns the object store `store` of `db`, whose requests are made with
+    `request`.
+  */
+  _hub_objectStore: function(db, store, request, mode) {
+    var I = hub.IndexedDBShim ;
+
+    var write = function(value, key, mayReplace) {
+      if (mode === "readonly") throw I._hub_error("ReadOnlyError") ;
+      var name, index, indexKey ;
+      if (store.keyPath) {
+        if (key !== undefined) throw I._hub_error("DataError") ;
+        key = I.keyAt(value, store.keyPath) ;
+      }
+      if (key === undefined ? !store.autoIncrement : !I.isKey(key)) throw I._hub_error("DataError") ;
+      value = I._hub_copy(value) ;
+      return request(function() {
+        var keyString ;
+        if (key === undefined) key = ++store.current ;
+        else if (store.autoIncrement && typeof key === hub.T_NUMBER && key > store.current) store.current = Math.floor(key) ;
+        keyString = JSON.stringify(key) ;
+        if (!mayReplace && store.records[keyString]) throw I._hub_error("ConstraintError") ;
+        for (name in store.indexes) {
+          if (!store.indexes.hasOwnProperty(name)) continue ;
+          index = store.indexes[name] ;
+          indexKey = I.keyAt(value, index.keyPath) ;
+          if (index.unique && I.isKey(indexKey) && I._hub_entries(store, index, indexKey).some(function(entry) {
+            return I.compareKeys(entry.key, key) !== 0 ;
+          })) throw I._hub_error("ConstraintError", name) ;
+        }
+        if (!store.records[keyString] && db.quota !== null && I._hub_count(db) >= db.quota) {
+          throw I._hub_error("QuotaExceededError") ;
+        }
+        store.records[keyString] = { key: key, value: value } ;
+        return key ;
+      });
+    };
+
+    return {
+      keyPath: store.keyPath,
+
+      get: function(key) {
+        return request(function() {
+          var record = store.records[JSON.stringify(key)] ;
+          return record ? I._hub_copy(record.value) : undefined ;
+        });
+      },
+
+      getAll: function(key) {
+        return request(function() {
+          return I._hub_entries(store, null, key).map(function(entry) { return I._hub_copy(entry.value) ; }) ;
+        });
+      },
+
+      getAllKeys: function(key) {
+        return request(function() {
+          return I._hub_entries(store, null, key).map(function(entry) { return entry.key ; }) ;
+        });
+      },
+
+      add: function(value, key) { return write(value, key, false) ; },
+
+      put: function(value, key) { return write(value, key, true) ; },
+
+      'delete': function(key) {
+        if (mode === "readonly") throw I._hub_error("ReadOnlyError") ;
+        return request(function() {
+          delete store.records[JSON.stringify(key)] ;
+        });
+      },
+
+      index: function(name) {
+        var index = store.indexes[name] ;
+        if (!index) throw I._hub_error("NotFoundError", name) ;
+        return {
+          keyPath: index.keyPath,
+          unique: index.unique,
+
+          get: function(key) {
+            return request(function() {
+              var entries = I._hub_entries(store, index, key) ;
+              return entries.length > 0 ? I._hub_copy(entries[0].value) : undefined ;
+            });
+          },
+
+          getAll: function(key) {
+            return request(function() {
+              return I._hub_entries(store, index, key).map(function(entry) { return I._hub_copy(entry.value) ; }) ;
+            });
+          },
+
+          getAllKeys: function(key) {
+            return request(function() {
+              return I._hub_entries(store, index, key).map(function(entry) { return entry.key ; }) ;
+            });
+          }
+        };
+      }
+    };
+  },
+
+  /** @private The number of records in the stores of `db`. */
+  _hub_count: function(db) {
+    var ret = 0, name ;
+    for (name in db.stores) {
+      if (db.stores.hasOwnProperty(name)) ret += hub.keys(db.stores[name].records).length ;
+    }
+    return ret ;
+  },
+
+  /** @private
+    The records of `store` in order of their key in `index` (or their own
+    key, without an index), then their own key; only those whose key is
+    `key`, if given.  Records that have no key in the index are left out.
+  */
+  _hub_entries: function(store, index, key) {
+    var I = hub.IndexedDBShim, ret = [], keyString, record, indexKey ;
+    for (keyString in store.records) {
+      if (!store.records.hasOwnProperty(keyString)) continue ;
+      record = store.records[keyString] ;
+      indexKey = index ? I.keyAt(record.value, index.keyPath) : record.key ;
+      if (!I.isKey(indexKey)) continue ;
+      if (key !== undefined && key !== null && I.compareKeys(indexKey, key) !== 0) continue ;
+      ret.push({ indexKey: indexKey, key: record.key, value: record.value }) ;
+    }
+    return ret.sort(function(a, b) {
+      return I.compareKeys(a.indexKey, b.indexKey) || I.compareKeys(a.key, b.key) ;
+    });
+  }
+
+});
@@ -0,0 +1,52 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global hub */
+
+/**
+  Objects subscribed to a Hub with hub.Hub#subscribe() are sent these 
+  messages.  Implement only the ones you need:
+  
+  {{{
+    aHub.subscribe("sidebar", {
+      hubDidCommit: function(aHub, version) { ... }
+    });
+  }}}
+  
+  Messages are sent after the database work behind them is done, and never
+  while a subscription's target is detached: they wait until the next 
+  subscribe() with the same name (after a restart, for example).
+  
+  @protocol
+*/
+hub.HubObserverProtocol = {
+  
+  /**
+    Called when a commit is made in aHub.
+    
+    @param {hub.Hub} aHub The Hub that was committed to.
+    @param {String} version The new commit.
+  */
+  hubDidCommit: function(aHub, version) {},
+  
+  /**
+    Called when aHub takes in a commit from a pack (see 
+    hub.Hub#receivePack()).
+    
+    @param {hub.Hub} aHub The Hub that received the commit.
+    @param {String} version The commit.
+  */
+  hubDidReceiveCommit: function(aHub, version) {},
+  
+  /**
+    Called when the head of aHub moves: after a commit, or when it is 
+    fast-forwarded to a commit it received.
+    
+    @param {hub.Hub} aHub The Hub whose head moved.
+    @param {String} version The new head.
+  */
+  hubHeadDidMove: function(aHub, version) {}
+  
+};
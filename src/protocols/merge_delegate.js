@@ -15,34 +15,58 @@
 hub.MergeDelegateProtocol = {
   
   // FIXME: Should take an array of heads
-  hubDidStartMerge: function(hub, head1, head2) {},
+  hubDidStartMerge: function(aHub, head1, head2) {},
   
   /*
     FIXME: Should take an array of heads
     
-    Given 2 instances of the same record, return the record that you want to save.
-    This can even be a different record, just make sure it has the same UUID.
+    Called once for each attribute of a record that was changed differently 
+    on both heads since their least-common-ancestor.  Attributes changed on 
+    only one head are merged without asking.
     
-    @param {hub.MergeHub} The Hub of record 1.
-    @param {Number} The storeKey of record 1 (in head1).
-    @param {hub.MergeHub} The Hub of record 2.
-    @param {Number} The storeKey of record 2 (in head2).
-    @returns {Hash} The Data Hash that we want saved.
+    Return the value you want saved.  This can be a different value than 
+    either head has; returning undefined removes the attribute.
+    
+    @param {hub.Hub} aHub The Hub being merged into.
+    @param {hub.MergeHub} head1 The local head.
+    @param {hub.MergeHub} head2 The incoming head.
+    @param {String} recordId The id of the record in conflict.
+    @param {String} key The attribute in conflict.
+    @param {Object} baseValue The value at the least-common-ancestor.
+    @param {Object} value1 The value in head1.
+    @param {Object} value2 The value in head2.
+    @returns {Object} The value that we want saved.
   */
-  hubDidHaveConflict: function(head1, head2, recordId) {
-    var K = hub.Record ;
-    // if one is destroyed, automatically choose the other.
-    var record1 = head1.idFor(),
-        record2 = head2.idFor() ;
-    if (head1.readStatus(record1) & K.DESTROYED) return head2.readDataHash(record2) ;
-    if (head2.readStatus(record2) & K.DESTROYED) return head1.readDataHash(record1) ;
+  hubDidHaveConflict: function(aHub, head1, head2, recordId, key, baseValue, value1, value2) {
+    // Newest wins.
+    return (head1.get('createdOn') > head2.get('createdOn')) ? value1 : value2 ;
+  },
+  
+  hubDidEndMerge: function(aHub, head1, head2) {},
+  
+  /*
+    Called when a pack fails to decode or verify (see hub.Pack).  The pack is
+    kept out of the Hub's database, in aHub.quarantinedPacks.
     
-    // Else newest wins.
-    if (head1.created_on > head2.created_on) {
-      return head1.readDataHash(record1) ;
-    } else {
-      return head2.readDataHash(record2) ;
-    }
-  }
+    @param {hub.Hub} aHub The Hub that received the pack.
+    @param {String} version The commit the pack was for.
+    @param {Object} pack The pack as it was received.
+    @param {hub.Error} error Why it was rejected.
+  */
+  hubDidQuarantinePack: function(aHub, version, pack, error) {},
+  
+  /*
+    Called when a commit is taken in without a signature that could be 
+    checked: it is unsigned, or its committer is not in the actor table.  
+    The commit is listed in aHub.unverifiedCommits.  (Unless 
+    aHub.requireSignatures is set, in which case its pack is quarantined 
+    instead.)
+    
+    @param {hub.Hub} aHub The Hub that received the commit.
+    @param {String} version The commit.
+    @param {String} committer Who the commit claims to be by.
+    @param {hub.Error} error Why it could not be checked.
+  */
+  hubDidReceiveUnverifiedCommit: function(aHub, version, committer, error) {}
   
 };
@@ -0,0 +1,41 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global hub */
+
+/**
+  A person (or program) that makes commits.  Set a Hub's `actor` to stamp
+  its commits as theirs; the actor's email is what goes in each commit's 
+  `committer`, and in the actor table (see hub.Hub#addActor()).
+
+  @class
+  @extends hub.Record
+*/
+hub.Actor = hub.Record.extend(
+/** @scope hub.Actor.prototype */ {
+
+  primaryKey: 'email',
+
+  /**
+    Identifies the actor.  This is also the record id.
+
+    @property {String}
+  */
+  email: hub.Record.attr(String),
+
+  /**
+    @property {String}
+  */
+  name: hub.Record.attr(String),
+
+  /**
+    The actor's public key, if their commits are signed (see 
+    hub.schnorr.keyPair()).
+
+    @property {String}
+  */
+  publicKey: hub.Record.attr(String)
+
+});
@@ -0,0 +1,41 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global hub */
+
+/**
+  A device (a browser profile, or a node.js install) that hubs run on.  Each
+  Hub registers the device it is on when it starts up (see 
+  hub.Hub#device), and stamps the commits and meta data it makes with the
+  device's id.
+
+  @class
+  @extends hub.Record
+*/
+hub.Device = hub.Record.extend(
+/** @scope hub.Device.prototype */ {
+
+  /**
+    A name for the device, such as its host name or user agent.
+
+    @property {String}
+  */
+  name: hub.Record.attr(String),
+
+  /**
+    The platform the device runs on, such as "darwin" or "MacIntel".
+
+    @property {String}
+  */
+  platform: hub.Record.attr(String),
+
+  /**
+    When the device was registered.
+
+    @property {Number}
+  */
+  createdOn: hub.Record.attr(Number)
+
+});
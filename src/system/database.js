@@ -5,20 +5,347 @@
 //            Portions ©2008-2009 Apple Inc. All rights reserved.
 // License:   Licensed under an MIT license (see license.js).
 // ==========================================================================
-/*global hub google Gears */
+/*global hub */
 
 /**
-  hub.Database wraps a SQLite database of serving as a backing store for the 
-  data and indices of a hub.Hub object.   Uses the proposed HTML 5 SQLite API 
-  when available and attempts to access Google Gears as a fallback.
-  
+  hub.Database is a named database serving as a backing store for the data
+  and indices of a hub.Hub object: either the catalog of hubs (the tables in
+  hub.Database.HUB_TABLES) or the data of a hub (hub.Database.STORE_TABLES).
+
+  It queues transactions and runs them one at a time, in order (internal
+  ones first).  Backends subclass it and implement open() and run(); see
+  hub.SQLDatabase, hub.MemoryDatabase and hub.FileDatabase.
+
+  The transaction handed to each function passed to transaction() has four
+  methods, all working on rows as plain hashes of column values:
+
+   - put(table, row, replace): adds `row`, unless a row with the same key
+     (see hub.Database.keyFor()) is already there, in which case it is left
+     alone, or replaced if `replace` is true.
+   - select(table, where, callback): calls `callback` with an array of the
+     rows that match `where` (see hub.Database.matches()).
+   - update(table, where, changes): sets the columns in `changes` on the
+     rows that match `where`.
+   - remove(table, where): deletes the rows that match `where`.
+
+  Each one sees the work of the ones before it in the same transaction, and
+  callbacks may use the transaction further.  A transaction's work is
+  either all done or, if the backend fails, not at all.
+
   @class
   @extends hub.Object
 */
 hub.Database = hub.Object.extend(
+  /** @scope hub.Database.prototype */ {
+
+  /**
+    The database's name.  Hubs keep their catalog in "SproutHub", and their
+    data in a database named after their key (see hub.Hub#database()).
+
+    @property {String}
+  */
+  name: null,
+
+  /**
+    The tables in this database: hub.Database.HUB_TABLES or
+    hub.Database.STORE_TABLES.
+
+    @property {Hash}
+  */
+  tables: null,
+
+  /**
+    "a" (waiting) or "b" (running a transaction), along the transitions in
+    hub.Database.STATE_TRANSITIONS.  Observable.
+
+    @property {String}
+  */
+  state: "a",
+
+  /**
+    True once open() has succeeded.
+
+    @property {Boolean}
+  */
+  isOpen: false,
+
+  init: function() {
+    arguments.callee.base.apply(this, arguments) ;
+    this._hub_queue = [] ;
+    this._hub_internalQueue = [] ;
+  },
+
+  /**
+    Moves the database to `newState`.  Illegal transitions are errors (in
+    development, they raise); the state is left alone and
+    hub.Database.ILLEGAL_STATE_TRANSITION_ERROR is returned.
+
+    @param {String} newState
+    @returns {Boolean|hub.Error} true, or the error
+  */
+  goState: function(newState) {
+    var oldState = this.state ;
+    if (oldState === newState) return true ;
+    if ((hub.Database.STATE_TRANSITIONS[oldState] || []).indexOf(newState) < 0) {
+      hub_error(hub.fmt("Illegal database state transition: %@ to %@", oldState, newState)) ;
+      return hub.Database.ILLEGAL_STATE_TRANSITION_ERROR ;
+    }
+    hub.debug(hub.fmt("Going to DB state: %@", newState)) ;
+    this.set('state', newState) ;
+    return true ;
+  },
+
+  /**
+    Runs `func` with a transaction (see above) once every transaction queued
+    before it is done, opening the database first if need be.  `onFinish`
+    is called once the transaction is committed, or with the error if it 
+    (or opening the database) failed, in which case none of its work is 
+    done.  Either way, the next queued transaction runs after it.
+
+    Internal transactions, the hub's own bookkeeping, jump the queue of the
+    others.
+
+    @param {Function} func called with the transaction
+    @param {Function} onFinish optional
+    @param {Boolean} internal optional
+  */
+  transaction: function(func, onFinish, internal) {
+    if (this.state === "b" || (!internal && this._hub_internalQueue.length > 0)) {
+      (internal ? this._hub_internalQueue : this._hub_queue).push([func, onFinish]) ;
+      return ;
+    }
+
+    var self = this ;
+    this.goState("b") ;
+
+    var fail = function(error) {
+      hub.debug(hub.fmt("ERROR: Transaction on %@ failed.", self.name)) ;
+      hub.debug(error) ;
+      self._hub_finish(onFinish, error) ;
+    };
+
+    var start = function() {
+      self.run(func, fail, function() {
+        self._hub_finish(onFinish) ;
+      });
+    };
+
+    if (this.isOpen) {
+      start() ;
+      return ;
+    }
+    this.open(function(ret) {
+      if (!hub.ok(ret)) {
+        fail(ret) ;
+        return ;
+      }
+      self.isOpen = true ;
+      start() ;
+    });
+  },
+
+  /** @private
+    Calls `onFinish` with `error`, if any, and runs the next queued
+    transaction.
+  */
+  _hub_finish: function(onFinish, error) {
+    if (onFinish) onFinish(error) ;
+    this.goState("a") ;
+    this._hub_next() ;
+  },
+
+  /** @private Runs the next queued transaction. */
+  _hub_next: function() {
+    var args = this._hub_internalQueue.shift() || this._hub_queue.shift() ;
+    if (args) this.transaction(args[0], args[1], this._hub_internalQueue.length > 0 || undefined) ;
+  },
+
+  // ..........................................................
+  // BACKEND
+  //
+
+  /**
+    Opens the database, creating whatever tables are missing, and calls
+    `callback` with true, or with a hub.Error.  Backends must implement it.
+
+    @param {Function} callback
+  */
+  open: function(callback) {
+    callback(hub.Database.NOT_IMPLEMENTED_ERROR) ;
+  },
+
+  /**
+    Runs `func` with a transaction (see above), then calls `onSuccess`, or
+    `onError` with the error if the transaction failed.  Only called on an
+    open database, one transaction at a time.  Backends must implement it.
+
+    @param {Function} func
+    @param {Function} onError
+    @param {Function} onSuccess
+  */
+  run: function(func, onError, onSuccess) {
+    onError(hub.Database.NOT_IMPLEMENTED_ERROR) ;
+  }
+
+});
+
+hub.Database.mixin(
   /** @scope hub.Database */ {
-  
-  
-  
+
+  /**
+    The states each database state may go to (see hub.Database#goState()).
+
+    @property {Hash}
+  */
+  STATE_TRANSITIONS: {
+    a: ["b"],
+    b: ["a"]
+  },
+
+  /**
+    Returned by goState() for transitions that are not allowed.
+
+    @property {hub.Error}
+  */
+  ILLEGAL_STATE_TRANSITION_ERROR: hub.Error.desc("Illegal State Transition"),
+
+  /**
+    Returned by backends that can't do something.
+
+    @property {hub.Error}
+  */
+  NOT_IMPLEMENTED_ERROR: hub.Error.desc("Not Implemented By This Database"),
+
+  /**
+    The tables of a hub's data.  Each has the columns that make up its key,
+    and its columns by SQL type.  `index` names the unique index on the key
+    for SQL backends, `unique` holds any other unique indexes (columns by
+    name) and `added` lists the columns that tables made by older versions
+    of hub.js may lack.
+
+    @property {Hash}
+  */
+  STORE_TABLES: {
+    actor: {
+      key: ['email'],
+      index: "UniqueActorEmail",
+      columns: { email: "TEXT", public_key: "TEXT" }
+    },
+    data: {
+      key: ['key'],
+      index: "UniqueDataKey",
+      unique: { UniqueDataStoreKey: ['store_key'] },
+      columns: { key: "TEXT", store_key: "INTEGER", created_on: "TEXT", storage: "INTEGER", bytes: "BLOB", metadata_count: "INTEGER", commit_id: "INTEGER" }
+    },
+    meta_data: {
+      key: ['key'],
+      index: "UniqueMetaKey",
+      columns: { key: "TEXT", name: "TEXT", meta_uti: "TEXT", meta_creator: "TEXT", meta_editor: "TEXT", target_uti: "TEXT", target_creator: "TEXT", target_editor: "TEXT", target_position: "INTEGER", storage: "INTEGER", source: "TEXT", target: "TEXT", data_key: "TEXT", commit_id: "INTEGER" }
+    },
+    commits: {
+      key: ['key'],
+      index: "UniqueCommitKey",
+      columns: { key: "TEXT", name: "TEXT", commit_id: "INTEGER", commit_uti: "TEXT", commit_creator: "TEXT", commit_editor: "TEXT", merger: "TEXT", created_on: "INTEGER", ancestor_count: "INTEGER", total_storage: "INTEGER", commit_storage: "INTEGER", history_storage: "INTEGER", data_key: "TEXT", data_uti: "TEXT", data_editor: "TEXT", data_creator: "TEXT", commit_data: "TEXT", committer: "TEXT", ancestors: "TEXT", signature: "TEXT" },
+      added: ['signature']
+    }
+  },
+
+  /**
+    The tables of the catalog of hubs; see STORE_TABLES.
+
+    @property {Hash}
+  */
+  HUB_TABLES: {
+    hub: {
+      key: ['key'],
+      index: "UniqueHubKey",
+      columns: { key: "TEXT", name: "TEXT", meta_uti: "TEXT", meta_creator: "TEXT", meta_editor: "TEXT", is_private: "INTEGER", is_archived: "INTEGER", head: "TEXT", forked_from: "TEXT", meta_data: "TEXT" }
+    },
+    hub_commit: {
+      key: ['hub', 'commit'],
+      index: "UniqueHubCommit",
+      columns: { hub: "TEXT", commit: "TEXT" }
+    },
+    hub_reference: {
+      key: ['hub', 'name'],
+      index: "UniqueHubReference",
+      columns: { name: "TEXT", meta_uti: "TEXT", meta_creator: "TEXT", meta_editor: "TEXT", hub: "TEXT", commit: "TEXT", committer: "TEXT", meta_data: "TEXT" }
+    },
+    hub_committer: {
+      key: ['hub', 'committer'],
+      index: "UniqueHubCommitter",
+      columns: { is_owner: "TEXT", hub: "TEXT", committer: "TEXT", head: "TEXT" }
+    },
+    hub_observer: {
+      key: ['hub', 'observer'],
+      index: "UniqueHubObserver",
+      columns: { hub: "TEXT", observer: "TEXT" }
+    },
+    hub_device: {
+      key: ['key'],
+      index: "UniqueHubDevice",
+      columns: { key: "TEXT", name: "TEXT", platform: "TEXT", created_on: "INTEGER" }
+    }
+  },
+
+  /**
+    Returns the key of `row` in the table described by `table` (one of the
+    hashes in STORE_TABLES or HUB_TABLES), as a string.
+
+    @param {Hash} table
+    @param {Hash} row
+    @returns {String}
+  */
+  keyFor: function(table, row) {
+    return JSON.stringify(table.key.map(function(column) {
+      var value = row[column] ;
+      return (value === undefined || value === null) ? null : String(value) ;
+    })) ;
+  },
+
+  /**
+    Returns true if `row` matches `where`: a hash of values by column, each
+    of which the row's column must equal (loosely, as SQL compares numbers
+    and strings), or an array of values the row's column must be one of.
+    An empty or missing `where` matches every row.
+
+    @param {Hash} row
+    @param {Hash} where
+    @returns {Boolean}
+  */
+  matches: function(row, where) {
+    var column, value, actual ;
+    for (column in where) {
+      if (!where.hasOwnProperty(column)) continue ;
+      value = where[column] ;
+      actual = row[column] ;
+      if (hub.typeOf(value) === hub.T_ARRAY) {
+        if (!value.some(function(v) { return hub.Database._hub_equals(actual, v) ; })) return false ;
+      } else if (!hub.Database._hub_equals(actual, value)) return false ;
+    }
+    return true ;
+  },
+
+  /**
+    Returns `value` as SQL would store it: SQL has no booleans or undefined.
+    Backends that aren't SQL store values this way too.
+
+    @param {Object} value
+    @returns {Object}
+  */
+  value: function(value) {
+    if (value === undefined) return null ;
+    if (value === true) return 1 ;
+    if (value === false) return 0 ;
+    return value ;
+  },
+
+  /** @private */
+  _hub_equals: function(a, b) {
+    if (a === undefined) a = null ;
+    if (b === undefined) b = null ;
+    if (a === null || b === null) return a === b ;
+    return String(a) === String(b) ;
+  }
+
 });
-  
\ No newline at end of file
@@ -5,7 +5,7 @@
 //            Portions ©2008-2009 Apple Inc. All rights reserved.
 // License:   Licensed under an MIT license (see license.js).
 // ==========================================================================
-/*global hub hub_precondition hub_error google Gears */
+/*global hub hub_precondition hub_error require process navigator */
 
 // FIXME: Code is not using proper prefixes in private properties and methods.
 // FIXME: Code does not parse with the PEG grammar!
@@ -60,33 +60,67 @@ hub.Hub = hub.Store.extend(
     key: null,
     head: null,
     setup: false,
-    db: null
+    db: null,
+    forkedFrom: null,
+    isPrivate: false,
+    isArchived: false,
+    storage: 0
   },
 
   /**
-    States:
-    0: waiting
-    1: reading store
-    2: writing Records
-      a: waiting
-      b: running SQL 
-      c: error
-    3: cleaning up
-    4: checking out
-    5: sending Pack
-    6: setting up
+    The hub's state, one of hub.Hub.WAITING (0), READING (1), WRITING (2), 
+    CLEANING_UP (3), CHECKING_OUT (4), SENDING_PACK (5) or SETTING_UP (6).
+    Only goState() changes it, along the transitions in 
+    hub.Hub.STATE_TRANSITIONS.  Observable.
+
+    @property {Number}
   */
   state: 0,
-  dbState: "a",
+
+  /**
+    Moves the hub to `newState`, calling willExitState() and didEnterState()
+    around the change.  Illegal transitions are errors (in development, they
+    raise); the state is left alone and hub.Hub.ILLEGAL_STATE_TRANSITION_ERROR
+    is returned.
+
+    @param {Number} newState
+    @returns {Boolean|hub.Error} true, or the error
+  */
   goState: function(newState) {
+    var oldState = this.state;
+    if (oldState === newState) return true;
+    if (!hub.Hub.canTransition(hub.Hub.STATE_TRANSITIONS, oldState, newState)) {
+      hub_error(hub.fmt("Illegal state transition: %@ to %@", oldState, newState));
+      return hub.Hub.ILLEGAL_STATE_TRANSITION_ERROR;
+    }
     hub.debug(hub.fmt("Going to state: %@", newState)) ;
-    this.state = newState ;
-  },
-  goDbState: function(newState) {
-    hub.debug(hub.fmt("Going to DB state: %@", newState)) ;
-    this.dbState = newState ;
+    this.willExitState(oldState, newState);
+    this.set('state', newState);
+    this.didEnterState(newState, oldState);
+    this._busyDidChange();
+    if (newState === hub.Hub.WAITING) this._invokeIdleQueue();
+    return true;
   },
 
+  /**
+    Called by goState() just before the hub leaves `state` for `nextState`.
+    Does nothing; override it to hook into the hub's lifecycle.
+
+    @param {Number} state
+    @param {Number} nextState
+  */
+  willExitState: function(state, nextState) {},
+
+  /**
+    Called by goState() just after the hub enters `state` from 
+    `previousState`.  Does nothing; override it to hook into the hub's 
+    lifecycle.
+
+    @param {Number} state
+    @param {Number} previousState
+  */
+  didEnterState: function(state, previousState) {},
+
   // ..........................................................
   // DELEGATE SUPPORT
   // 
@@ -127,18 +161,50 @@ hub.Hub = hub.Store.extend(
   // before commit change, get new storekeys.
   /**
     Committing Records is all or nothing, we don't need keys or ids.
+
+    Commits made while the hub is busy (see isBusy) are queued, and made in
+    order once it is idle; either way, commitRecords() returns true.  Pass 
+    `params.onFinish` to be called on the receiver with the new commit's 
+    key, with null if there was nothing to commit, or with 
+    hub.Hub.TRANSACTION_ERROR if the commit could not be written (its 
+    records are left dirty, to be committed again).
   */
   commitRecords: function(recordTypes, ids, storeKeys, params) {
+    if (!this.mayCommit()) {
+      hub.debug(hub.fmt("%@ may not commit to this hub", this.actorId()));
+      return false;
+    }
+    if (this._hub.isArchived) {
+      hub.debug("Archived hubs can't be committed to");
+      return false;
+    }
+    if (this._mustWait()) {
+      hub.debug("Hub is busy, queueing the commit");
+      this._whenIdle(function() {
+        this._commitChanges(params);
+      });
+      return true;
+    }
+    return this._commitChanges(params);
+  },
+
+  /** @private
+    Commits whatever changed in the store.  With `params.allowEmpty`, a 
+    commit is made even if the store has no records left.
+  */
+  _commitChanges: function(params) {
     var statuses = this.statuses,
     len = statuses.length,
     K = hub.Record,
     S = hub.Store,
     oldKeys = [],
+    recordTypes = [],
+    storeKeys = [],
     idx,
     ret,
+    status,
+    destroyed = 0,
     storeKey;
-    recordTypes = [];
-    storeKeys = [];
 
     for (storeKey in statuses) {
       storeKey = parseInt(storeKey, 10); // FIXME! ... I shouldn't have to parseInt
@@ -173,6 +239,7 @@ hub.Hub = hub.Store.extend(
           if (rt) recordTypes.push(rt);
 
         } else if (status & K.DESTROYED) {
+          if (status === K.DESTROYED_DIRTY) destroyed++;
           this.writeStatus(storeKey, K.BUSY_DESTROYING);
           this.dataHashDidChange(storeKey, null, true);
           // We don't need to do anything, so just kill it.
@@ -184,14 +251,15 @@ hub.Hub = hub.Store.extend(
       }
 
     }
-    if (storeKeys.length > 0) {
-
-      var set = hub.CoreSet.create([storeKey]);
-      set.addEach(oldKeys);
-      this._notifyRecordArrays(set, hub.CoreSet.create(recordTypes));
+    if (storeKeys.length > 0 || destroyed > 0 || (params && params.allowEmpty)) {
+      if (storeKeys.length > 0) {
+        var set = hub.CoreSet.create([storeKey]);
+        set.addEach(oldKeys);
+        this._hub_notifyRecordArrays(set, hub.CoreSet.create(recordTypes));
+      }
 
       ret = this._commitRecords(storeKeys, params);
-    }
+    } else if (params && params.onFinish) params.onFinish.call(this, null);
     //remove all commited changes from changelog
     if (ret) {
       this.changelog = null;
@@ -203,20 +271,75 @@ hub.Hub = hub.Store.extend(
       this._hub.key = hub.uuid();
       this.ensureHubName();
     }
-    if (this.state !== 0) {
-      hub_error();
-      alert("Data Source is Busy, please save again later.");
-      return false;
-    }
+    hub_precondition(this.state === hub.Hub.WAITING, "Commits are queued while the hub is busy");
     var self = this;
-    self.goState(1);
+    self._committing = true;
+    self.goState(hub.Hub.READING);
     // Update and create are the same for us.
     // self.addRecords(store, keys);
-    self.addRecords.call(self, keys, self.nextCommitId());
+    self.addRecords.call(self, keys, self.nextCommitId(), params);
 
     return true;
   },
 
+  /**
+    True while the hub is committing, checking out, receiving a pack or has
+    work queued (see commitRecords()); observe it to show busy and idle 
+    states.
+
+    @property {Boolean}
+  */
+  isBusy: false,
+
+  /** @private */
+  _busyDidChange: function() {
+    var busy = this.state !== hub.Hub.WAITING || !!this._committing || (!!this._idleQueue && this._idleQueue.length > 0);
+    if (busy !== this.get('isBusy')) this.set('isBusy', busy);
+  },
+
+  /** @private
+    True if what the receiver is asked to do now has to wait until it is 
+    idle: it is busy, and not just with the queued call being made.
+  */
+  _mustWait: function() {
+    return this.get('isBusy') && !this._runningIdle;
+  },
+
+  /** @private
+    Calls `func` on the receiver once the hub is idle, after whatever was 
+    queued before it.
+  */
+  _whenIdle: function(func) {
+    this._idleQueue.push(func);
+    this._busyDidChange();
+    if (this.state === hub.Hub.WAITING && !this._committing) this._invokeIdleQueue();
+  },
+
+  /** @private
+    Runs the next queued function once the current call stack is done, so 
+    whatever put the hub back in hub.Hub.WAITING can finish first.
+  */
+  _invokeIdleQueue: function() {
+    var self = this;
+    if (!this._idleQueue || this._idleQueue.length === 0) return;
+    setTimeout(function() {
+      self._runIdleQueue();
+    },
+    0);
+  },
+
+  /** @private */
+  _runIdleQueue: function() {
+    if (this.state !== hub.Hub.WAITING || this._committing || this._idleQueue.length === 0) return;
+    var func = this._idleQueue.shift();
+    this._runningIdle = true;
+    func.call(this);
+    this._runningIdle = false;
+    this._busyDidChange();
+    // nothing started, so go on with the next one
+    if (this.state === hub.Hub.WAITING && !this._committing) this._invokeIdleQueue();
+  },
+
   changeStoreKey: function(storeKey, newKey) {
     hub_precondition(typeof storeKey === hub.T_NUMBER);
     var S = hub.Store;
@@ -244,8 +367,9 @@ hub.Hub = hub.Store.extend(
     recordId = this.idFor(storeKey),
     storeKeysById = recordType.storeKeysById();
     if (opts && opts.recordChange && this.changedRecords) { // we are in a nestedHub and need to record.
-      this.changedRecords.add(recordId); // So, lets record what has changed.
-      this.changesById[recordId] = recordType.DESTROYED; // and how it was changed.
+      this.changedRecords.add(storeKey); // So, lets record what has changed.
+      this.changesByStoreKey[storeKey] = hub.Record.DESTROYED_CLEAN; // and how it was changed.
+      this.recordTypesByStoreKey[storeKey] = recordType;
     }
     this.removeDataHash(storeKey, recordType.DESTROYED_CLEAN);
     this.dataHashDidChange(storeKey, null, true);
@@ -262,6 +386,21 @@ hub.Hub = hub.Store.extend(
   // Call: dataSource.getMaxStoreId(this);
   init: function(uti, params) {
     arguments.callee.base.apply(this, arguments);
+    // Hubs must not share their bookkeeping through the prototype.
+    this.metaData = {};
+    this.commitKeys = hub.CoreSet.create();
+    this.commitIdsByKey = {};
+    this.hubKeys = [];
+    this.hubsByKey = {};
+    this._keysByType = {};
+    this._recordsByKey = {};
+    this._types = [];
+    this._sourceByType = {};
+    this._hub = hub.mixin({}, hub.Hub.prototype._hub);
+    this.committers = {};
+    this.observers = {};
+    this._pendingNotifications = {};
+    this._idleQueue = [];
     this.startUp();
   },
   from: function() {
@@ -275,19 +414,18 @@ hub.Hub = hub.Store.extend(
 
   setMaxStoreKey: function(maxStoreKey) {
     hub.debug(hub.fmt('VersionedStore.setMaxStoreKey to %@', maxStoreKey));
+    // Store keys are shared by every store (the device record, other hubs),
+    // so never hand out one that may be in use already.
+    if (maxStoreKey <= hub.Store.nextStoreKey) return;
     hub.Store.prototype.nextStoreIndex = maxStoreKey;
     hub.Store.nextStoreKey = maxStoreKey;
   },
 
   isClean: function() {
-    hub.debug('VersionedStore.setMaxStoreKey');
-    if (!this.statuses) return true; // Status is empty, meaning we are clean
-    var len = this.statuses.length;
-
-    while (len--) {
-      var status = this.statuses[len];
-      // if we find anything other than READY_CLEAN or EMPTY, return false.
-      if (! ((status & hub.Record.READY_CLEAN) || (status & hub.Record.EMPTY))) return false;
+    var statuses = this.statuses, storeKey;
+    for (storeKey in statuses) {
+      // new, changed and destroyed records are dirty
+      if (statuses.hasOwnProperty(storeKey) && (statuses[storeKey] & hub.Record.DIRTY)) return false;
     }
     return true;
   },
@@ -296,17 +434,16 @@ hub.Hub = hub.Store.extend(
     DataStore Functions
   */
 
-  addRecords: function(keys, commit_id) {
-    if (this.state !== 1) {
-      alert("Attempting to add Records while in wrong state (" + this.state + ")");
+  addRecords: function(keys, commit_id, params) {
+    if (this.state !== hub.Hub.READING) {
+      hub.debug(hub.fmt("Attempting to add Records while in wrong state (%@)", this.state));
       return false;
     }
     keys.sort(); // Make sure they are in order
     var i = keys.length,
     self = this,
-    // FIXME: This should reference a User and Device object
-    currentTask = hub.get('currentTask'),
-    currentActor = hub.get('currentActor'),
+    currentTask = this.deviceId(),
+    currentActor = this.actorId(),
     currentTime = new Date().getTime(),
     totalStorage = 0;
     // Loop through our records creating new 
@@ -344,11 +481,13 @@ hub.Hub = hub.Store.extend(
     var store_bytes = JSON.stringify("store"),
     store_key,
     store_time = currentTime,
-    insert_data_sql = self.insertSQL['Data']; // 7
+    dataKeys = [],
+    previous = this.get('currentCommit'),
+    commitParams;
     // It's time to insert the data
     hub.debug("* addRecords");
     this.sendToDB(function(tx) {
-      self.goState(2);
+      self.goState(hub.Hub.WRITING);
       var typeMetaKeys = [],
       typeMetaByKey = {};
       // Then Types Types
@@ -360,16 +499,14 @@ hub.Hub = hub.Store.extend(
 
         // Walk through each instance
         self._keysByType[type].forEach(function(instanceKey) {
-          var data = self._recordsByKey[instanceKey];
+          var data = self._recordsByKey[instanceKey],
+          // Large records are stored as content-defined chunks, so an edit 
+          // only adds the chunks it touched.
+          chunks = (data.storage > hub.Hub.CHUNK_THRESHOLD) ? hub.buzhash.chunk(data.bytes) : null;
           // hub.debug(hub.fmt("saving data for: %@", data.storeKey));
-          tx.executeSql(insert_data_sql, [data.key, data.created_on, data.storage, data.bytes, 0, data.storeKey, commit_id],
-          function() {
-            // hub.debug(hub.fmt("Saved instance data entry %@", data.key));
-          },
-          function(tx, error) {
-            // hub.debug("Error saving data entry 144");
-            hub.debug(error);
-          });
+          tx.put('data', { key: data.key, created_on: data.created_on, storage: chunks ? 0 : data.storage, bytes: chunks ? null : data.bytes, metadata_count: 0, store_key: data.storeKey, commit_id: commit_id });
+          dataKeys.push(data.key);
+          if (chunks) dataKeys = dataKeys.concat(self._addChunks(tx, data, chunks, commit_id, currentTask));
           var meta_data, ret, instkey;
           // Generate first pass key and store data
           ret = self.metaData[data.recordId];
@@ -403,14 +540,8 @@ hub.Hub = hub.Store.extend(
         }); // end each instance
         // Add The Record Type.
         var type_key = hub.SHA256("" + type_bytes + childMetaDataKeys.sort().join(""));
-        tx.executeSql(insert_data_sql, [type_key, type_time, 0, type_bytes, 1, null, commit_id],
-        function() {
-          // hub.debug(hub.fmt("Saved type data entry %@", type_key));
-        },
-        function(tx, error) {
-          // hub.debug("Error saving type data entry");
-          hub.debug(error);
-        });
+        tx.put('data', { key: type_key, created_on: type_time, storage: 0, bytes: type_bytes, metadata_count: 1, store_key: null, commit_id: commit_id });
+        dataKeys.push(type_key);
         // Get info for Link between Store and Record Type
         var tmData = self.metaData[type];
         if (!tmData) {
@@ -449,14 +580,7 @@ hub.Hub = hub.Store.extend(
       }); // end each type
       // Now create the Store
       store_key = hub.SHA256("" + store_bytes + typeMetaKeys.sort().join(""));
-      tx.executeSql(insert_data_sql, [store_key, store_time, store_bytes.length, store_bytes, 0, null, commit_id],
-      function() {
-        // hub.debug(hub.fmt("Saved store data entry %@", type_key));
-      },
-      function(tx, error) {
-        // hub.debug("Error saving store data entry");
-        hub.debug(error);
-      });
+      tx.put('data', { key: store_key, created_on: store_time, storage: store_bytes.length, bytes: store_bytes, metadata_count: 0, store_key: null, commit_id: commit_id });
 
       var ti = typeMetaKeys.length;
       while (ti--) {
@@ -466,133 +590,203 @@ hub.Hub = hub.Store.extend(
       }
 
       // Add the commit.
-      self.addCommit.call(self, tx, {
-        name: "commit",
+      commitParams = {
+        name: (params && params.name) || "commit",
         meta_uti: "com.hub.commit",
         meta_creator: currentTask,
         meta_editor: currentTask,
         merger: currentTask,
         created_on: currentTime,
-        totalStorage: totalStorage,
+        totalStorage: totalStorage + store_bytes.length, // as counted by hub.Hub.collectGarbage()
         commit_storage: 0,
         history_storage: 0,
         data: store_key,
         meta_data: null,
         committer: currentActor,
-        commit_id: commit_id
-      });
+        commit_id: commit_id,
+        ancestors: params ? params.ancestors : null
+      };
+      self.addCommit.call(self, tx, commitParams);
       // hub.debug("Commit'd!");
-      tx.executeSql("UPDATE data SET metadata_count = (SELECT COUNT(*) FROM meta_data where target = data.key)", [], undefined, self._error);
+      self._countMetaData(tx, dataKeys);
 
     },
     null,
     function() { // Run when Send to db is finished.
-      self.goState(3);
+      var version = self.get('currentCommit');
+      self._committing = false;
+      self.goState(hub.Hub.CLEANING_UP);
       self.cleanup();
+      self._addHubCommit(version, commitParams);
+      self._notifyObservers('hubDidCommit', version);
+      if (params && params.onFinish) params.onFinish.call(self, version);
+      // Only now, so sending the pack can't get mixed up with the commit.
+      self.sendPack(version, commit_id);
     },
-    true // true = this is an internal call.
-    ); // end sendToDB
+    true, // true = this is an internal call.
+    false,
+    function(error) { // Run if the commit failed: nothing was written.
+      var version = self.get('currentCommit');
+      if (version !== previous) {
+        self.commitKeys.remove(version);
+        delete self.commitIdsByKey[version];
+        self.set('currentCommit', previous);
+      }
+      // so the records are committed again next time
+      keys.forEach(function(storeKey) {
+        self.writeStatus(storeKey, hub.Record.READY_DIRTY);
+        self.dataHashDidChange(storeKey, null, true);
+      });
+      self.cleanup();
+      if (params && params.onFinish) params.onFinish.call(self, error);
+    }); // end sendToDB
   },
 
   addCommit: function(tx, p) {
     hub.debug('addCommit');
-    if (this.state !== 2) {
-      alert("Add Commit called with wrong state: (" + this.state + ")");
+    if (this.state !== hub.Hub.WRITING) {
+      hub.debug(hub.fmt("Add Commit called with wrong state: (%@)", this.state));
       return false;
     }
     hub_precondition(hub.typeOf(p.commit_id) === hub.T_NUMBER);
     var self = this,
     totalStorage = p.totalStorage,
-    ancestors = JSON.stringify(p.ancestors ? p.ancestors: [this.currentCommit]),
-    ancestorCount = ancestors.length,
-    key = hub.SHA256("" + p.name + p.committer + p.data),
-    insertCommitSql = self.insertSQL['Commit'];
-
-    var insertCommitValues = [key, p.name, p.commit_id, p.meta_uti, p.meta_creator, p.meta_editor, // 6
-    p.merger, p.created_on, ancestorCount, totalStorage, p.commit_storage, // 5
-    p.history_storage, p.data, p.meta_data, p.committer, ancestors]; // 5 = 16
+    ancestorKeys = p.ancestors ? p.ancestors: [this.currentCommit],
+    ancestors = JSON.stringify(ancestorKeys),
+    ancestorCount = ancestorKeys.length,
+    key = hub.Hub.commitKey(p.name, p.committer, p.data, ancestors, p.created_on),
+    privateKey = this.get('privateKey'),
+    signature = privateKey ? hub.schnorr.sign(key, privateKey) : null;
+
+    // Make sure we can check our own commits, too.
+    if (privateKey) {
+      tx.put('actor', { email: p.committer, public_key: hub.schnorr.publicKey(privateKey) }, true);
+    }
     this.set('currentCommit', key);
     this.commitKeys.add(key);
     this.commitIdsByKey[key] = p.commit_id;
 
-    // Write to hub metadata
-    hub.debug("* addCommit");
-    self.sendToDB(function(tx) {
+    tx.put('commits', {
+      key: key, name: p.name, commit_id: p.commit_id,
+      commit_uti: p.meta_uti, commit_creator: p.meta_creator, commit_editor: p.meta_editor,
+      merger: p.merger, created_on: p.created_on, ancestor_count: ancestorCount,
+      total_storage: totalStorage, commit_storage: p.commit_storage, history_storage: p.history_storage,
+      data_key: p.data, commit_data: p.meta_data, committer: p.committer,
+      ancestors: ancestors, signature: signature
+    });
+  },
+
+  /** @private
+    Adds the commit `key`, made by addCommit() from `p`, to the hub in the 
+    SproutHub database, and moves the hub's head (or current branch) to it.
+    Called once the commit itself is in the hub's database.
+  */
+  _addHubCommit: function(key, p) {
+    var self = this;
+    hub.debug("* addHubCommit");
+    this.sendToDB(function(tx) {
 
       self.ensureHubName.call(self);
 
-      var hubName = self._hub.name,
-      hubKey = self._hub.key,
-      insertHubCommitSql = self.insertSQL['HubCommit'],
-      insertHubCommitValues = [hubKey, key],
-      updateSql = "UPDATE hub SET head = ?, name = ? WHERE key = ?",
-      updateValues = [key, hubName, hubKey];
+      var hubKey = self._hub.key,
+      branch = self.get('currentBranch');
 
-      tx.executeSql(updateSql, updateValues,
-      function(tx, res) {},
-      self._error);
+      if (!branch) self._hub.storage = p.totalStorage || 0;
+      tx.update('hub', { key: hubKey }, { head: branch ? self._hub.head : key, name: self._hub.name, meta_data: self._hubMetaData() });
+      tx.put('hub_commit', { hub: hubKey, commit: key });
 
-      tx.executeSql(insertHubCommitSql, insertHubCommitValues,
-      function(tx, res) {},
-      self._error);
-      self._hub.head = key;
+      if (p.committer && self.committers[p.committer]) {
+        self.committers[p.committer].head = key;
+        tx.update('hub_committer', { hub: hubKey, committer: p.committer }, { head: key });
+      }
+
+      // Commits on a branch advance the branch, not the hub's head.
+      if (branch) self._updateReference(tx, branch, key);
+      else self._headDidMove(key);
 
     },
     null, null, true, true); // sendToDB('hub')
-    tx.executeSql(insertCommitSql, insertCommitValues,
-    function(tx, res) {
-      // success
-      hub.debug("Added Commit");
-      self.sendPack.call(self, key, p.commit_id);
-    },
-    self._error);
   },
 
   addMetaData: function(tx, params) {
     hub.debug("addMetaData");
     var self = this;
-    if (self.state !== 2) {
-      alert("Add MetaData called with wrong state: (" + self.state + ")");
+    if (self.state !== hub.Hub.WRITING) {
+      hub.debug(hub.fmt("Add MetaData called with wrong state: (%@)", self.state));
       return false;
     }
     if (params.name === undefined || params.name === "") {
       throw ("I think you have forgotten to give your model a name.\n" + "Please make sure that you have this in each of your models:\n" + "hub.mixin(App.Model,{modelClass: 'App.Model'});");
     }
     var storage = (params.data ? params.data.length + params.storage: params.storage),
-    key = self.getMetaDataKey(params, true),
-    find_sql = "SELECT count(*) as count FROM meta_data WHERE key = ?",
-    sql = self.insertSQL['MetaData'],
-    // 14
-    p = [key, params.name, params.meta_uti, params.meta_creator, // 4
-    params.meta_editor, params.target_uti, params.target_creator, // 3
-    params.target_editor, params.target_position, // 2
-    storage, params.source, params.target, params.data, params.commit_id]; //4 = 14
-    // hub.debug(sql);
-    // hub.debug(p);
-    tx.executeSql(sql, p,
-    function(tx, res) {
-      hub.debug("MetaData Added");
-    },
-    function(tx, err) {
-      // hub.debug("Error inserting metaData");
-      hub.debug(err);
+    key = self.getMetaDataKey(params, true);
+    tx.put('meta_data', {
+      key: key, name: params.name,
+      meta_uti: params.meta_uti, meta_creator: params.meta_creator, meta_editor: params.meta_editor,
+      target_uti: params.target_uti, target_creator: params.target_creator, target_editor: params.target_editor,
+      target_position: params.target_position, storage: storage,
+      source: params.source, target: params.target, data_key: params.data, commit_id: params.commit_id
     });
     return {
       storage: storage,
       key: key
     };
   },
+  /** @private
+    Stores each chunk of a record's bytes as a data item, linked to the 
+    record's own (empty) data item by a hub.Hub.CHUNK meta_data link whose 
+    target_position is the chunk's index.  See _readChunks().  Returns the 
+    chunks' keys.
+  */
+  _addChunks: function(tx, data, chunks, commit_id, currentTask) {
+    var self = this;
+    return chunks.map(function(chunk, idx) {
+      var key = hub.SHA256(chunk);
+      tx.put('data', { key: key, created_on: data.created_on, storage: chunk.length, bytes: chunk, metadata_count: 0, store_key: null, commit_id: commit_id });
+      self.addMetaData(tx, {
+        name: data.recordId,
+        meta_uti: "com.hub.link",
+        meta_creator: currentTask,
+        meta_editor: "",
+        target_uti: hub.Hub.CHUNK,
+        target_creator: currentTask,
+        target_editor: "",
+        target_position: idx,
+        storage: chunk.length,
+        source: data.key,
+        target: key,
+        data: '',
+        commit_id: commit_id
+      });
+      return key;
+    });
+  },
+
+  /** @private
+    Sets metadata_count on the data items `keys` to the number of meta_data 
+    links that target them.
+  */
+  _countMetaData: function(tx, keys) {
+    tx.select('meta_data', { target: keys }, function(rows) {
+      var counts = {};
+      rows.forEach(function(row) {
+        counts[row.target] = (counts[row.target] || 0) + 1;
+      });
+      keys.forEach(function(key) {
+        tx.update('data', { key: key }, { metadata_count: counts[key] || 0 });
+      });
+    });
+  },
+
   getMetaDataKey: function(params, secondPass) {
-    var string = "" + params.name + params.meta_uti + params.meta_creator + params.meta_editor + params.target_uti + params.target_creator + params.target_editor + params.target_position + params.target + params.data;
-    if (secondPass) string += params.source;
-    return hub.SHA256(string);
+    return hub.Hub.metaDataKey(params, secondPass);
   },
   cleanup: function() {
     this._keysByType = {};
     this._recordsByKey = {};
     this._types = [];
     this._sourceByType = {};
-    this.goState(0); // finish up.
+    this.goState(hub.Hub.WAITING); // finish up.
   },
 
   // Fetch is called when the store wants bulk data.
@@ -602,852 +796,3748 @@ hub.Hub = hub.Store.extend(
     // pull out instances.
   },
 
-  _sendPackURL: '/packs/?pk=%@',
-  _receivePackURL: '/packs/?pk=%@',
+  /**
+    The hub.SyncTransport used to send and get packs.  Without one, sendPack()
+    only calls packCommitted(), and sync() and getPack() do nothing.
+
+    @property {hub.SyncTransport}
+  */
+  transport: null,
+
+  /**
+    Packs up the commit `version` (see hub.Pack.fromRows()), hands it to 
+    packCommitted() and sends it through the transport, if there is one.
+    The optional callback is called on the receiver with true once the 
+    remote has the pack (or there is no transport), or with a hub.Error.
 
-  sendPack: function(version, commit_id) {
-    var state = this.state;
-    // if (state !== 0 && state !== 2) {
-    //   hub.debug(hub.fmt("Can't push to server in this state (%@)", state));
-    //   alert(hub.fmt("Can't push to server in this state (%@)", state));
-    //   return false;
-    // }
-    if (hub.OfflineMode) {
-      hub.debug("Offline mode, no data is being sent");
-      this.goState(0);
+    @param {String} version the commit key
+    @param {Number} commit_id optional, the commit's id in this hub
+    @param {Function} callback optional
+  */
+  sendPack: function(version, commit_id, callback) {
+    if (hub.OfflineMode || this._hub.isPrivate) {
+      hub.debug("Offline mode or private hub, no data is being sent");
+      if (callback) callback.call(this, true);
       return;
     }
     if (!commit_id) commit_id = this.commitIdsByKey[version];
     hub.debug(hub.fmt("Preparing Pack ... %@ : %@", version, commit_id));
     hub_precondition(hub.typeOf(commit_id) === hub.T_NUMBER);
-    this.goState(5);
-    var self = this;
+    var self = this,
+    // Packing only reads the database, so it only gets a state of its own 
+    // when the hub has nothing else going on.
+    sending = (this.state === hub.Hub.WAITING),
+    commitRow = null,
+    dataRows = [],
+    metaDataRows = [],
+    linkRows = [];
+    if (sending) this.goState(hub.Hub.SENDING_PACK);
     hub.debug("* sendPack");
     self.sendToDB(function(tx) {
-      var pack = [],
-      toAdd = {};
-      tx.executeSql("SELECT * FROM data WHERE commit_id = ?", [commit_id],
-      function(tx, result) {
-        var i = result.rows.length,
-        row, item, key, data;
-        while (i--) {
-          row = result.rows.item(i);
-          key = row.key;
-          data = {
-            metadata_count: row.metadata_count,
-            storage: parseInt(row.storage, 10),
-            created_on: parseInt(row.created_on, 10),
-            bytes: row.bytes
-          };
-          item = {
-            "pk": key,
-            "model": "Data",
-            "fields": data
-          };
-          hub.debug(hub.inspect(item.fields));
-          pack.push(item);
-        }
-        toAdd["data"] = true;
-        self._sendPack.call(self, version, pack, toAdd);
-      });
-      tx.executeSql("SELECT * FROM meta_data WHERE commit_id = ?", [commit_id],
-      function(tx, result) {
-        var j = result.rows.length,
-        row, item, key;
-        while (j--) {
-          row = result.rows.item(j);
-          key = row.key;
-          delete row.key;
-          delete row.commit_id;
-          item = {
-            "pk": key,
-            "model": "MetaData",
-            "fields": row
-          };
-          pack.push(item);
-        }
-        toAdd["metaData"] = true;
-        self._sendPack.call(self, version, pack, toAdd);
+      tx.select('data', { commit_id: commit_id }, function(rows) {
+        dataRows = rows;
+        // The links each new data item hangs off, new or not, so the 
+        // receiver can check its key.
+        tx.select('meta_data', { source: rows.map(function(row) { return row.key; }) }, function(rows) {
+          linkRows = rows;
+        });
+      });
+      tx.select('meta_data', { commit_id: commit_id }, function(rows) {
+        metaDataRows = rows;
       });
       hub.debug(hub.fmt("Finding commit with id: %@", commit_id));
-      tx.executeSql("SELECT * FROM commits WHERE commit_id = ?", [commit_id],
-      function(tx, result) {
-        var row = result.rows.item(0),
-        key = row.key,
-        data;
-        data = hub.clone(row);
-        delete data.key;
-        delete data.commit_id;
-        data.created_on = parseInt(data.created_on, 10);
-        var item = {
-          "pk": key,
-          "model": "Commit",
-          "fields": data
-        };
-        pack.push(item);
-        toAdd["commit"] = true;
-        self._sendPack.call(self, version, pack, toAdd);
+      tx.select('commits', { commit_id: commit_id }, function(rows) {
+        if (rows.length > 0) commitRow = rows[0];
       });
+    },
+    null,
+    function() {
+      if (sending) self.goState(hub.Hub.WAITING);
+      if (!commitRow) {
+        if (callback) callback.call(self, hub.Hub.COMMIT_NOT_FOUND_ERROR);
+        return;
+      }
+      self._sendPack(version, hub.Pack.fromRows(version, commitRow, dataRows, metaDataRows, linkRows), callback);
     });
-    this.goState(0);
-
-  },
-  _sendPack: function(version, pack, toAdd) {
-    if (toAdd.data && toAdd.metaData && toAdd.commit) {
-      var dataHash = pack,
-      url = hub.fmt(this._sendPackURL, version);
-      hub.debug("Calling packCommited call back");
-      // if (this.get('hasSocket')) { // Send Via Socket if we have one.
-      //   SproutDB.webSocket.send(version+":"+JSON.stringify(pack)) ;
-      // } else { // Else send via ajax.
-      //   hub.Request.postUrl(url).set('isJSON', true)
-      //     .notify(this, this._didSendPack, {
-      //       version: version
-      //     }).send(dataHash) ;
-      // }
-      this.packCommitted(version, pack);
-    } else {
-      hub.debug("Not yet sending pack.");
+  },
+  _sendPack: function(version, pack, callback) {
+    var self = this,
+    transport = this.get('transport'),
+    dataHash = pack.encode();
+    hub.debug("Calling packCommited call back");
+    this.packCommitted(version, dataHash);
+    if (!transport) {
+      if (callback) callback.call(self, true);
+      return;
     }
+    transport.sendPack(this, version, dataHash, function(ret) {
+      if (hub.ok(ret)) hub.debug(hub.fmt("sendPack %@ Success!", version));
+      else hub.debug(hub.fmt("sendPack %@ FAILED: %@", version, ret.get('message')));
+      if (callback) callback.call(self, ret);
+    });
   },
   packCommitted: function(version, pack) {
     hub.debug("No callback has been created for commits. " + "To be notified of commits assign a callback packCommitted(commitId, packData)");
   },
-  // _didSendPack: function(request, params) {
-  //   var response  = request.get('response') ;
-  //   if (hub.ok(response)) {
-  //     hub.debug('sendPack Success!') ;
-  //   } else {
-  //     hub.debug("sendPack FAILED!") ;
-  //   }
-  // },
-  getPack: function(version, doCheckout) {
+
+  /**
+    Gets the pack for `version` through the transport and receives it.  The
+    optional callback is called on the receiver with the commit key once the
+    pack is in the database (and merged, see applyCommits()), or with a 
+    hub.Error.
+
+    @param {String} version the commit key
+    @param {Boolean} doCheckout true to merge the commit into the current one
+    @param {Function} callback optional
+  */
+  getPack: function(version, doCheckout, callback) {
     var self = this,
-    url = hub.fmt(this._receivePackURL, version);
-    if (!doCheckout) doCheckout = false;
-    hub.Request.getUrl(url).set('isJSON', true).notify(this, this.receivePack, {
-      version: version,
-      dataSource: self,
-      doCheckout: doCheckout
-    }).send();
+    transport = this.get('transport'),
+    finish = function(ret) {
+      if (callback) callback.call(self, ret);
+    };
+    if (!transport) {
+      finish(hub.Hub.NO_TRANSPORT_ERROR);
+      return;
+    }
+    transport.getPack(this, version, function(pack) {
+      if (!hub.ok(pack)) {
+        hub.debug(hub.fmt("getPack %@ FAILED: %@", version, pack.get('message')));
+        finish(pack);
+        return;
+      }
+      self.receivePack(pack, {
+        version: version,
+        dataSource: self,
+        doCheckout: !!doCheckout,
+        isInternal: true,
+        onFinish: finish
+      });
+    });
+  },
+
+  /**
+    Packs that failed to decode or verify (see hub.Pack), as { version, pack,
+    error } hashes, oldest first.  They are kept out of the database.
+
+    @property {Array}
+  */
+  quarantinedPacks: null,
+
+  /**
+    Who is making commits here.  The actor's id (their email) is stamped on
+    every commit as its committer.
+
+    @property {hub.Actor}
+  */
+  actor: null,
+
+  /**
+    The device this hub is on, registered in the SproutHub database the 
+    first time a hub starts up on it.  Its id is stamped on every commit 
+    and meta data row as their creator and editor.
+
+    @property {hub.Device}
+  */
+  device: null,
+
+  /**
+    Returns the id of the current actor, or null.
+
+    @returns {String}
+  */
+  actorId: function() {
+    var actor = this.get('actor');
+    return actor ? actor.get('id') : null;
+  },
+
+  /**
+    Returns the id of this device, or null until the hub has started up.
+
+    @returns {String}
+  */
+  deviceId: function() {
+    var device = this.get('device');
+    return device ? device.get('id') : null;
+  },
+
+  /** @private
+    Makes `device` a hub.Device, in a store of its own, from a hub_device 
+    row.
+  */
+  _loadDevice: function(row) {
+    var store = hub.Store.create();
+    this.set('device', store.createRecord(hub.Device, {
+      name: row['name'],
+      platform: row['platform'],
+      createdOn: parseInt(row['created_on'], 10)
+    }, row['key']));
   },
+
+  /**
+    The private key of the current actor (see hub.schnorr.keyPair()).  When 
+    set, every commit made here is signed with it, and the matching public
+    key is added to the actor table.
+
+    @property {String}
+  */
+  privateKey: null,
+
+  /**
+    If true, received commits that are unsigned, or signed by an actor that
+    is not in the actor table, are quarantined.  Otherwise they are taken, 
+    but listed in unverifiedCommits.  Forged signatures are always 
+    quarantined, and so are unverified commits once the hub has committers
+    (see hub.Hub.admitCommit()).
+
+    @property {Boolean}
+  */
+  requireSignatures: false,
+
+  /**
+    The received commits whose signature could not be checked, as { version, 
+    committer, error } hashes, oldest first.
+
+    @property {Array}
+  */
+  unverifiedCommits: null,
+
   receivePack: function(request, params) {
     var self = params.dataSource,
     version = params.version,
     commit_id = self.commitIdsByKey[version];
     if (commit_id) {
       hub.debug(hub.fmt("Already have commit %@:%@", version, commit_id));
+      if (params.onFinish) params.onFinish.call(self, version);
+      return;
+    }
+    var raw = params.isInternal ? request: request.get('response'),
+    pack = hub.Pack.decode(raw);
+    if (hub.ok(pack) && pack.version !== version) {
+      pack = hub.Pack.error(hub.Pack.MISSING_COMMIT, "Pack does not carry commit %@", version);
+    }
+    if (!hub.ok(pack)) {
+      self.quarantinePack(version, raw, pack);
+      if (params.onFinish) params.onFinish.call(self, pack);
       return;
     }
-    self.goState(2); // Start writing records
-    var doCheckout = params.doCheckout,
-    pack = params.isInternal ? request: request.get('response'),
-    insertSQL = self.insertSQL,
-    i = pack.length,
+
+    // Check the pack against the data and actors we already have before
+    // writing it.
+    var bytesByKey = {},
+    keys = pack.missingKeys,
+    commit = pack.items.filter(function(item) {
+      return item.model === "Commit" && item.pk === version;
+    })[0].fields,
+    publicKey = null;
+    hub.debug("* receivePack");
+    self.sendToDB(function(tx) {
+      tx.select('actor', { email: commit.committer }, function(rows) {
+        if (rows.length > 0) publicKey = rows[0]['public_key'];
+      });
+      if (keys.length === 0) return;
+      tx.select('data', { key: keys }, function(rows) {
+        rows.forEach(function(row) {
+          bytesByKey[row['key']] = row['bytes'];
+        });
+      });
+    },
+    null,
+    function() {
+      var ret = pack.verifyWith(bytesByKey),
+      signed;
+
+      if (hub.ok(ret)) {
+        signed = hub.Hub.checkSignature(version, commit.committer, commit.signature, publicKey);
+        ret = hub.Hub.admitCommit(self.committers, commit.committer, signed, self.get('requireSignatures'));
+        if (hub.ok(ret) && !hub.ok(signed)) self.flagCommit(version, commit.committer, signed);
+      }
+      if (!hub.ok(ret)) {
+        self.quarantinePack(version, raw, ret);
+        if (params.onFinish) params.onFinish.call(self, ret);
+      } else self._insertPack(version, pack, params.doCheckout, params.onFinish);
+    },
+    true, false,
+    function(error) {
+      if (params.onFinish) params.onFinish.call(self, error);
+    });
+  },
+
+  /**
+    Lists a received commit in unverifiedCommits, and tells the delegate 
+    about it.
+
+    @param {String} version the commit key
+    @param {String} committer who the commit claims to be by
+    @param {hub.Error} error why its signature could not be checked
+  */
+  flagCommit: function(version, committer, error) {
+    hub.debug(hub.fmt("Unverified commit %@: %@", version, error.get('message')));
+    if (!this.unverifiedCommits) this.unverifiedCommits = [];
+    this.unverifiedCommits.push({
+      version: version,
+      committer: committer,
+      error: error
+    });
+    if (this.delegate && this.delegate.hubDidReceiveUnverifiedCommit) {
+      this.delegate.hubDidReceiveUnverifiedCommit(this, version, committer, error);
+    }
+  },
+
+  /**
+    Adds (or replaces) the public key of an actor, so that commits signed by
+    them can be checked.
+
+    @param {String} email the actor, as in the committer of their commits
+    @param {String} publicKey see hub.schnorr.keyPair()
+    @param {Function} callback optional, called on the receiver when done
+  */
+  addActor: function(email, publicKey, callback) {
+    var self = this;
+    hub.debug("* addActor");
+    this.sendToDB(function(tx) {
+      tx.put('actor', { email: email, public_key: publicKey }, true);
+    },
+    null,
+    function() {
+      if (callback) callback.call(self);
+    },
+    true);
+  },
+
+  /**
+    Calls back with the actors in the actor table, as { email, publicKey } 
+    hashes sorted by email.
+
+    @param {Function} callback
+  */
+  actors: function(callback) {
+    var self = this,
+    ret = [];
+    this.sendToDB(function(tx) {
+      tx.select('actor', null, function(rows) {
+        ret = hub.Hub._hub_sortBy(rows, 'email').map(function(row) {
+          return { email: row['email'], publicKey: row['public_key'] };
+        });
+      });
+    },
+    null,
+    function() {
+      callback.call(self, ret);
+    },
+    true);
+  },
+
+  /**
+    Keeps a bad pack out of the database, in quarantinedPacks, and tells the
+    delegate about it.
+
+    @param {String} version the commit key the pack was for
+    @param {Object} pack the pack as it was received
+    @param {hub.Error} error why it was rejected
+  */
+  quarantinePack: function(version, pack, error) {
+    hub.debug(hub.fmt("Quarantined pack %@: %@", version, error.get('message')));
+    if (!this.quarantinedPacks) this.quarantinedPacks = [];
+    this.quarantinedPacks.push({
+      version: version,
+      pack: pack,
+      error: error
+    });
+    if (this.delegate && this.delegate.hubDidQuarantinePack) {
+      this.delegate.hubDidQuarantinePack(this, version, pack, error);
+    }
+  },
+
+  /** @private */
+  _insertPack: function(version, pack, doCheckout, callback) {
+    var self = this,
+    items = pack.items,
+    i = items.length,
+    commit_id,
     item,
-    sql,
-    values,
     data;
+    if (this._mustWait()) {
+      this._whenIdle(function() {
+        this._insertPack(version, pack, doCheckout, callback);
+      });
+      return;
+    }
+    // only once it's sure to be inserted, so commit ids go in insert order
     commit_id = self.nextCommitId();
+    self.goState(hub.Hub.WRITING); // Start writing records
 
-    hub.debug("* receivePack");
     self.sendToDB.call(self,
     function(tx) {
       while (i--) {
-        item = pack[i];
+        item = items[i];
         data = item.fields;
-        sql = insertSQL[item.model];
 
         switch (item.model) {
         case 'Data':
-          values = [
-          item.pk, new Date(data.created_on).getTime(), data.storage, data.bytes, data.metadata_count, hub.Store.generateStoreKey(), commit_id];
+          tx.put('data', {
+            key: item.pk, created_on: new Date(data.created_on).getTime(), storage: data.storage, 
+            bytes: data.bytes, metadata_count: data.metadata_count, 
+            store_key: hub.Store.generateStoreKey(), commit_id: commit_id
+          });
           break;
 
         case 'MetaData':
-          values = [item.pk, data.name, data.meta_uti, data.meta_creator, data.meta_editor, data.target_uti, data.target_creator, data.target_editor, data.target_position, data.storage, data.source, data.target, data.data_key, commit_id];
+          tx.put('meta_data', {
+            key: item.pk, name: data.name, 
+            meta_uti: data.meta_uti, meta_creator: data.meta_creator, meta_editor: data.meta_editor, 
+            target_uti: data.target_uti, target_creator: data.target_creator, target_editor: data.target_editor, 
+            target_position: data.target_position, storage: data.storage, 
+            source: data.source, target: data.target, data_key: data.data_key, commit_id: commit_id
+          });
           break;
 
         case 'Commit':
-          values = [item.pk, data.name, commit_id, data.commit_uti, // 4
-          data.commit_creator, data.commit_editor, data.merger, // 3
-          new Date(data.created_on).getTime(), data.ancestor_count, data.total_storage, //3
-          data.commit_storage, data.history_storage, data.data_key, // 3
-          data.commit_data, data.committer, // 3
-          data.ancestors]; // 1
+          tx.put('commits', {
+            key: item.pk, name: data.name, commit_id: commit_id, 
+            commit_uti: data.commit_uti, commit_creator: data.commit_creator, commit_editor: data.commit_editor, 
+            merger: data.merger, created_on: new Date(data.created_on).getTime(), ancestor_count: data.ancestor_count, 
+            total_storage: data.total_storage, commit_storage: data.commit_storage, history_storage: data.history_storage, 
+            data_key: data.data_key, commit_data: data.commit_data, committer: data.committer, 
+            ancestors: data.ancestors, signature: data.signature || null
+          });
           break;
         }
-
-        tx.executeSql(sql, values, undefined,
-        function(tx, err) {
-          hub.debug(err);
-          hub.debug(sql);
-          hub.debug(values);
-        });
       }
     },
     null,
     function() {
       self.commitKeys.add(version);
       self.commitIdsByKey[version] = commit_id;
-      self.goState(0);
-      if (doCheckout) {
-        hub.debug("Checking out after sync");
-        self._hub.head = version; // TODO: remove this, and setup mergeing properly. This is just for the demo.
-        self.checkoutLatest.call(self);
-      } else {
+      self.goState(hub.Hub.WAITING);
+      self._notifyObservers('hubDidReceiveCommit', version);
+      if (!doCheckout) {
         hub.debug("Not checking out just yet");
+        if (callback) callback.call(self, version);
+        return;
       }
-      // self.applyCommits(version);
+      hub.debug("Merging after sync");
+      self.applyCommits(version, function(ret) {
+        if (callback) callback.call(self, hub.ok(ret) ? version : ret);
+      });
     },
-    true);
+    true, false,
+    function(error) {
+      if (callback) callback.call(self, error);
+    });
 
   },
 
-  applyCommits: function(version) {
+  /**
+    Merges the commit `version`, which must already be in the database (see
+    receivePack()), into the current commit.  The optional callback is 
+    called on the receiver with the resulting current commit once the merge
+    is done, or with hub.Hub.COMMIT_NOT_FOUND_ERROR or 
+    hub.Hub.STORE_NOT_CLEAN_ERROR.
+
+    @param {String} version the commit key
+    @param {Function} callback optional
+  */
+  applyCommits: function(version, callback) {
     // check if this commit is part of this hub, if not, just return.
     if (!this.commitKeys.contains(version)) {
+      if (callback) callback.call(this, hub.Hub.COMMIT_NOT_FOUND_ERROR);
       return;
     }
 
     // 1. freeze any active references/branches/nested stores during the merge
-    var nestedStores = this.get('nestedStores'),
+    var self = this,
+    nestedStores = this.get('nestedStores'),
     loc1 = nestedStores ? nestedStores.get('length') : 0,
     loc2 = loc1;
     while (loc1--) {
-      nestedStores[loc1].freeze();
+      if (nestedStores[loc1].freeze) nestedStores[loc1].freeze();
     }
 
-    // 2. find the least-common-ancestor of the commit that came in and the root store
-    var lca = "",
-    current = this.get('currentCommit'); // TODO: fine lca
-    // 3. rollback the root store to the LCA
-    this.checkout(lca);
+    var unfreeze = function(ret) {
+      // 8. unfreeze the nested stores you froze in step 1
+      while (loc2--) {
+        if (nestedStores[loc2].unfreeze) nestedStores[loc2].unfreeze();
+      }
+      if (callback) callback.call(self, hub.ok(ret) ? self.get('currentCommit') : ret);
+    };
 
-    // 4. create nested store A and apply, in order, any local commits
-    var storeA = this.createEditingContext({}, hub.MergeHub);
-    storeA.goTo(current);
+    // 2. find the least-common-ancestor of the commit that came in and the root store
+    var current = this.get('currentCommit');
+    this.findLCA(current, version, function(lca) {
+      if (lca === version) {
+        hub.debug(hub.fmt("Commit %@ is already part of %@", version, current));
+        unfreeze();
+        return;
+      }
+      if (!current || lca === current) {
+        hub.debug(hub.fmt("Fast-forwarding %@ to %@", current, version));
+        self.checkout(version, {
+          onFinish: function(ret) {
+            if (!hub.ok(ret) || self.get('currentBranch')) unfreeze(ret);
+            else self._saveHead(version, unfreeze);
+          }
+        });
+        return;
+      }
 
-    // 5. create nested store B and apply, in order, whatever commits came in on the push after the LCA commit that is now the root store
-    var storeB = this.createEditingContext({}, hub.MergeHub);
-    storeB.goTo(version);
+      // 3. - 7. rollback the root store to the LCA (or to an empty store if
+      // the two commits share no history at all), and merge both heads into it
+      self._mergeFrom(lca || 'empty', current, version, null, unfreeze);
+    });
+  },
 
-    // 6. call Hub.merge(storeA, storeB) to merge the two stores down into the root store (making a new commit – be sure to record the commit ancestors properly)
-    this.merge(storeA, storeB);
+  /** @private
+    Rolls the receiver back to `base`, loads `versionA` and `versionB` into 
+    two MergeHubs and merges them down into the receiver (see merge()).  
+    `params` is handed to merge().
 
-    // 7. destroy the two nested stores you just created
-    storeA.destroy();
-    storeB.destroy();
+    The callback is called on the receiver with the key of the new commit, 
+    or null if the receiver may not commit (in which case it is put back at
+    `versionA`).
+  */
+  _mergeFrom: function(base, versionA, versionB, params, callback) {
+    var self = this,
+    finish = function(version) {
+      if (callback) callback.call(self, version);
+    },
+    commitParams = hub.mixin({}, params, { onFinish: finish });
 
-    // 8. unfreeze the nested stores you froze in step 1
-    while (loc2--) {
-      nestedStores[loc2].unfreeze();
-    }
+    this.checkout(base, {
+      onFinish: function(ret) {
+        if (!hub.ok(ret)) {
+          finish(ret);
+          return;
+        }
+        // 4. create nested store A and apply, in order, any local commits
+        var storeA = self.createEditingContext({}, hub.MergeHub);
+        storeA.goTo(versionA, function() {
+
+          // 5. create nested store B and apply, in order, whatever commits came in on the push after the LCA commit that is now the root store
+          var storeB = self.createEditingContext({}, hub.MergeHub);
+          storeB.goTo(versionB, function() {
+
+            // 6. call Hub.merge(storeA, storeB) to merge the two stores down into the root store (making a new commit – be sure to record the commit ancestors properly)
+            var committed = self.merge(storeA, storeB, commitParams);
+
+            // 7. destroy the two nested stores you just created
+            storeA.destroy();
+            storeB.destroy();
+
+            if (!committed) {
+              self.checkout(versionA, { onFinish: function() { finish(null); } });
+            }
+          });
+        });
+      }
+    });
+  },
+
+  /**
+    Makes a new commit on top of the current one that undoes the record 
+    changes made by `version`.
+
+    This is a three-way merge of the current commit and the parent of 
+    `version`, based on `version` itself, so later changes to the same 
+    records are kept and conflicts go to the delegate's hubDidHaveConflict()
+    just like they do for incoming commits.
+
+    The callback is called on the receiver with the key of the new commit,
+    null if the hub may not commit, hub.Hub.COMMIT_NOT_FOUND_ERROR, or
+    hub.Hub.STORE_NOT_CLEAN_ERROR.
+
+    @param {String} version the commit key
+    @param {Function} callback optional
+  */
+  revert: function(version, callback) {
+    this._pickCommit(version, true, callback);
+  },
+
+  /**
+    Makes a new commit on top of the current one that applies the record 
+    changes made by `version`, which can be on another branch, or have come 
+    in from another hub.
+
+    This is a three-way merge of the current commit and `version`, based on
+    the parent of `version`; conflicts go to the delegate's 
+    hubDidHaveConflict().  Only the current commit is recorded as the new 
+    commit's ancestor.
+
+    The callback is called on the receiver with the key of the new commit,
+    null if the hub may not commit, hub.Hub.COMMIT_NOT_FOUND_ERROR, or
+    hub.Hub.STORE_NOT_CLEAN_ERROR.
+
+    @param {String} version the commit key
+    @param {Function} callback optional
+  */
+  cherryPick: function(version, callback) {
+    this._pickCommit(version, false, callback);
   },
 
-  merge: function(storeA, storeB) {
+  /** @private */
+  _pickCommit: function(version, reverse, callback) {
     var self = this,
-    delegate = this.delegate;
-    if (delegate && delegate.hubDidStartMerge) delegate.hubDidStartMerge(self, storeA, storeB);
-    storeA.changedRecords.forEach(function(recordId) {
-      if (storeB.changedRecords.contains(recordId)) {
-        if (delegate && delegate.hubDidHaveConflict) {
-          delegate.hubDidHaveConflict(storeA, storeB, recordId);
-        }
+    current = this.get('currentCommit'),
+    commit = null;
+
+    hub.debug(reverse ? "* revert" : "* cherryPick");
+    this.sendToDB(function(tx) {
+      tx.select('commits', { key: version }, function(rows) {
+        if (rows.length > 0) commit = self._commitFromRow(rows[0]);
+      });
+    },
+    null,
+    function() {
+      if (!commit) {
+        if (callback) callback.call(self, hub.Hub.COMMIT_NOT_FOUND_ERROR);
+        return;
       }
+      // The parent of a merge commit is its first ancestor.
+      var parent = commit.ancestors[0] || 'empty',
+      params = {
+        name: reverse ? "revert" : "cherry-pick",
+        ancestors: current ? [current] : []
+      };
+      if (reverse) self._mergeFrom(version, current || 'empty', parent, params, callback);
+      else self._mergeFrom(parent, current || 'empty', version, params, callback);
+    },
+    true);
+  },
+
+  /**
+    Finds the least-common-ancestor (the merge base) of two commits by
+    walking the `ancestors` column of the commits table back from both of
+    them.
+
+    The callback is called on the receiver with the key of the LCA, or null
+    if the two commits share no history.
+
+    @param {String} versionA a commit key
+    @param {String} versionB a commit key
+    @param {Function} callback called with the LCA's commit key
+  */
+  findLCA: function(versionA, versionB, callback) {
+    var self = this,
+    commitsByKey = {};
+
+    if (!versionA || !versionB) {
+      callback.call(self, null);
+      return;
+    }
+
+    hub.debug("* findLCA");
+    this.sendToDB(function(tx) {
+      self._walkAncestors(tx, [versionA, versionB], commitsByKey);
+    },
+    null,
+    function() {
+      callback.call(self, hub.Hub.leastCommonAncestor(commitsByKey, versionA, versionB));
+    },
+    true);
+  },
+
+  /** @private
+    Loads the commits in `keys`, and then all of their ancestors, into
+    `commitsByKey` (see _commitFromRow()).  Each generation is one query, 
+    chained inside the same transaction.
+  */
+  _walkAncestors: function(tx, keys, commitsByKey) {
+    var self = this,
+    toLoad = keys.filter(function(key, idx) {
+      return key && !commitsByKey[key] && keys.indexOf(key) === idx;
+    });
+    if (toLoad.length === 0) return;
+
+    tx.select('commits', { key: toLoad }, function(rows) {
+      var next = [];
+      rows.forEach(function(row) {
+        var commit = self._commitFromRow(row);
+        commitsByKey[commit.key] = commit;
+        next.push.apply(next, commit.ancestors);
+      });
+      self._walkAncestors(tx, next, commitsByKey);
     });
   },
 
-  /** @private Default implementation of delegate method. */
-  hubDidHaveConflict: function(head1, head2, recordId) {
-    var K = hub.Record;
-    // if one is destroyed, automatically choose the other.
-    var record1 = head1.idFor(),
-    record2 = head2.idFor();
-    if (head1.readStatus(record1) & K.DESTROYED) return head2.readDataHash(record2);
-    if (head2.readStatus(record2) & K.DESTROYED) return head1.readDataHash(record1);
+  /** @private
+    Turns a row of the commits table into the commit hashes handed out by 
+    log() and friends.
+  */
+  _commitFromRow: function(row) {
+    return {
+      key: row['key'],
+      name: row['name'],
+      committer: row['committer'],
+      device: row['commit_creator'],
+      merger: row['merger'],
+      created_on: parseInt(row['created_on'], 10),
+      ancestors: hub.Hub.parseAncestors(row['ancestors']),
+      signature: row['signature'] || null,
+      commit_data: row['commit_data'],
+      data_key: row['data_key'],
+      total_storage: parseInt(row['total_storage'], 10) || 0,
+      commit_storage: parseInt(row['commit_storage'], 10) || 0,
+      history_storage: parseInt(row['history_storage'], 10) || 0
+    };
+  },
+
+  // ..........................................................
+  // HISTORY
+  // 
+
+  /**
+    Calls back with the history of `fromVersion` (the current commit by 
+    default): the commit itself and every commit reachable through its 
+    `ancestors`, as hashes with key, committer, device, created_on, commit_data, 
+    ancestors and the total_storage, commit_storage and history_storage 
+    counts.
+
+    Options:
 
-    // Else newest wins.
-    if (head1.created_on > head2.created_on) {
-      return head1.readDataHash(record1);
-    } else {
-      return head2.readDataHash(record2);
+     - order: hub.Hub.TOPO_ORDER (the default) lists every commit before its 
+       ancestors; hub.Hub.DATE_ORDER lists them newest first.
+     - actor: only list commits by this hub.Actor (or actor id).
+     - device: only list commits made on this hub.Device (or device id).
+     - committer: the same as actor.
+     - limit: list at most this many commits.
+
+    @param {String} fromVersion optional commit key to start from
+    @param {Hash} options optional
+    @param {Function} callback called with an array of commits
+  */
+  log: function(fromVersion, options, callback) {
+    if (hub.typeOf(options) === hub.T_FUNCTION) {
+      callback = options;
+      options = null;
+    }
+    if (!options) options = {};
+    if (!fromVersion) fromVersion = this.get('currentCommit');
+
+    var self = this,
+    commitsByKey = {};
+
+    if (!fromVersion) {
+      callback.call(self, []);
+      return;
     }
+
+    hub.debug("* log");
+    this.sendToDB(function(tx) {
+      self._walkAncestors(tx, [fromVersion], commitsByKey);
+    },
+    null,
+    function() {
+      var ret = hub.Hub.filterCommits(hub.Hub.sortCommits(commitsByKey, fromVersion, options.order), options);
+      if (options.limit) ret = ret.slice(0, options.limit);
+      callback.call(self, ret);
+    },
+    true);
+  },
+
+  /**
+    Three-way merges the heads in `storeA` and `storeB` into the receiver, 
+    which must have been rolled back to their least-common-ancestor.
+
+    Every record that changed on either side is compared, attribute by 
+    attribute, against its version at the LCA.  Attributes changed on only 
+    one side are merged automatically; attributes changed differently on 
+    both sides are resolved by the delegate's hubDidHaveConflict() (or the 
+    receiver's own, if there is no delegate).  A record destroyed on one side 
+    and edited on the other is kept, with the edits.
+
+    The merged records are then committed as a new commit whose ancestors are
+    the commits of `storeA` and `storeB`, unless `params` (which is handed to
+    commitRecords()) says otherwise.  The commit is made even if the heads 
+    made the same changes, so both of them are in its history.
+
+    @param {hub.MergeHub} storeA the local head
+    @param {hub.MergeHub} storeB the incoming head
+    @param {Hash} params optional commit params
+    @returns {Boolean} true if a merge commit was started
+  */
+  merge: function(storeA, storeB, params) {
+    var self = this,
+    K = hub.Record,
+    delegate = this.delegate,
+    storeKeys = hub.CoreSet.create();
+    if (delegate && delegate.hubDidStartMerge) delegate.hubDidStartMerge(self, storeA, storeB);
+
+    var resolve = function(recordId, key, baseValue, valueA, valueB) {
+      if (delegate && delegate.hubDidHaveConflict) {
+        return delegate.hubDidHaveConflict(self, storeA, storeB, recordId, key, baseValue, valueA, valueB);
+      }
+      return self.hubDidHaveConflict(self, storeA, storeB, recordId, key, baseValue, valueA, valueB);
+    };
+
+    var sideOf = function(store, storeKey, base) {
+      var change = store.changesByStoreKey[storeKey];
+      if (!change) return base; // unchanged since the LCA
+      return (change & K.DESTROYED) ? null: store.readDataHash(storeKey);
+    };
+
+    storeKeys.addEach(storeA.changedRecords);
+    storeKeys.addEach(storeB.changedRecords);
+    storeKeys.forEach(function(storeKey) {
+      var recordType = storeA.recordTypesByStoreKey[storeKey] || storeB.recordTypesByStoreKey[storeKey],
+      recordId = hub.Store.idFor(storeKey),
+      base = (self.peekStatus(storeKey) & K.READY) ? self.readDataHash(storeKey) : null,
+      hashA = sideOf(storeA, storeKey, base),
+      hashB = sideOf(storeB, storeKey, base),
+      merged;
+
+      if (!hashA && !hashB) merged = null; // destroyed on both sides
+      else if (!hashA) merged = (hashB === base) ? null: hashB;
+      else if (!hashB) merged = (hashA === base) ? null: hashA;
+      else {
+        merged = hub.Hub.mergeDataHashes(base, hashA, hashB, function(key, baseValue, valueA, valueB) {
+          return resolve(recordId, key, baseValue, valueA, valueB);
+        });
+      }
+
+      if (!merged) {
+        if (base) self.destroyRecord(recordType, recordId, storeKey);
+      } else if (base) {
+        self.writeDataHash(storeKey, merged, K.READY_DIRTY);
+        self.dataHashDidChange(storeKey);
+      } else {
+        self.createRecord(recordType, merged, recordId);
+      }
+    });
+
+    if (delegate && delegate.hubDidEndMerge) delegate.hubDidEndMerge(self, storeA, storeB);
+
+    return this.commitRecords(null, null, null, hub.mixin({
+      ancestors: [storeA.get('currentCommit'), storeB.get('currentCommit')],
+      allowEmpty: true
+    }, params));
+  },
+
+  /** @private 
+    Default implementation of delegate method: the value from the most 
+    recent commit wins.
+  */
+  hubDidHaveConflict: function(aHub, storeA, storeB, recordId, key, baseValue, valueA, valueB) {
+    return (storeA.get('createdOn') > storeB.get('createdOn')) ? valueA: valueB;
   },
 
   retrieveRecord: function(storeKey, id) {
+    var self = this;
     hub.debug("* retrieveRecord");
     this.sendToDB(function(tx) {
-      tx.executeSql("SELECT * FROM data WHERE store_key = ?", [storeKey],
-      function(tx, result) {
-        if (result.rows.length > 0) {
-          var row = result.rows.item(0),
-          record = JSON.parse(row['bytes']);
-          // Bonsai.debug['row'] = row;
-          self.dataSourceDidComplete(storeKey, record);
+      tx.select('data', { store_key: storeKey }, function(rows) {
+        if (rows.length > 0) {
+          self.dataSourceDidComplete(storeKey, JSON.parse(rows[0]['bytes']));
         } else {
           hub_error();
         }
-      },
-      function(tx, error) {
-        self.dataSourceDidError(storeKey, error);
       });
     });
   },
 
-  packListUrl: "/packs/keys/",
-  sync: function() {
-    var self = this;
-    // get list of remote commits.
-    hub.Request.getUrl(self.packListUrl).set('isJSON', true).notify(this, this._didGetPackList, {
-      dataSource: self
-    }).send();
+  /**
+    Syncs with the remote through the transport: gets and receives every 
+    commit the remote has that the receiver doesn't (ancestors first), merges
+    the newest of them into the current commit (see applyCommits()), and
+    sends every commit the remote doesn't have.
+
+    What to transfer is worked out by walking the commit graph down from the
+    heads on both sides (see negotiate()), so only missing commits are looked
+    at.  Transports that can't list their heads are synced by diffing the 
+    full list of remote commit keys instead.
+
+    Actors who may not commit to the hub (see committers) only pull.  
+    Private and archived hubs don't sync at all (see hubs()).
+
+    The callback is called on the receiver with { pulled, pushed } arrays of
+    commit keys, or with a hub.Error.
+
+    @param {Function} callback optional
+  */
+  sync: function(callback) {
+    var self = this,
+    transport = this.get('transport');
+    if (!transport) {
+      if (callback) callback.call(self, hub.Hub.NO_TRANSPORT_ERROR);
+      return;
+    }
+    if (this._hub.isPrivate || this._hub.isArchived) {
+      if (callback) callback.call(self, this._hub.isPrivate ? hub.Hub.PRIVATE_HUB_ERROR : hub.Hub.ARCHIVED_HUB_ERROR);
+      return;
+    }
+    transport.getHeads(this, function(remoteHeads) {
+      if (remoteHeads === hub.SyncTransport.NOT_IMPLEMENTED_ERROR) {
+        // get list of remote commits.
+        transport.getCommitKeys(self, function(remoteKeys) {
+          if (!hub.ok(remoteKeys)) {
+            if (callback) callback.call(self, remoteKeys);
+            return;
+          }
+          self._didGetPackList(remoteKeys, callback);
+        });
+        return;
+      }
+      if (!hub.ok(remoteHeads)) {
+        if (callback) callback.call(self, remoteHeads);
+        return;
+      }
+      self.negotiate(remoteHeads, function(ret) {
+        if (!hub.ok(ret)) {
+          if (callback) callback.call(self, ret);
+          return;
+        }
+        self._transferPacks(hub.keys(ret.toPush), hub.keys(ret.toPull), ret.toPull, callback);
+      });
+    });
   },
-  _didGetPackList: function(request, params) {
-    // Local commits: self.commitKeys {hub.CoreSet}
-    var self = params.dataSource,
+
+  /**
+    Works out which commits to transfer, given the remote's heads, without 
+    listing every commit on either side:
+
+     - walking down from the remote heads, the transport is asked about 
+       each generation of commits the receiver doesn't have, until every 
+       path reaches a commit it does have;
+     - walking down from the receiver's heads (the current commit and every
+       branch and tag), the transport is asked which of each generation the
+       remote has, until every path reaches one it does.
+
+    Each generation is one round trip.  The callback is called on the 
+    receiver with { toPull, toPush } hashes of commits by key, or with a 
+    hub.Error.
+
+    @param {Array} remoteHeads the remote's head commit keys
+    @param {Function} callback
+  */
+  negotiate: function(remoteHeads, callback) {
+    var self = this,
+    transport = this.get('transport'),
     localKeys = this.commitKeys,
-    remoteKeys = hub.CoreSet.create(request.get('response')),
-    // figure out which need to go up
-    // and which need to go down.
-    toPush = localKeys.copy().removeEach(remoteKeys),
-    toPull = remoteKeys.copy().removeEach(localKeys),
-    pullLen = toPull.length - 1;
-    // pull
-    toPull.forEach(function(version, idx) {
-      hub.debug(hub.fmt("  Getting Pack: %@", version));
-      if (idx === pullLen) {
-        hub.debug(hub.fmt(" ### get pack %@ of %@", idx, pullLen));
-        self.getPack.call(self, version, true);
-      } else {
-        hub.debug(hub.fmt(" ## get pack %@ of %@", idx, pullLen));
-        self.getPack.call(self, version);
+    remoteHas = {};
+
+    remoteHeads.forEach(function(key) {
+      remoteHas[key] = true;
+    });
+
+    // what the remote has that we don't
+    var pullLookup = function(keys, done) {
+      transport.getCommits(self, keys, function(commits) {
+        if (!hub.ok(commits)) {
+          done(commits);
+          return;
+        }
+        var ret = {};
+        keys.forEach(function(key) {
+          if (commits[key]) {
+            ret[key] = commits[key];
+            remoteHas[key] = true;
+          }
+        });
+        done(ret);
+      });
+    };
+
+    // what we have that the remote doesn't
+    var pushLookup = function(keys, done) {
+      transport.getCommits(self, keys, function(commits) {
+        if (!hub.ok(commits)) {
+          done(commits);
+          return;
+        }
+        var missing = keys.filter(function(key) {
+          return !commits[key];
+        });
+        self._loadCommits(missing, done);
+      });
+    };
+
+    hub.Hub.walkMissing(remoteHeads, function(key) {
+      return localKeys.contains(key);
+    }, pullLookup, function(toPull) {
+      if (!hub.ok(toPull)) {
+        callback.call(self, toPull);
+        return;
       }
+      self._localHeads(function(localHeads) {
+        hub.Hub.walkMissing(localHeads, function(key) {
+          return !!remoteHas[key] || !localKeys.contains(key);
+        }, pushLookup, function(toPush) {
+          if (!hub.ok(toPush)) callback.call(self, toPush);
+          else callback.call(self, { toPull: toPull, toPush: toPush });
+        });
+      });
     });
-    // push
-    toPush.forEach(function(version) {
-      var cid = self.commitIdsByKey[version];
-      hub.debug(hub.fmt("  Sending Pack: %@ - %@", version, cid));
-      self.sendPack.call(self, version, cid);
-      hub.debug("... sent!");
+  },
+
+  /** @private
+    Calls back with the keys of the current commit and of every branch and 
+    tag.
+  */
+  _localHeads: function(callback) {
+    var current = this.get('currentCommit');
+    this.references(function(references) {
+      var ret = current ? [current] : [];
+      references.forEach(function(reference) {
+        if (reference.commit && ret.indexOf(reference.commit) < 0) ret.push(reference.commit);
+      });
+      callback.call(this, ret);
     });
-    // checkout latest ?
-    // self.invokeLater('checkoutLatest', 800, store);
   },
 
-  openHubDialog: function(viewFun) {
-    var self = this;
+  /** @private
+    Calls back with the commits in `keys` (see _commitFromRow()), by key.
+  */
+  _loadCommits: function(keys, callback) {
+    var self = this,
+    ret = {};
+    if (keys.length === 0) {
+      callback.call(self, ret);
+      return;
+    }
     this.sendToDB(function(tx) {
-      var sql = "SELECT * FROM hubs WHERE meta_uti = ?";
-      tx.executeSql(sql, [self.get('uti')],
-      function(tx, res) {
-        var i = res.rows.length,
-        row, hub, hubs = [];
-        while (i--) {
-          row = res.rows.item(i);
-          hubs.unshift({
-            key: row['key'],
-            name: row['name']
+      tx.select('commits', { key: keys }, function(rows) {
+        rows.forEach(function(row) {
+          var commit = self._commitFromRow(row);
+          ret[commit.key] = commit;
+        });
+      });
+    },
+    null,
+    function() {
+      callback.call(self, ret);
+    },
+    true);
+  },
+
+  _didGetPackList: function(remoteKeys, callback) {
+    // Local commits: self.commitKeys {hub.CoreSet}
+    var localKeys = this.commitKeys,
+    // figure out which need to go up
+    // and which need to go down.
+    toPush = localKeys.copy().removeEach(remoteKeys).toArray(),
+    toPull = hub.CoreSet.create(remoteKeys).removeEach(localKeys).toArray();
+    this._transferPacks(toPush, toPull, {}, callback);
+  },
+
+  /** @private
+    Sends the packs in `toPush`, one at a time, then gets every pack in 
+    `toPull`, receives them ancestors first and merges the new tips into the
+    current commit.
+    `commitsByKey` has whatever is already known about the commits in 
+    `toPull`.
+  */
+  _transferPacks: function(toPush, toPull, commitsByKey, callback) {
+    var self = this,
+    transport = this.get('transport'),
+    packsByKey = {},
+    pending = toPull.length,
+    failed = null;
+
+    var finish = function(ret) {
+      if (callback) callback.call(self, ret);
+    };
+
+    // pull every pack, then receive them ancestors first
+    var receive = function() {
+      var order = hub.Hub.ancestorsFirst(commitsByKey),
+      tips = hub.Hub.tips(commitsByKey);
+      // packs without their commit go last, to be quarantined
+      order.push.apply(order, toPull.filter(function(version) {
+        return !commitsByKey[version];
+      }));
+      var next = function(ret) {
+        if (!hub.ok(ret)) {
+          finish(ret);
+          return;
+        }
+        var version = order.shift();
+        if (version) {
+          self.receivePack(packsByKey[version], {
+            version: version,
+            dataSource: self,
+            isInternal: true,
+            onFinish: next
           });
-          viewFun(hubs);
+          return;
         }
-      },
-      self._error);
-    },
-    null, null, true, true);
+        // merge what came in
+        version = tips.pop();
+        if (version) self.applyCommits(version, next);
+        else finish({ pulled: toPull, pushed: toPush });
+      };
+      next(true);
+    };
+
+    var pull = function() {
+      if (pending === 0) {
+        receive();
+        return;
+      }
+      toPull.forEach(function(version) {
+        hub.debug(hub.fmt("  Getting Pack: %@", version));
+        transport.getPack(self, version, function(pack) {
+          if (!hub.ok(pack)) failed = pack;
+          else {
+            packsByKey[version] = pack;
+            commitsByKey[version] = hub.Hub.commitInPack(pack, version);
+          }
+          if (--pending > 0) return;
+          if (failed) finish(failed);
+          else receive();
+        });
+      });
+    };
+
+    // push, in the order the commits were made here, so the remote always 
+    // has a commit's ancestors before the commit itself (only committers
+    // may push, though; everyone else just pulls)
+    if (!self.mayCommit()) toPush = [];
+    var queue = toPush.slice().sort(function(a, b) {
+      return self.commitIdsByKey[a] - self.commitIdsByKey[b];
+    });
+    var push = function(ret) {
+      if (!hub.ok(ret)) {
+        finish(ret);
+        return;
+      }
+      var version = queue.shift();
+      if (!version) {
+        pull();
+        return;
+      }
+      hub.debug(hub.fmt("  Sending Pack: %@ - %@", version, self.commitIdsByKey[version]));
+      self.sendPack(version, self.commitIdsByKey[version], push);
+    };
+    push(true);
   },
+
   openHub: function(hubKey, hubName) {
+    var self = this;
     this._hub = {
       key: hubKey,
       name: hubName,
       head: null,
       setup: false,
-      db: null
+      db: null,
+      forkedFrom: null,
+      isPrivate: false,
+      isArchived: false,
+      storage: 0
     };
-    this.checkoutLatest();
-  },
-
-  saveAsDialog: function() {
-
-},
-  saveAs: function(hubKey, hubName) {
-    var self = this;
+    this.commitKeys = hub.CoreSet.create();
+    this.committers = {};
+    this.observers = {};
+    this._pendingNotifications = {};
     this.sendToDB(function(tx) {
-      var sql = "UPDATE hub SET name = ? WHERE key = ?",
-      values = [hubName, hubKey];
-
-      tx.executeSql(sql, values,
-      function(tx, res) {
-
-},
-      self._error);
-    });
+      tx.select('hub', { key: hubKey }, function(rows) {
+        if (rows.length > 0) self._loadHub(rows[0]);
+      });
+      self._selectHubState(tx);
+    },
+    null,
+    function() {
+      self.checkoutLatest();
+    },
+    true, true);
   },
 
   ensureHubName: function() {
     hub_precondition(this.kindOf && this.kindOf(hub.Hub));
-    if (hub.empty(this._hub.name)) {
-      var newHubName = prompt("What name do you want to save this sproutHub file as?", "MyHub");
-      this._hub['name'] = newHubName ? newHubName: 'MyHub';
-    }
+    // Rename it with renameHub().
+    if (hub.empty(this._hub.name)) this._hub['name'] = 'MyHub';
   },
 
   // TODO: add forced ... at some point.
+  /**
+    Rolls the store forward or back to `version`.  Checking out 'empty' 
+    leaves the store without any records.
+
+    Pass `params.onFinish` to be called on the receiver once the records of 
+    `version` are in the store.  If the store has uncommitted changes, 
+    nothing is checked out: checkout() returns STORE_NOT_CLEAN_ERROR, and 
+    `params.onFinish` is called with it.  Without a `version`, the hub's 
+    head is checked out (see checkoutLatest()).  Checkouts made while the 
+    hub is busy are queued, like commits.
+
+    @param {String} version the commit key to checkout
+    @param {Hash} params optional checkout parameters
+  */
   checkout: function(version, params) {
     hub_precondition(this.kindOf && this.kindOf(hub.Hub));
-    if (!version) {
-      this.checkoutLatest();
-      return;
-    }
+    if (!version) return this.checkoutLatest(params);
     if (!params) params = {};
-    if (this.get('checkingOut') === version) {
-      hub.debug("Already checking out this version");
-      return false;
-    }
-    if (this.state !== 0) {
-      alert("Checkout called with wrong state: (" + this.state + ")");
-      return false;
-    }
     if (this.get('currentCommit') === version) {
       hub.debug("Already checked out this version");
+      if (params.onFinish) params.onFinish.call(this);
       return false;
     }
-    this.set('checkingOut', version);
-    this.goState(4);
+    if (this._mustWait()) {
+      hub.debug(hub.fmt("Hub is busy (%@), checking out later", this.state));
+      this._whenIdle(function() {
+        this.checkout(version, params);
+      });
+      return true;
+    }
     if (!this.isClean()) {
-      alert('You tried to checkout while the store was not clean. Please commit changes first.');
-      this.goState(0);
-      return false;
+      hub.debug("The store has changes, commit them before checking out");
+      if (params.onFinish) params.onFinish.call(this, hub.Hub.STORE_NOT_CLEAN_ERROR);
+      return hub.Hub.STORE_NOT_CLEAN_ERROR;
     }
+    this.set('checkingOut', version);
+    this.goState(hub.Hub.CHECKING_OUT);
     var self = this,
-    currentCommit = self.currentCommit,
-    storeKeys = {},
     dataByKey = {},
     currentKeys = hub.CoreSet.create(),
     targetKeys = hub.CoreSet.create();
 
     // if (!forced) forced = false;
-    // find commit
-    // Not implimented yet
-    // find store
     hub.debug("* checkout");
     this.sendToDB(function(tx) {
-      var storeKeySql = "SELECT data.store_key, data.key, commits.key as commitKey, src_md.name as type, data.bytes" + " FROM data" + " JOIN meta_data ON (data.key = meta_data.target)" + " JOIN meta_data AS src_md ON (meta_data.source = src_md.target)" + " JOIN commits ON (commits.commit_id = src_md.commit_id)" + " WHERE data.store_key IS NOT NULL" + " AND commits.key IN (?,?)",
-      storeKeyValues = [currentCommit, version];
-      tx.executeSql(storeKeySql, storeKeyValues,
-      function(tx, res) {
-        var si = res.rows.length,
-        S = hub.Store,
+      self._selectSnapshot(tx, version, function(tx, rows) {
+        var S = hub.Store,
         K = hub.Record,
-        data, recordType, recordId, storeKeysById, storeKey, opts;
-        while (si--) {
-          var row = res.rows.item(si),
-          sKey = parseInt(row['store_key'], 10);
-          if (row['commitKey'] == currentCommit) {
-            currentKeys.add(sKey);
-          } else {
-            targetKeys.add(sKey);
-          }
-          dataByKey[sKey] = {
-            type: row['type'],
-            pk: row['key'],
-            bytes: JSON.parse(row['bytes'])
-          };
-        }
+        data, recordType, recordId, storeKeysById, opts;
+        rows.forEach(function(row) {
+          targetKeys.add(row.storeKey);
+          dataByKey[row.storeKey] = row;
+        });
+        // Whatever is loaded right now is what we are moving away from.
+        (self.storeKeys() || []).forEach(function(storeKey) {
+          if (self.peekStatus(storeKey) & K.READY) currentKeys.add(storeKey);
+        });
         var toDelete = currentKeys.copy().removeEach(targetKeys),
         toCreate = targetKeys.copy().removeEach(currentKeys);
 
-        opts = this.changedRecords ? {
+        opts = self.changedRecords ? {
           recordChange: true
         }: undefined;
         toDelete.forEach(function(storeKey) {
           hub_precondition(typeof storeKey === hub.T_NUMBER);
-          // data = dataByKey[storeKey];
-          self.removeRecord(storeKey, opts);
+          self.removeRecord(storeKey, null, opts);
         });
 
         toCreate.forEach(function(storeKey) {
           hub_precondition(typeof storeKey === hub.T_NUMBER);
           data = dataByKey[storeKey];
-          recordType = hub.objectForPropertyPath(data['type']);
-          recordId = data.bytes[recordType.prototype.primaryKey];
+          recordType = hub.objectForPropertyPath(data.type);
+          recordId = data.id;
           storeKeysById = recordType.storeKeysById();
           storeKeysById[recordId] = storeKey;
-          S.idsByStoreKey[storeKey] = data['key'];
+          S.idsByStoreKey[storeKey] = recordId;
           S.recordTypesByStoreKey[storeKey] = recordType;
-          self.writeDataHash(storeKey, data['bytes'], K.READY_CLEAN); // TODO: is this right?
+          self.writeDataHash(storeKey, data.dataHash, K.READY_CLEAN); // TODO: is this right?
           self.dataHashDidChange(storeKey);
           if (opts) { // we are in a nestedHub
-            this.changedRecords.add(recordId); // So, lets record what has changed.
-            this.changesById[recordId] = K.DIRTY; // and how it was changed.
+            self.changedRecords.add(storeKey); // So, lets record what has changed.
+            self.changesByStoreKey[storeKey] = K.READY_NEW; // and how it was changed.
+            self.recordTypesByStoreKey[storeKey] = recordType;
           }
         });
-      },
-      function(tx, err) {
-        hub.debug("Error in Checkout.");
-        hub.debug(err);
-        return false;
       });
     },
     null,
     function() {
       self.set('currentCommit', version);
       self.set('checkingOut', null);
-      this.goState(0);
+      this.goState(hub.Hub.WAITING);
+      if (params.onFinish) params.onFinish.call(self);
     },
-    true);
+    true, false,
+    function(error) {
+      self.set('checkingOut', null);
+      if (params.onFinish) params.onFinish.call(self, error);
+    });
   },
-  checkoutLatest: function() {
-    hub_precondition(this.kindOf(hub.Hub));
-    if (!this._hub || !this._hub.head) return;
-    hub_precondition(this._hub.head);
-    var commit, self = this;
-    hub.debug("* checkoutLatest");
+  /**
+    Reads every record of a commit without touching the store.
+
+    The callback is called on the receiver with the records, in the form
+    { "App.Task": { recordId: dataHash } }, and the commit row itself (or
+    null if the commit is unknown).
+
+    @param {String} version the commit key
+    @param {Function} callback called with the snapshot and the commit
+  */
+  readSnapshot: function(version, callback) {
+    var self = this,
+    snapshot = {},
+    commit = null;
+
+    hub.debug("* readSnapshot");
     this.sendToDB(function(tx) {
-      // Select the first hub that is part of this application.
-      var sql = "SELECT * FROM commits WHERE key = ?";
-      tx.executeSql(sql, [self._hub.head],
-      function(tx, res) {
-        if (res.rows.length > 0) {
-          // We have a hub, so checkout the latest commit from that hub.
-          var row = res.rows.item(0);
-          commit = row['key'];
-          self.databaseDesc = self.databaseName = row['hub_name'];
-        }
+      tx.select('commits', { key: version }, function(rows) {
+        if (rows.length > 0) commit = rows[0];
+      });
+      self._selectSnapshot(tx, version, function(tx, rows) {
+        snapshot = self._snapshotFromRows(rows);
       });
     },
     null,
     function() {
-      if (commit) {
-        hub.debug(hub.fmt("Checking out %@", commit));
-        self.checkout.call(self, commit);
-      } else {
-        hub.debug("Found no commits to checkout.");
-      }
+      callback.call(self, snapshot, commit);
     },
     true);
   },
 
-  createHub: function(tx, params) {
-    if (!this._hub.key) this._hub.key = hub.uuid();
+  /**
+    Compares two commits, calling back with the records that were created, 
+    updated and destroyed between `versionA` and `versionB`, grouped by 
+    record type.  See hub.Hub.diffSnapshots() for the format.
+
+    Pass 'empty' as `versionA` to diff against an empty hub.
+
+    @param {String} versionA the commit key to compare from
+    @param {String} versionB the commit key to compare to
+    @param {Function} callback called with the differences
+  */
+  diff: function(versionA, versionB, callback) {
     var self = this,
-    insertHubSql = self.insertSQL['Hub'],
-    name = (self._hub.name || "DefaultName"),
-    insertHubValues = [self._hub.key, name, self.get('uti'), params.creator, params.editor || "", 0, 0, params.version, "", ""];
-    self._hub.name = name;
-    // TODO: Make sure this actually does stuff
-    // insertHubSql = "COMMIT; BEGIN TRANSACTION; "+insertHubSql+"; COMMIT; BEGIN TRANSACTION; ";
-    tx.executeSql(insertHubSql, insertHubValues,
-    function(tx, res) {
-      hub.debug(hub.fmt("Created Hub: %@: %@", self._hub.name, self._hub.key));
+    snapshotA = {},
+    snapshotB = {};
+
+    hub.debug("* diff");
+    this.sendToDB(function(tx) {
+      self._selectSnapshot(tx, versionA, function(tx, rows) {
+        snapshotA = self._snapshotFromRows(rows);
+      });
+      self._selectSnapshot(tx, versionB, function(tx, rows) {
+        snapshotB = self._snapshotFromRows(rows);
+      });
+    },
+    null,
+    function() {
+      callback.call(self, hub.Hub.diffSnapshots(snapshotA, snapshotB));
     },
-    self._error);
+    true);
   },
 
-  startUp: function() {
-    hub_precondition(this.kindOf(hub.Hub));
-    var self = this;
-    hub.debug("* startUp hub");
-    self.sendToDB(function(tx) {
-      tx.executeSql("SELECT * FROM hub WHERE meta_uti = ?", [self.get('uti')],
-      function(tx, res) {
-        if (res.rows.length > 0) {
-          var row = res.rows.item(0);
-          self._hub.key = row['key'];
-          self._hub['name'] = row['name'];
-          self._hub.head = row['head'];
-          hub.debug(hub.fmt("Loading hub: %@; %@", self._hub.key, self._hub.name));
-        } else {
-          self.createHub.call(self, tx, {
-            version: 'empty',
-            creator: self.get('currentTask'),
-            editor: ''
-          });
-        }
+  /**
+    Calls back with every version of one record in the history of 
+    `fromVersion` (the current commit by default), newest first.  Each entry 
+    is a hash with:
 
-        tx.executeSql("SELECT * FROM hub_commit WHERE hub = ?", [self._hub.key],
-        function(tx, res) {
-          var i = res.rows.length,
-          row;
-          // hub.debug(hub.fmt("^ adding %@ commits for hub %@", i, self._hub.key)) ;
-          while (i--) {
-            row = res.rows.item(i);
-            // hub.debug(hub.fmt("Adding commit %@", row['commit'])) ;
-            self.commitKeys.add(row['commit']);
-            self.commitIdsByKey[row['commit']] = parseInt(row['commit_id'], 10);
-          }
-          // hub.debug(self.commitKeys.toString()) ;
-        },
-        self._error);
+     - commit, committer, created_on: the commit that made this version
+     - editor: who edited the record (meta_editor, or meta_creator for the 
+       version that created it)
+     - dataHash: the record's data hash, or null if the commit destroyed it
+     - destroyed: true if the commit destroyed the record
 
-      },
-      self._error);
+    @param {hub.Record} recordType the record type
+    @param {String} recordId the record's id
+    @param {String} fromVersion optional commit key to start from
+    @param {Function} callback called with an array of versions
+  */
+  recordHistory: function(recordType, recordId, fromVersion, callback) {
+    if (hub.typeOf(fromVersion) === hub.T_FUNCTION) {
+      callback = fromVersion;
+      fromVersion = null;
+    }
+    if (!fromVersion) fromVersion = this.get('currentCommit');
+    this._loadRecordStates(recordType, recordId, fromVersion, function(commitsByKey, statesByCommit) {
+      callback.call(this, hub.Hub.recordHistory(commitsByKey, statesByCommit, fromVersion));
+    });
+  },
 
-    },
-    null, self.setup, true, true); // sendToDB('hub')
+  /**
+    Calls back with, for each attribute of a record as of `fromVersion` (the
+    current commit by default), the commit that last changed it:
+
+    {{{
+      { attribute: { commit: key, committer: String, created_on: Number, 
+        editor: String, value: Object } }
+    }}}
+
+    Calls back with null if the record does not exist in `fromVersion`.
+
+    @param {hub.Record} recordType the record type
+    @param {String} recordId the record's id
+    @param {String} fromVersion optional commit key to start from
+    @param {Function} callback called with the blame hash
+  */
+  blame: function(recordType, recordId, fromVersion, callback) {
+    if (hub.typeOf(fromVersion) === hub.T_FUNCTION) {
+      callback = fromVersion;
+      fromVersion = null;
+    }
+    if (!fromVersion) fromVersion = this.get('currentCommit');
+    this._loadRecordStates(recordType, recordId, fromVersion, function(commitsByKey, statesByCommit) {
+      callback.call(this, hub.Hub.blameRecord(commitsByKey, statesByCommit, fromVersion));
+    });
   },
 
-  settingUp: false,
-  setup: function() { // Run after we have done the previous
-    var self = this;
-    if (hub.empty(self._hub.key)) return; // we don't have a hub setup yet, so wait until we do.
-    hub_precondition(!self.settingUp);
-    self.settingUp = true;
-    hub.debug("* startUp store");
-    self.sendToDB(function(tx) {
-      // Set the max storeKey for the store.
-      tx.executeSql("SELECT MAX(store_key)+1 AS max FROM data", [],
-      function(tx, results) {
-        var max;
-        try {
-          max = parseInt(results.rows.item(0)['max'], 10);
-        } catch(e) {
-          max = 1;
-        }
-        if (isNaN(max)) max = 1;
-        hub_precondition(typeof max === hub.T_NUMBER);
-        self.setMaxStoreKey(max);
-        self.checkoutLatest.call(self);
-      },
-      self._error);
+  /** @private
+    Loads the history of `fromVersion`, plus the state of one record in each
+    of its commits as { dataKey, dataHash, editor } hashes by commit key.  A
+    record follows the metaData[recordId] link records that addRecords() 
+    writes.
+  */
+  _loadRecordStates: function(recordType, recordId, fromVersion, callback) {
+    var self = this,
+    commitsByKey = {},
+    statesByCommit = {};
 
-      // Get the current max commit count.
-      tx.executeSql("SELECT MAX(commit_id) as max FROM commits", [],
-      function(tx, res) {
-        var max = parseInt(res.rows.item(0)['max'], 10);
-        if (isNaN(max)) max = 0;
-        self.currentCommitId = max;
-      },
-      self._error);
-
-      tx.executeSql("SELECT commit_id, key FROM commits", [],
-      function(tx, res) {
-        var i = res.rows.length,
-        row;
-        while (i--) {
-          row = res.rows.item(i);
-          // self.commitKeys.add(row['key']) ; // This is now done in startUp, from the hubs DB
-          self.commitIdsByKey[row['key']] = parseInt(row['commit_id'], 10);
-        }
-      },
-      self._error);
+    if (!fromVersion) {
+      callback.call(self, commitsByKey, statesByCommit);
+      return;
+    }
+
+    hub.debug("* loadRecordStates");
+    this.sendToDB(function(tx) {
+      self._walkAncestors(tx, [fromVersion], commitsByKey);
+      // Walk the links back up from the record to every commit it is in.
+      tx.select('meta_data', { name: recordId }, function(instLinks) {
+        tx.select('meta_data', { name: recordType.toString(), target: hub.Hub._hub_column(instLinks, 'source') }, function(typeLinks) {
+          tx.select('commits', { data_key: hub.Hub._hub_column(typeLinks, 'source') }, function(commits) {
+            tx.select('data', { key: hub.Hub._hub_column(instLinks, 'target') }, function(dataRows) {
+              var results = hub.Hub._hub_follow(commits, typeLinks, instLinks, dataRows),
+              chunked = [];
+              results.forEach(function(row) {
+                if (row.data['bytes'] === null) chunked.push(row.data['key']);
+              });
+              self._readChunks(tx, chunked, function(tx, bytesByKey) {
+                results.forEach(function(row) {
+                  var key = row.data['key'];
+                  statesByCommit[row.commit['key']] = {
+                    dataKey: key,
+                    dataHash: JSON.parse(row.data['bytes'] === null ? bytesByKey[key] : row.data['bytes']),
+                    editor: row.inst['meta_editor'] || row.inst['meta_creator']
+                  };
+                });
+              });
+            });
+          });
+        });
+      });
     },
     null,
     function() {
-      // self.sync(store);
-      self._hub.setup = true;
-      self.settingUp = false;
-      // TODO: Make startup Hook?
+      callback.call(self, commitsByKey, statesByCommit);
     },
-    true); // sendToDB(store)
+    true);
   },
 
-  _dbs: {},
-  // Holds databases for 'SproutHub' and <hubKey>
-  _sqlQueue: [],
-  _sqlInternalQueue: [],
-  /** 
-    Add State check, and only run when not touching DB.
-    If not in correct state, then add to FIFO queue, and invokeLater sendToDB
+  /** @private */
+  _snapshotFromRows: function(rows) {
+    var ret = {};
+    rows.forEach(function(row) {
+      if (!ret[row.type]) ret[row.type] = {};
+      ret[row.type][row.id] = row.dataHash;
+    });
+    return ret;
+  },
+
+  /** @private
+    Selects the records of a commit, calling back with an array of
+    { type, id, key, storeKey, dataHash } hashes.  The records of a commit 
+    hang off its store data item: commit -> store (data_key) -> record type 
+    links -> record instance links -> data.
   */
-  sendToDB: function(func, noDB, onFinish, internal, isHub) {
-    hub_precondition(this.kindOf && this.kindOf(hub.Hub)); // Make sure we are in the correct context.
-    hub_precondition(this.dbState !== 'c', "Database is in error state.");
+  _selectSnapshot: function(tx, version, callback) {
     var self = this,
-    dbName, dbDesc;
-    if (this.dbState === "b" || (this.state === 4 && this._sqlInternalQueue.length > 0 && !internal)) {
-      if (internal) {
-        this._sqlInternalQueue.push(arguments);
-      } else {
-        this._sqlQueue.push(arguments);
-      }
-      // this.invokeLast("invokeSendToDB");
-      setTimeout(function() {
-        self.invokeSendToDB.apply(self);
-      },
-      500);
+    column = hub.Hub._hub_column;
+    tx.select('commits', { key: version }, function(commits) {
+      tx.select('meta_data', { source: column(commits, 'data_key') }, function(typeLinks) {
+        tx.select('meta_data', { source: column(typeLinks, 'target') }, function(instLinks) {
+          tx.select('data', { key: column(instLinks, 'target') }, function(dataRows) {
+            var results = hub.Hub._hub_follow(commits, typeLinks, instLinks, dataRows),
+            chunked = [];
+            results.forEach(function(row) {
+              if (row.data['bytes'] === null) chunked.push(row.data['key']);
+            });
+            self._readChunks(tx, chunked, function(tx, bytesByKey) {
+              callback(tx, results.map(function(row) {
+                var key = row.data['key'];
+                return {
+                  type: row.type['name'],
+                  id: row.inst['name'],
+                  key: key,
+                  storeKey: parseInt(row.data['store_key'], 10),
+                  dataHash: JSON.parse(row.data['bytes'] === null ? bytesByKey[key] : row.data['bytes'])
+                };
+              }));
+            });
+          });
+        });
+      });
+    });
+  },
+
+  /** @private
+    Reassembles the bytes of the chunked data items in `keys` (see 
+    _addChunks()), calling back with the bytes by data key.
+  */
+  _readChunks: function(tx, keys, callback) {
+    var bytesByKey = {};
+    if (keys.length === 0) {
+      callback(tx, bytesByKey);
       return;
     }
 
-    this.goDbState("b");
-    if (isHub) {
-      dbName = "SproutHub";
-      dbDesc = "SproutHub Metadata";
-    } else {
-      dbName = self._hub.key;
-      dbDesc = dbName + " DataStore";
-    }
-    if (!dbName) {
-      hub.debug('No Hub yet, wait till we have one.');
-      self.invokeLater.apply(self);
+    tx.select('meta_data', { target_uti: hub.Hub.CHUNK, source: keys }, function(links) {
+      tx.select('data', { key: hub.Hub._hub_column(links, 'target') }, function(rows) {
+        var chunksByKey = {},
+        dataByKey = {},
+        key;
+        rows.forEach(function(row) {
+          dataByKey[row['key']] = row;
+        });
+        links.forEach(function(link) {
+          if (!dataByKey[link['target']]) return;
+          if (!chunksByKey[link['source']]) chunksByKey[link['source']] = [];
+          chunksByKey[link['source']][parseInt(link['target_position'], 10)] = dataByKey[link['target']]['bytes'];
+        });
+        for (key in chunksByKey) {
+          if (chunksByKey.hasOwnProperty(key)) bytesByKey[key] = chunksByKey[key].join("");
+        }
+        callback(tx, bytesByKey);
+      });
+    });
+  },
+
+  /**
+    Checks out the hub's head, if it has one.  `params` are handed to 
+    checkout(); `params.onFinish` is also called when there is nothing to 
+    check out, or with hub.Hub.COMMIT_NOT_FOUND_ERROR if the head is not in
+    the database.
+
+    @param {Hash} params optional checkout parameters
+  */
+  checkoutLatest: function(params) {
+    hub_precondition(this.kindOf(hub.Hub));
+    var commit, self = this,
+    finish = function(ret) {
+      if (params && params.onFinish) params.onFinish.call(self, ret);
+    };
+    if (!this._hub || !this._hub.head) {
+      hub.debug("No head to checkout.");
+      finish();
       return;
     }
-    if (!isHub && !self.settingUp && !self._hub.setup) {
-      self.setup();
-    }
-    if (self._dbs[dbName]) {
-      hub.debug("Running Query with existing database.");
-      self._dbs[dbName].transaction(function(tx) {
-        func(tx);
-      },
-      function(error) {
-        self.goDbState("c");
-        hub.debug("ERROR: Transaction Errored.");
-        hub.debug(error);
-        hub_error();
-      },
-      function() {
-        if (onFinish) onFinish.apply(self);
-        self.goDbState("a");
-        self.invokeSendToDB.apply(self);
+    hub.debug("* checkoutLatest");
+    this.sendToDB(function(tx) {
+      tx.select('commits', { key: self._hub.head }, function(rows) {
+        // We have a hub, so checkout the latest commit from that hub.
+        if (rows.length > 0) commit = rows[0]['key'];
       });
-    } else {
-      if (noDB) {
-        noDB();
-        if (onFinish) onFinish.apply(self);
-        self.goDbState("a");
-        return self.invokeSendToDB.apply(self);
+    },
+    null,
+    function() {
+      if (commit) {
+        hub.debug(hub.fmt("Checking out %@", commit));
+        self.checkout.call(self, commit, params);
+      } else {
+        hub.debug("Found no commits to checkout.");
+        finish(hub.Hub.COMMIT_NOT_FOUND_ERROR);
       }
-      var errmsg = "Sorry, No DB today.",
-      new_db = null;
-      try {
-        if (window.openDatabaseSync || window.openDatabase || (google.gears.factory && google.gears.factory.create)) {
-          if (window.openDatabaseSync) {
-            new_db = window.openDatabaseSync(dbName, "1.1", dbDesc, 5000000);
-            new_db.addListener("commit",
-            function() {
-              hub.debug("COMMIT");
-            });
+    },
+    true, false, finish);
+  },
 
-            new_db.addListener("update",
-            function(operation, database, table, rowid) {
-              hub.debug("update " + operation + " " + database + "." + table + " " + rowid);
-            });
-          } else if (window.openDatabase) {
-            new_db = window.openDatabase(dbName, "1.1", dbDesc, 5000000);
-          } else {
-            // Must be google gears
-            new_db = Gears.openDatabase(dbName, "1.1");
-          }
-          if (!new_db) {
-            alert(errmsg + " Couldn't open, maybe bad version or run out of DB quota.");
-          } else {
-            // We have a database, now test to see if we have a table.
-            // Just just need to test for 1 table, thanks to transactions we should
-            // have all or none.
-            new_db.transaction(function(tx) {
-              tx.executeSql(hub.fmt("SELECT COUNT(*) FROM %@", isHub ? "hub": "data"), [],
-              function(tx) {
-                hub.debug("We have our data tables.");
-                self._dbs[dbName] = new_db;
-                func(tx);
-              },
-              function(tx, err) {
-                hub.debug("We don't have the data table ...");
-                if (isHub) {
-                  self._createHubTables(tx);
-                } else {
-                  self._createStoreTables(tx);
-                }
-                // tx.executeSql('COMMIT') ;
-                // tx.executeSql('BEGIN TRANSACTION') ;
-                func(tx);
-                hub.debug('end callback');
-                return false; // Let the transaction know that we handelled the error.
-              });
-            },
-            function(error) {
-              hub.debug("ERROR: Transaction Errored! " + error.message);
-              self.goDbState("c");
-              hub_error("transaction error");
-              // self.invokeSendToDB.apply(self);
-            },
-            function() {
-              if (onFinish) onFinish.apply(self);
-              self.goDbState("a");
-              self.invokeSendToDB.apply(self);
-            });
-          }
-        } else if (window.google.factory && window.google.factory.create) {
+  // ..........................................................
+  // REFERENCES
+  // 
+
+  /**
+    The name of the branch that is checked out, or null when commits go 
+    straight to the hub's head.  Every new commit advances this branch (and
+    leaves the hub's head where it is).
+
+    @property {String}
+  */
+  currentBranch: null,
+
+  /**
+    Creates a branch named `name` at `version` (or at the current commit).
+
+    The callback is called on the receiver with the new reference, or with
+    hub.Hub.REFERENCE_EXISTS_ERROR if the name is taken.
+
+    @param {String} name the branch name
+    @param {String} version optional commit key
+    @param {Function} callback optional
+  */
+  createBranch: function(name, version, callback) {
+    this._createReference(name, version, hub.Hub.BRANCH, callback);
+  },
 
-} else {
-          alert(errmsg + " Your browser doesn't support it.");
+  /**
+    Creates a tag named `name` at `version` (or at the current commit).  
+    Unlike branches, tags do not advance when you commit.
+
+    @param {String} name the tag name
+    @param {String} version optional commit key
+    @param {Function} callback optional
+  */
+  createTag: function(name, version, callback) {
+    this._createReference(name, version, hub.Hub.TAG, callback);
+  },
+
+  /** @private */
+  _createReference: function(name, version, uti, callback) {
+    hub_precondition(!hub.empty(name));
+    var self = this,
+    hubKey = this._hub.key,
+    ret = {
+      name: name,
+      type: uti,
+      commit: version || this.get('currentCommit'),
+      committer: this.actorId()
+    };
+
+    hub.debug("* createReference");
+    this.sendToDB(function(tx) {
+      self._selectReference(tx, name, function(tx, reference) {
+        if (reference) {
+          ret = hub.Hub.REFERENCE_EXISTS_ERROR;
+          return;
         }
-      } catch(err) {
-        alert(errmsg + " Something bad happened: " + err);
-      }
+        tx.put('hub_reference', { name: name, meta_uti: uti, meta_creator: self.deviceId(), meta_editor: "", hub: hubKey, commit: ret.commit, committer: ret.committer, meta_data: null });
+      });
+    },
+    null,
+    function() {
+      if (callback) callback.call(self, ret);
+    },
+    true, true);
+  },
+
+  /**
+    Calls back with the reference named `name` as a { name, type, commit, 
+    committer } hash, or with hub.Hub.REFERENCE_NOT_FOUND_ERROR.
+
+    @param {String} name the branch or tag name
+    @param {Function} callback
+  */
+  readReference: function(name, callback) {
+    var self = this,
+    ret = hub.Hub.REFERENCE_NOT_FOUND_ERROR;
+
+    this.sendToDB(function(tx) {
+      self._selectReference(tx, name, function(tx, reference) {
+        if (reference) ret = reference;
+      });
+    },
+    null,
+    function() {
+      callback.call(self, ret);
+    },
+    true, true);
+  },
+
+  /**
+    Calls back with all of the hub's branches and tags, sorted by name.  Pass
+    hub.Hub.BRANCH or hub.Hub.TAG as `type` to list only one kind.
+
+    @param {String} type optional reference type
+    @param {Function} callback
+  */
+  references: function(type, callback) {
+    if (hub.typeOf(type) === hub.T_FUNCTION) {
+      callback = type;
+      type = null;
     }
+    var self = this,
+    ret = [],
+    where = { hub: this._hub.key };
+    if (type) where.meta_uti = type;
+
+    this.sendToDB(function(tx) {
+      tx.select('hub_reference', where, function(rows) {
+        ret = hub.Hub._hub_sortBy(rows, 'name').map(self._referenceFromRow);
+      });
+    },
+    null,
+    function() {
+      callback.call(self, ret);
+    },
+    true, true);
   },
-  invokeCount: 0,
-  invokeSendToDB: function() {
+
+  /**
+    Points the reference named `name` at `version`.
+
+    @param {String} name the branch or tag name
+    @param {String} version the commit key
+    @param {Function} callback optional, called with the moved reference
+  */
+  moveReference: function(name, version, callback) {
     var self = this,
-    args;
-    if (this.dbState === "b") {
-      hub.debug("Invokeing DB later");
-      self.invokeCount++;
-      if (self.invokeCount < 10) {
-        setTimeout(function() {
-          self.invokeSendToDB.apply(self);
-        },
-        500);
-      }
-      return false;
+    ret = hub.Hub.REFERENCE_NOT_FOUND_ERROR;
+
+    hub.debug("* moveReference");
+    this.sendToDB(function(tx) {
+      self._selectReference(tx, name, function(tx, reference) {
+        if (!reference) return;
+        ret = reference;
+        ret.commit = version;
+        self._updateReference(tx, name, version);
+      });
+    },
+    null,
+    function() {
+      if (callback) callback.call(self, ret);
+    },
+    true, true);
+  },
+
+  /**
+    Deletes the reference named `name`.  Deleting the current branch puts the 
+    hub back on its head.
+
+    @param {String} name the branch or tag name
+    @param {Function} callback optional, called with the deleted reference
+  */
+  deleteReference: function(name, callback) {
+    var self = this,
+    ret = hub.Hub.REFERENCE_NOT_FOUND_ERROR;
+
+    hub.debug("* deleteReference");
+    this.sendToDB(function(tx) {
+      self._selectReference(tx, name, function(tx, reference) {
+        if (!reference) return;
+        ret = reference;
+        tx.remove('hub_reference', { hub: self._hub.key, name: name });
+      });
+    },
+    null,
+    function() {
+      if (hub.ok(ret) && self.get('currentBranch') === name) self.set('currentBranch', null);
+      if (callback) callback.call(self, ret);
+    },
+    true, true);
+  },
+
+  /**
+    Checks out the branch named `name` and makes it the current branch, so 
+    that new commits advance it.  Pass null to go back to the hub's head.
+
+    @param {String} name the branch name, or null
+    @param {Function} callback optional, called once the branch is checked 
+      out, with its reference (null for the head), or with 
+      STORE_NOT_CLEAN_ERROR
+  */
+  checkoutBranch: function(name, callback) {
+    var self = this,
+    finish = function(ret) {
+      if (callback) callback.call(self, ret);
+    };
+
+    if (!name) {
+      this.checkout(this._hub.head, {
+        onFinish: function(ret) {
+          if (hub.ok(ret)) self.set('currentBranch', null);
+          finish(hub.ok(ret) ? null : ret);
+        }
+      });
+      return;
     }
-    self.invokeCount = 0;
-    if (self._sqlInternalQueue.length > 0) {
-      args = this._sqlInternalQueue.shift();
-      return self.sendToDB.apply(self, args);
-    } else if (self._sqlQueue.length > 0) {
-      args = this._sqlQueue.shift();
-      return self.sendToDB.apply(self, args);
-    }
-  },
-
-  /*
-    Generic Error callback.
-  */
-  _error: function(tx, e, msg) {
-    hub.debug("Error!: " + msg);
-    hub.debug(e);
-    return false;
-  },
-
-  insertSQL: {
-    "Data": "INSERT OR IGNORE INTO data (key, created_on, storage, bytes, metadata_count, store_key, commit_id) VALUES (?,?,?, ?,?,?, ?)",
-    "MetaData": "INSERT OR IGNORE INTO meta_data (key, name, meta_uti, meta_creator, meta_editor, target_uti, target_creator, target_editor, target_position, storage, source, target, data_key, commit_id)" + " VALUES (?,?,?, ?,?,?, ?,?,?, ?,?,?, ?,?);",
-    //14
-    "Commit": "INSERT OR IGNORE INTO commits (key, name, commit_id, commit_uti, commit_creator," + // 5
-    " commit_editor, merger, created_on, ancestor_count, total_storage," + // 5
-    " commit_storage, history_storage, data_key, commit_data, committer," + // 5
-    " ancestors)" + // 1 = 16
-    " VALUES (?,?,?, ?,?,?, ?,?,?, ?,?,?, ?,?,?, ?)",
-    // 16
-    "Hub": "INSERT OR REPLACE INTO hub (key, name, meta_uti, meta_creator, meta_editor, is_private, is_archived, head, forked_from, meta_data)" + " VALUES (?,?,?, ?,?,?, ?,?,?, ?)",
-    // 10
-    "HubCommit": "INSERT OR IGNORE INTO hub_commit (hub, 'commit') VALUES (?,?)"
-  },
-
-  _createStoreTables: function(tx, error) {
-    // There is no tables ... yet
-    hub.debug("start creating data tables.");
-    tx.executeSql("CREATE TABLE 'actor' (email TEXT, public_key TEXT)", [], null, this._error);
-    tx.executeSql("CREATE TABLE 'data' (key TEXT, store_key INTEGER, created_on TEXT, storage INTEGER, bytes BLOB, metadata_count INTEGER, commit_id INTEGER)", [], null, this._error);
-    tx.executeSql("CREATE TABLE 'meta_data' (key TEXT, name TEXT, meta_uti TEXT, meta_creator TEXT, meta_editor TEXT, target_uti TEXT, target_creator TEXT, target_editor TEXT, target_position INTEGER, storage INTEGER, source TEXT, target TEXT, data_key TEXT, commit_id INTEGER)", [], null, this._error);
-    tx.executeSql("CREATE TABLE 'commits' (key TEXT, name TEXT, commit_id INTEGER, commit_uti TEXT, commit_creator TEXT, commit_editor TEXT, merger TEXT, created_on INTEGER, ancestor_count INTEGER, total_storage INTEGER, commit_storage INTEGER, history_storage INTEGER, data_key TEXT, data_uti TEXT, data_editor TEXT, data_creator TEXT, commit_data TEXT, committer TEXT, ancestors TEXT)", [], null, this._error);
-    tx.executeSql('CREATE UNIQUE INDEX IF NOT EXISTS "UniqueDataKey" ON "data" ("key");');
-    tx.executeSql('CREATE UNIQUE INDEX IF NOT EXISTS "UniqueDataStoreKey" ON "data" ("store_key");');
-    tx.executeSql('CREATE UNIQUE INDEX IF NOT EXISTS "UniqueCommitKey" ON "commits" ("key");');
-    tx.executeSql('CREATE UNIQUE INDEX IF NOT EXISTS "UniqueMetaKey" ON "meta_data" ("key");');
+
+    this.readReference(name, function(reference) {
+      if (!hub.ok(reference) || reference.type !== hub.Hub.BRANCH) {
+        finish(hub.Hub.REFERENCE_NOT_FOUND_ERROR);
+        return;
+      }
+      self.checkout(reference.commit, {
+        onFinish: function(ret) {
+          if (hub.ok(ret)) self.set('currentBranch', name);
+          finish(hub.ok(ret) ? reference : ret);
+        }
+      });
+    });
   },
-  
-  _createHubTables: function(tx, error) {
-    hub.debug("start creating hub tables.");
-    tx.executeSql("CREATE TABLE 'hub' (key TEXT, name TEXT, meta_uti TEXT, meta_creator TEXT, meta_editor TEXT, is_private INTEGER, is_archived INTEGER, head TEXT, forked_from TEXT, meta_data TEXT)", [], null, this._error);
-    tx.executeSql("CREATE TABLE 'hub_commit' (hub TEXT, 'commit' TEXT)", [], null, this._error);
-    tx.executeSql("CREATE TABLE 'hub_reference' (name TEXT, meta_uti TEXT, meta_creator TEXT, meta_editor TEXT, hub TEXT, 'commit' TEXT, committer TEXT, meta_data TEXT)", [], null, this._error);
-    tx.executeSql("CREATE TABLE 'hub_committer' (is_owner TEXT, hub TEXT, committer TEXT, head TEXT)", [], null, this._error);
-    tx.executeSql("CREATE TABLE 'hub_observer' (hub TEXT, observer TEXT)", [], null, this._error);
-    tx.executeSql('CREATE UNIQUE INDEX IF NOT EXISTS "UniqueHubKey" ON "hub" ("key");');
-    hub.debug("finish creating hub tables.");
-  }
+
+  /** @private */
+  _selectReference: function(tx, name, callback) {
+    var self = this;
+    tx.select('hub_reference', { hub: this._hub.key, name: name }, function(rows) {
+      callback(tx, rows.length > 0 ? self._referenceFromRow(rows[0]) : null);
+    });
+  },
+
+  /** @private */
+  _updateReference: function(tx, name, version) {
+    tx.update('hub_reference', { hub: this._hub.key, name: name }, { commit: version, meta_editor: this.deviceId(), committer: this.actorId() });
+  },
+
+  /** @private */
+  _referenceFromRow: function(row) {
+    return {
+      name: row['name'],
+      type: row['meta_uti'],
+      commit: row['commit'],
+      committer: row['committer']
+    };
+  },
+
+  // ..........................................................
+  // PERMISSIONS
+  // 
+
+  /**
+    The hub_committer rows of this hub, as { committer, isOwner, head } 
+    hashes by committer.  `head` is the committer's latest commit here.
+
+    A hub with no committers is open: anyone may commit to it, and commits 
+    by anyone are taken from packs.  Once it has committers (whoever creates
+    a hub with an `actor` set owns it), only they may, and only owners may 
+    change who they are.
+
+    Permissions are kept per replica: each hub enforces its own list.
+
+    @property {Hash}
+  */
+  committers: null,
+
+  /**
+    Returns true if `committer` (the current actor by default) may commit to
+    this hub, or push to it.
+
+    @param {String} committer optional
+    @returns {Boolean}
+  */
+  mayCommit: function(committer) {
+    if (arguments.length === 0) committer = this.actorId();
+    return hub.Hub.mayCommit(this.committers, committer);
+  },
+
+  /**
+    Returns true if `committer` (the current actor by default) owns this 
+    hub.
+
+    @param {String} committer optional
+    @returns {Boolean}
+  */
+  isOwner: function(committer) {
+    if (arguments.length === 0) committer = this.actorId();
+    return hub.Hub.isOwner(this.committers, committer);
+  },
+
+  /**
+    Lets `committer` commit to this hub, as an owner if `isOwner` is true 
+    (or changes whether they are an owner).  Only owners may do this, unless
+    the hub has no committers yet, in which case the current actor becomes
+    its owner as well.
+
+    The callback is called on the receiver with the committer's 
+    { committer, isOwner, head } hash, or with NOT_AN_OWNER_ERROR.
+
+    @param {String} committer the actor id
+    @param {Boolean} isOwner
+    @param {Function} callback optional
+  */
+  addCommitter: function(committer, isOwner, callback) {
+    hub_precondition(!hub.empty(committer));
+    var self = this,
+    committers = this.committers,
+    existing = committers[committer];
+
+    if (hub.keys(committers).length > 0 && !this.isOwner()) {
+      if (callback) callback.call(this, hub.Hub.NOT_AN_OWNER_ERROR);
+      return;
+    }
+    hub.debug("* addCommitter");
+    this.sendToDB(function(tx) {
+      var actor = self.actorId();
+      if (hub.keys(committers).length === 0 && actor && actor !== committer) {
+        self._insertCommitter(tx, actor, true);
+      }
+      if (existing) {
+        tx.update('hub_committer', { hub: self._hub.key, committer: committer }, { is_owner: isOwner ? 1 : 0 });
+        existing.isOwner = !!isOwner;
+      } else self._insertCommitter(tx, committer, isOwner);
+    },
+    null,
+    function() {
+      if (callback) callback.call(self, committers[committer]);
+    },
+    true, true);
+  },
+
+  /**
+    Stops `committer` from committing to this hub.  Only owners may do 
+    this, and the last owner can't be removed.
+
+    The callback is called on the receiver with true, or with 
+    NOT_AN_OWNER_ERROR or LAST_OWNER_ERROR.
+
+    @param {String} committer the actor id
+    @param {Function} callback optional
+  */
+  removeCommitter: function(committer, callback) {
+    var self = this,
+    committers = this.committers,
+    owners = hub.keys(committers).filter(function(name) {
+      return committers[name].isOwner;
+    });
+
+    if (!this.isOwner()) {
+      if (callback) callback.call(this, hub.Hub.NOT_AN_OWNER_ERROR);
+      return;
+    }
+    if (owners.length === 1 && owners[0] === committer) {
+      if (callback) callback.call(this, hub.Hub.LAST_OWNER_ERROR);
+      return;
+    }
+    hub.debug("* removeCommitter");
+    this.sendToDB(function(tx) {
+      tx.remove('hub_committer', { hub: self._hub.key, committer: committer });
+    },
+    null,
+    function() {
+      delete committers[committer];
+      if (callback) callback.call(self, true);
+    },
+    true, true);
+  },
+
+  /** @private */
+  _insertCommitter: function(tx, committer, isOwner) {
+    var row = {
+      is_owner: isOwner ? 1 : 0,
+      committer: committer,
+      head: null
+    };
+    tx.put('hub_committer', { is_owner: row.is_owner, hub: this._hub.key, committer: committer, head: null });
+    this._loadCommitter(row);
+  },
+
+  /** @private */
+  _loadCommitter: function(row) {
+    this.committers[row['committer']] = {
+      committer: row['committer'],
+      isOwner: !!parseInt(row['is_owner'], 10),
+      head: row['head'] || null
+    };
+  },
+
+  // ..........................................................
+  // SUBSCRIPTIONS
+  // 
+
+  /**
+    The subscriptions to this hub: each one's target by name, or null for
+    subscriptions loaded from the hub_observer table whose targets have not
+    been attached again yet (see subscribe()).
+
+    @property {Hash}
+  */
+  observers: null,
+
+  /**
+    Subscribes `target` to this hub, under `name`: from now on it is sent 
+    the messages in hub.HubObserverProtocol.
+
+    Subscriptions are saved in the hub_observer table, so they outlive the 
+    page or process; objects can't be, though.  After a restart, subscribe
+    again with the same name to attach a new target, and it is sent 
+    whatever happened while it was detached.
+
+    @param {String} name identifies the subscription
+    @param {Object} target implements hub.HubObserverProtocol
+    @param {Function} callback optional, called on the receiver when the 
+      subscription is saved
+  */
+  subscribe: function(name, target, callback) {
+    hub_precondition(!hub.empty(name));
+    var self = this,
+    pending = this._pendingNotifications[name] || [];
+
+    this.observers[name] = target;
+    delete this._pendingNotifications[name];
+
+    hub.debug("* subscribe");
+    this.sendToDB(function(tx) {
+      tx.put('hub_observer', { hub: self._hub.key, observer: name });
+    },
+    null,
+    function() {
+      pending.forEach(function(notification) {
+        self._notify(target, notification.method, notification.version);
+      });
+      if (callback) callback.call(self);
+    },
+    true, true);
+  },
+
+  /**
+    Ends the subscription called `name`, and forgets whatever was waiting to
+    be sent to it.
+
+    @param {String} name
+    @param {Function} callback optional, called on the receiver when done
+  */
+  unsubscribe: function(name, callback) {
+    var self = this;
+    delete this.observers[name];
+    delete this._pendingNotifications[name];
+
+    hub.debug("* unsubscribe");
+    this.sendToDB(function(tx) {
+      tx.remove('hub_observer', { hub: self._hub.key, observer: name });
+    },
+    null,
+    function() {
+      if (callback) callback.call(self);
+    },
+    true, true);
+  },
+
+  /** @private */
+  _loadObserver: function(name) {
+    if (!this.observers.hasOwnProperty(name)) this.observers[name] = null;
+  },
+
+  /** @private
+    Sends `method` to every subscription's target, or keeps it for targets
+    that are not attached.
+  */
+  _notifyObservers: function(method, version) {
+    var observers = this.observers,
+    pending = this._pendingNotifications,
+    name;
+    for (name in observers) {
+      if (!observers.hasOwnProperty(name)) continue;
+      if (observers[name]) this._notify(observers[name], method, version);
+      else {
+        if (!pending[name]) pending[name] = [];
+        pending[name].push({ method: method, version: version });
+      }
+    }
+  },
+
+  /** @private */
+  _notify: function(target, method, version) {
+    if (target[method]) target[method](this, version);
+  },
+
+  /** @private
+    Records that the hub's head is now `version`, and tells the observers if
+    it moved.
+  */
+  _headDidMove: function(version) {
+    if (this._hub.head === version) return;
+    this._hub.head = version;
+    this._notifyObservers('hubHeadDidMove', version);
+  },
+
+  /** @private
+    Moves the hub's head to `version` in the database.
+  */
+  _saveHead: function(version, callback) {
+    var self = this;
+    this._loadCommits([version], function(commitsByKey) {
+      if (commitsByKey[version]) self._hub.storage = commitsByKey[version].total_storage;
+      self.sendToDB(function(tx) {
+        tx.update('hub', { key: self._hub.key }, { head: version, meta_data: self._hubMetaData() });
+      },
+      null,
+      function() {
+        self._headDidMove(version);
+        if (callback) callback.call(self);
+      },
+      true, true);
+    });
+  },
+
+  // ..........................................................
+  // FORKS
+  // 
+
+  /**
+    The key of the hub this one was forked from, or null.
+
+    @property {String}
+  */
+  forkedFrom: function() {
+    return this._hub.forkedFrom;
+  }.property(),
+
+  /**
+    Forks this hub: makes a new hub called `name` with the same head and 
+    commits as this one, and `forked_from` pointing back here.  The current
+    actor owns the fork.
+
+    Forks don't copy any data.  They keep using the database of the hub 
+    they came from, so commits made in either one can be pulled into the 
+    other with pull() (see also propose()).
+
+    This hub stays open; use openHub() to switch to the fork.  The callback 
+    is called on the receiver with the fork's { key, name, forkedFrom }.
+
+    @param {String} name the fork's name
+    @param {Function} callback optional
+  */
+  fork: function(name, callback) {
+    hub_precondition(!hub.empty(name));
+    var self = this,
+    origin = this._hub,
+    ret = {
+      key: hub.uuid(),
+      name: name,
+      forkedFrom: origin.key
+    },
+    meta = JSON.stringify({ db: origin.db || origin.key, storage: origin.storage || 0 }),
+    commitKeys = this.commitKeys.toArray();
+
+    hub.debug("* fork");
+    this.sendToDB(function(tx) {
+      hub.debug(hub.fmt("Forking Hub: %@: %@ from %@", name, ret.key, origin.key));
+      tx.put('hub', { key: ret.key, name: name, meta_uti: self.get('uti'), meta_creator: self.deviceId(), meta_editor: "", is_private: 0, is_archived: 0, head: origin.head, forked_from: origin.key, meta_data: meta }, true);
+
+      commitKeys.forEach(function(key) {
+        tx.put('hub_commit', { hub: ret.key, commit: key });
+      });
+
+      if (self.actorId()) {
+        tx.put('hub_committer', { is_owner: 1, hub: ret.key, committer: self.actorId(), head: null });
+      }
+    },
+    null,
+    function() {
+      if (callback) callback.call(self, ret);
+    },
+    true, true);
+  },
+
+  /**
+    Brings the commits of the hub `hubKey` that this one doesn't have yet 
+    into it, and merges that hub's head into the current commit (see 
+    applyCommits()).  `hubKey` defaults to the hub this one was forked from.
+
+    Only works between a hub and its forks, which share a database.  The 
+    callback is called on the receiver with { pulled }, the commits that 
+    were new here, or with hub.Hub.HUB_NOT_FOUND_ERROR, 
+    hub.Hub.NOT_A_FORK_ERROR or the error from applyCommits().
+
+    @param {String} hubKey optional
+    @param {Function} callback optional
+  */
+  pull: function(hubKey, callback) {
+    if (hub.typeOf(hubKey) === hub.T_FUNCTION) {
+      callback = hubKey;
+      hubKey = null;
+    }
+    var self = this,
+    ret = hub.Hub.HUB_NOT_FOUND_ERROR,
+    ours = this._hub.db || this._hub.key,
+    head = null,
+    pulled = [],
+    finish = function(ret) {
+      if (callback) callback.call(self, ret);
+    };
+
+    hubKey = hubKey || this._hub.forkedFrom;
+    if (!hubKey) {
+      finish(hub.Hub.NOT_A_FORK_ERROR);
+      return;
+    }
+    if (this._hub.isArchived) {
+      finish(hub.Hub.ARCHIVED_HUB_ERROR);
+      return;
+    }
+
+    hub.debug("* pull");
+    this.sendToDB(function(tx) {
+      tx.select('hub', { key: hubKey }, function(rows) {
+        if (rows.length === 0) return;
+        var row = rows[0];
+        if (hub.Hub.dataStoreName(row) !== ours) {
+          ret = hub.Hub.NOT_A_FORK_ERROR;
+          return;
+        }
+        ret = true;
+        head = row['head'];
+
+        tx.select('hub_commit', { hub: hubKey }, function(rows) {
+          rows.forEach(function(row) {
+            var key = row['commit'];
+            if (self.commitKeys.contains(key)) return;
+            pulled.push(key);
+            tx.put('hub_commit', { hub: self._hub.key, commit: key });
+          });
+        });
+      });
+    },
+    null,
+    function() {
+      if (!hub.ok(ret)) {
+        finish(ret);
+        return;
+      }
+      pulled.forEach(function(key) {
+        self.commitKeys.add(key);
+      });
+      if (!head || head === 'empty') {
+        finish({ pulled: pulled });
+        return;
+      }
+      self.applyCommits(head, function(version) {
+        if (hub.ok(version)) finish({ pulled: pulled });
+        else finish(version);
+      });
+    },
+    true, true);
+  },
+
+  /**
+    Proposes this fork's head to the hub it was forked from, as a reference
+    of type hub.Hub.PROPOSAL there, named after this hub's key.  Proposing 
+    again moves the reference.
+
+    The origin's owners find proposals with references(hub.Hub.PROPOSAL) 
+    and take them with pull(reference.name).
+
+    The callback is called on the receiver with the proposal, or with 
+    hub.Hub.NOT_A_FORK_ERROR.
+
+    @param {Function} callback optional
+  */
+  propose: function(callback) {
+    var self = this,
+    origin = this._hub.forkedFrom,
+    ret = {
+      name: this._hub.key,
+      type: hub.Hub.PROPOSAL,
+      commit: this._hub.head,
+      committer: this.actorId()
+    };
+
+    if (!origin) {
+      if (callback) callback.call(this, hub.Hub.NOT_A_FORK_ERROR);
+      return;
+    }
+
+    hub.debug("* propose");
+    this.sendToDB(function(tx) {
+      tx.put('hub_reference', { name: ret.name, meta_uti: ret.type, meta_creator: self.deviceId(), meta_editor: "", hub: origin, commit: ret.commit, committer: ret.committer, meta_data: null }, true);
+    },
+    null,
+    function() {
+      if (callback) callback.call(self, ret);
+    },
+    true, true);
+  },
+
+  // ..........................................................
+  // CATALOG
+  // 
+
+  /**
+    Calls back with the hubs of this application (the ones with the 
+    receiver's uti), sorted by name, as { key, name, head, forkedFrom, 
+    isPrivate, isArchived, storage } hashes (see hub.Hub.hubFromRow()).
+
+    Archived hubs are left out unless `options.archived` is true.
+
+    @param {Hash} options optional
+    @param {Function} callback
+  */
+  hubs: function(options, callback) {
+    if (hub.typeOf(options) === hub.T_FUNCTION) {
+      callback = options;
+      options = null;
+    }
+    options = options || {};
+    var self = this,
+    ret = [];
+
+    this.sendToDB(function(tx) {
+      tx.select('hub', { meta_uti: self.get('uti') }, function(rows) {
+        hub.Hub._hub_sortBy(rows, 'name').forEach(function(row) {
+          var entry = hub.Hub.hubFromRow(row);
+          if (!entry.isArchived || options.archived) ret.push(entry);
+        });
+      });
+    },
+    null,
+    function() {
+      callback.call(self, ret);
+    },
+    true, true);
+  },
+
+  /**
+    Renames the hub `hubKey`.
+
+    Only the hub's owners may rename, archive, delete or change the privacy 
+    of a hub (anyone may, if it has no committers).  The callback is called
+    on the receiver with the changed hub (see hubs()), or with 
+    hub.Hub.HUB_NOT_FOUND_ERROR or hub.Hub.NOT_AN_OWNER_ERROR.
+
+    @param {String} hubKey
+    @param {String} name
+    @param {Function} callback optional
+  */
+  renameHub: function(hubKey, name, callback) {
+    hub_precondition(!hub.empty(name));
+    this._changeHub(hubKey, { name: name }, callback);
+  },
+
+  /**
+    Archives the hub `hubKey`: it is left out of hubs(), and can't be 
+    committed to, pulled into or synced until it is unarchived.
+
+    @param {String} hubKey
+    @param {Function} callback optional, see renameHub()
+  */
+  archiveHub: function(hubKey, callback) {
+    this._changeHub(hubKey, { is_archived: 1 }, callback);
+  },
+
+  /**
+    Unarchives the hub `hubKey`.
+
+    @param {String} hubKey
+    @param {Function} callback optional, see renameHub()
+  */
+  unarchiveHub: function(hubKey, callback) {
+    this._changeHub(hubKey, { is_archived: 0 }, callback);
+  },
+
+  /**
+    Makes the hub `hubKey` private, or public again.  Private hubs never 
+    leave this device: they neither sync nor send packs.
+
+    @param {String} hubKey
+    @param {Boolean} isPrivate
+    @param {Function} callback optional, see renameHub()
+  */
+  setHubPrivate: function(hubKey, isPrivate, callback) {
+    this._changeHub(hubKey, { is_private: isPrivate ? 1 : 0 }, callback);
+  },
+
+  /**
+    Deletes the hub `hubKey`, with its references, committers and 
+    subscriptions.  The open hub can't be deleted (the callback gets 
+    hub.Hub.HUB_IS_OPEN_ERROR).
+
+    The hub's database is left alone: forks may still use it, and WebSQL 
+    can't drop databases anyway.
+
+    @param {String} hubKey
+    @param {Function} callback optional, see renameHub()
+  */
+  deleteHub: function(hubKey, callback) {
+    if (hubKey === this._hub.key) {
+      if (callback) callback.call(this, hub.Hub.HUB_IS_OPEN_ERROR);
+      return;
+    }
+    this._changeHub(hubKey, null, callback);
+  },
+
+  /** @private
+    Sets the `columns` of the hub `hubKey`'s row, or deletes the hub if 
+    `columns` is null, if the current actor owns it.
+  */
+  _changeHub: function(hubKey, columns, callback) {
+    var self = this,
+    actor = this.actorId(),
+    ret = hub.Hub.HUB_NOT_FOUND_ERROR;
+
+    hub.debug("* changeHub");
+    this.sendToDB(function(tx) {
+      tx.select('hub', { key: hubKey }, function(rows) {
+        if (rows.length === 0) return;
+        var row = rows[0];
+
+        tx.select('hub_committer', { hub: hubKey }, function(rows) {
+          var committers = {};
+          rows.forEach(function(item) {
+            committers[item['committer']] = { committer: item['committer'], isOwner: !!parseInt(item['is_owner'], 10) };
+          });
+          if (hub.keys(committers).length > 0 && !hub.Hub.isOwner(committers, actor)) {
+            ret = hub.Hub.NOT_AN_OWNER_ERROR;
+            return;
+          }
+
+          if (!columns) {
+            ret = hub.Hub.hubFromRow(row);
+            ['hub_commit', 'hub_reference', 'hub_committer', 'hub_observer'].forEach(function(table) {
+              tx.remove(table, { hub: hubKey });
+            });
+            tx.remove('hub', { key: hubKey });
+            return;
+          }
+
+          hub.mixin(row, columns);
+          ret = hub.Hub.hubFromRow(row);
+          tx.update('hub', { key: hubKey }, columns);
+        });
+      });
+    },
+    null,
+    function() {
+      if (hub.ok(ret) && columns && hubKey === self._hub.key) {
+        self._hub['name'] = ret.name;
+        self._hub.isPrivate = ret.isPrivate;
+        self._hub.isArchived = ret.isArchived;
+      }
+      if (callback) callback.call(self, ret);
+    },
+    true, true);
+  },
+
+  // ..........................................................
+  // GARBAGE COLLECTION
+  // 
+
+  /**
+    Deletes the data and meta_data rows that no commit can reach (left behind
+    by failed commits and abandoned histories), and recomputes the 
+    total_storage, commit_storage and history_storage of every commit.  See
+    hub.Hub.collectGarbage().
+
+    Everything happens in one transaction, so a commit can't sneak in 
+    between finding the garbage and deleting it.
+
+    The callback is called on the receiver with the number of data and 
+    meta_data rows deleted and the bytes reclaimed, as { data, metaData, 
+    bytes }.
+
+    @param {Function} callback optional
+  */
+  gc: function(callback) {
+    var self = this,
+    commitsByKey = {},
+    metaRows = [],
+    dataRows = [],
+    ret = { data: 0, metaData: 0, bytes: 0 };
+
+    hub.debug("* gc");
+    this.sendToDB(function(tx) {
+      tx.select('commits', null, function(rows) {
+        rows.forEach(function(row) {
+          var commit = self._commitFromRow(row);
+          commitsByKey[commit.key] = commit;
+        });
+      });
+      tx.select('meta_data', null, function(rows) {
+        metaRows = rows;
+      });
+      tx.select('data', null, function(rows) {
+        dataRows = rows.map(function(row) {
+          return { key: row['key'], storage: row['storage'], size: row['bytes'] === null ? null : String(row['bytes']).length };
+        });
+
+        var garbage = hub.Hub.collectGarbage(commitsByKey, metaRows, dataRows),
+        key;
+        tx.remove('data', { key: garbage.data });
+        tx.remove('meta_data', { key: garbage.metaData });
+        for (key in garbage.storage) {
+          if (garbage.storage.hasOwnProperty(key)) tx.update('commits', { key: key }, garbage.storage[key]);
+        }
+        ret = { data: garbage.data.length, metaData: garbage.metaData.length, bytes: garbage.bytes };
+      });
+    },
+    null,
+    function() {
+      if (callback) callback.call(self, ret);
+    },
+    true);
+  },
+
+  createHub: function(tx, params) {
+    if (!this._hub.key) this._hub.key = hub.uuid();
+    var self = this,
+    name = (self._hub.name || "DefaultName");
+    self._hub.name = name;
+    tx.put('hub', { key: self._hub.key, name: name, meta_uti: self.get('uti'), meta_creator: params.creator, meta_editor: params.editor || "", is_private: 0, is_archived: 0, head: params.version, forked_from: "", meta_data: "" }, true);
+    hub.debug(hub.fmt("Created Hub: %@: %@", self._hub.name, self._hub.key));
+
+    // Whoever creates a hub owns it.
+    if (this.actorId()) this._insertCommitter(tx, this.actorId(), true);
+  },
+
+  startUp: function() {
+    hub_precondition(this.kindOf(hub.Hub));
+    var self = this;
+    hub.debug("* startUp hub");
+    self.sendToDB(function(tx) {
+      // Register this device the first time any hub starts up on it.
+      tx.select('hub_device', null, function(rows) {
+        var row = rows.length > 0 ? rows[0] : null;
+        if (!row) {
+          row = hub.Hub.localDevice();
+          tx.put('hub_device', row);
+        }
+        self._loadDevice(row);
+      });
+
+      tx.select('hub', { meta_uti: self.get('uti') }, function(rows) {
+        if (rows.length > 0) {
+          self._loadHub(rows[0]);
+          hub.debug(hub.fmt("Loading hub: %@; %@", self._hub.key, self._hub.name));
+        } else {
+          self.createHub.call(self, tx, {
+            version: 'empty',
+            creator: self.deviceId(),
+            editor: ''
+          });
+        }
+        self._selectHubState(tx);
+      });
+
+    },
+    null, self.setup, true, true); // sendToDB('hub')
+  },
+
+  /** @private
+    Reads a row of the hub table into the receiver's _hub.
+  */
+  _loadHub: function(row) {
+    var entry = hub.Hub.hubFromRow(row);
+    this._hub.key = entry.key;
+    this._hub['name'] = entry.name;
+    this._hub.head = row['head'];
+    this._hub.forkedFrom = entry.forkedFrom;
+    this._hub.db = hub.Hub.dataStoreName(row);
+    this._hub.isPrivate = entry.isPrivate;
+    this._hub.isArchived = entry.isArchived;
+    this._hub.storage = entry.storage;
+  },
+
+  /** @private
+    The meta_data column of the receiver's row in the hub table.
+  */
+  _hubMetaData: function() {
+    var meta = { storage: this._hub.storage || 0 };
+    if (this._hub.db && this._hub.db !== this._hub.key) meta.db = this._hub.db;
+    return JSON.stringify(meta);
+  },
+
+  /** @private
+    Loads the subscriptions, committers and commits of the receiver's hub.
+  */
+  _selectHubState: function(tx) {
+    var self = this;
+    tx.select('hub_observer', { hub: self._hub.key }, function(rows) {
+      rows.forEach(function(row) {
+        self._loadObserver(row['observer']);
+      });
+    });
+
+    tx.select('hub_committer', { hub: self._hub.key }, function(rows) {
+      rows.forEach(function(row) {
+        self._loadCommitter(row);
+      });
+    });
+
+    tx.select('hub_commit', { hub: self._hub.key }, function(rows) {
+      rows.forEach(function(row) {
+        self.commitKeys.add(row['commit']);
+      });
+    });
+  },
+
+  settingUp: false,
+  setup: function() { // Run after we have done the previous
+    var self = this;
+    if (hub.empty(self._hub.key)) return; // we don't have a hub setup yet, so wait until we do.
+    hub_precondition(!self.settingUp);
+    self.settingUp = true;
+    hub.debug("* startUp store");
+    self.sendToDB(function(tx) {
+      // Set the max storeKey for the store.
+      tx.select('data', null, function(rows) {
+        var max = 0;
+        rows.forEach(function(row) {
+          var storeKey = parseInt(row['store_key'], 10);
+          if (storeKey > max) max = storeKey;
+        });
+        self.setMaxStoreKey(max + 1);
+        self.checkoutLatest.call(self);
+      });
+
+      // Get the current max commit count.
+      tx.select('commits', null, function(rows) {
+        var max = 0;
+        rows.forEach(function(row) {
+          var commitId = parseInt(row['commit_id'], 10);
+          if (commitId > max) max = commitId;
+          self.commitIdsByKey[row['key']] = commitId;
+        });
+        self.currentCommitId = max;
+      });
+    },
+    null,
+    function() {
+      // self.sync(store);
+      self._hub.setup = true;
+      self.settingUp = false;
+      // TODO: Make startup Hook?
+    },
+    true); // sendToDB(store)
+  },
+
+  /**
+    The kind of hub.Database the hub keeps its data and the catalog of hubs 
+    in.
+
+    @property {hub.Database}
+  */
+  databaseType: hub.SQLDatabase,
+
+  // Holds databases for 'SproutHub' and <hubKey>, by type and name.
+  _dbs: {},
+
+  /**
+    Returns the database with the catalog of hubs if `isHub` is true, or 
+    else the database with the hub's data (null until the hub has a key).
+    Hubs that use the same database share it, and its queue of transactions.
+
+    @param {Boolean} isHub
+    @returns {hub.Database}
+  */
+  database: function(isHub) {
+    var type = this.get('databaseType'),
+    // forks keep their data in the database of the hub they came from
+    name = isHub ? "SproutHub" : (this._hub.db || this._hub.key),
+    cacheKey;
+    if (!name) return null;
+    cacheKey = hub.guidFor(type) + ":" + name;
+    if (!this._dbs[cacheKey]) {
+      this._dbs[cacheKey] = type.create({
+        name: name,
+        tables: isHub ? hub.Database.HUB_TABLES : hub.Database.STORE_TABLES
+      });
+    }
+    return this._dbs[cacheKey];
+  },
+
+  /** 
+    Runs `func` with a transaction on the hub's database (or on the catalog 
+    of hubs, if `isHub` is true), and then `onFinish` on the receiver.  See
+    hub.Database#transaction().  `noDB` is no longer used.
+
+    If the transaction fails, the hub goes back to hub.Hub.WAITING (see 
+    _transactionDidFail()) and `onError`, if any, is called on the receiver
+    with hub.Hub.TRANSACTION_ERROR instead.
+  */
+  sendToDB: function(func, noDB, onFinish, internal, isHub, onError) {
+    hub_precondition(this.kindOf && this.kindOf(hub.Hub)); // Make sure we are in the correct context.
+    var self = this,
+    db = this.database(isHub);
+    if (!db) {
+      hub.debug('No Hub yet, wait till we have one.');
+      setTimeout(function() {
+        self.sendToDB(func, noDB, onFinish, internal, isHub, onError);
+      },
+      500);
+      return;
+    }
+    if (!isHub && !self.settingUp && !self._hub.setup) {
+      self.setup();
+    }
+    db.transaction(func, function(error) {
+      if (!error) {
+        if (onFinish) onFinish.apply(self);
+        return;
+      }
+      hub.debug(hub.fmt("sendToDB failed: %@", error.message || error));
+      self._transactionDidFail();
+      if (onError) onError.call(self, hub.Hub.TRANSACTION_ERROR);
+    }, internal);
+  },
+
+  /** @private
+    Puts the hub back in hub.Hub.WAITING after a failed transaction, and 
+    goes on with whatever was queued.
+  */
+  _transactionDidFail: function() {
+    var wasWaiting = this.state === hub.Hub.WAITING;
+    this._committing = false;
+    // a commit that fails to start is abandoned while writing
+    if (this.state === hub.Hub.READING) this.goState(hub.Hub.WRITING);
+    this.goState(hub.Hub.WAITING);
+    this._busyDidChange();
+    if (wasWaiting) this._invokeIdleQueue();
+  }
+});
+
+hub.Hub.mixin({
+
+  /**
+    The hub is idle.
+
+    @property {Number}
+  */
+  WAITING: 0,
+
+  /**
+    The hub is reading the store's changes for a commit.
+
+    @property {Number}
+  */
+  READING: 1,
+
+  /**
+    The hub is writing a commit, or a pack it received, to the database.
+
+    @property {Number}
+  */
+  WRITING: 2,
+
+  /**
+    The hub is cleaning up after a commit.
+
+    @property {Number}
+  */
+  CLEANING_UP: 3,
+
+  /**
+    The hub is checking out a commit.
+
+    @property {Number}
+  */
+  CHECKING_OUT: 4,
+
+  /**
+    The hub is reading a commit from the database to send as a pack.
+
+    @property {Number}
+  */
+  SENDING_PACK: 5,
+
+  /**
+    The hub is setting up.
+
+    @property {Number}
+  */
+  SETTING_UP: 6,
+
+  /**
+    The states each hub state may go to (see hub.Hub#goState()).  A commit 
+    goes WAITING, READING, WRITING, CLEANING_UP and back to WAITING; a 
+    received pack goes WAITING, WRITING, WAITING.
+
+    @property {Hash}
+  */
+  STATE_TRANSITIONS: {
+    0: [1, 2, 4, 5, 6],
+    1: [2],
+    2: [3, 0],
+    3: [0],
+    4: [0],
+    5: [0],
+    6: [0]
+  },
+
+  /**
+    Returned by goState() for transitions that are not allowed (the same 
+    error as hub.Database's).
+
+    @property {hub.Error}
+  */
+  ILLEGAL_STATE_TRANSITION_ERROR: hub.Database.ILLEGAL_STATE_TRANSITION_ERROR,
+
+  /**
+    Returns true if `transitions` (see hub.Hub.STATE_TRANSITIONS) allows 
+    going from state `from` to state `to`.  Staying put is always allowed.
+
+    @param {Hash} transitions
+    @param {Number|String} from
+    @param {Number|String} to
+    @returns {Boolean}
+  */
+  canTransition: function(transitions, from, to) {
+    if (from === to) return true;
+    return (transitions[from] || []).indexOf(to) >= 0;
+  },
+
+  /**
+    Reference type (the meta_uti of a hub_reference row) of branches.
+
+    @property {String}
+  */
+  BRANCH: "com.hub.branch",
+
+  /**
+    Reference type (the meta_uti of a hub_reference row) of tags.
+
+    @property {String}
+  */
+  TAG: "com.hub.tag",
+
+  /**
+    Returned when creating a branch or tag whose name is taken.
+
+    @property {hub.Error}
+  */
+  REFERENCE_EXISTS_ERROR: hub.Error.desc("Reference Already Exists"),
+
+  /**
+    Returned when there is no branch or tag by that name.
+
+    @property {hub.Error}
+  */
+  REFERENCE_NOT_FOUND_ERROR: hub.Error.desc("Reference Not Found"),
+
+  /**
+    Reference type of the proposals a fork makes to the hub it was forked 
+    from (see hub.Hub#propose()).
+
+    @property {String}
+  */
+  PROPOSAL: "com.hub.proposal",
+
+  /**
+    Returned when there is no hub by that key.
+
+    @property {hub.Error}
+  */
+  HUB_NOT_FOUND_ERROR: hub.Error.desc("Hub Not Found"),
+
+  /**
+    Returned when pulling into or proposing from a hub that is not a fork, 
+    or pulling from a hub that is not part of the same family of forks.
+
+    @property {hub.Error}
+  */
+  NOT_A_FORK_ERROR: hub.Error.desc("Not A Fork"),
+
+  /**
+    Returns the name of the database that keeps the data of the hub in 
+    `row`, a row of the hub table: its own key, or for forks, the database
+    of the hub they were forked from.
+
+    @param {Hash} row
+    @returns {String}
+  */
+  dataStoreName: function(row) {
+    var meta = row['meta_data'] ? JSON.parse(row['meta_data']) : {};
+    return meta.db || row['key'];
+  },
+
+  /**
+    Returned when deleting the hub that is open.
+
+    @property {hub.Error}
+  */
+  HUB_IS_OPEN_ERROR: hub.Error.desc("Can't Delete The Open Hub"),
+
+  /**
+    Returned when syncing a private hub.
+
+    @property {hub.Error}
+  */
+  PRIVATE_HUB_ERROR: hub.Error.desc("Hub Is Private"),
+
+  /**
+    Returned when syncing or pulling into an archived hub.
+
+    @property {hub.Error}
+  */
+  ARCHIVED_HUB_ERROR: hub.Error.desc("Hub Is Archived"),
+
+  /**
+    Returns the entry for the row `row` of the hub table in the hub catalog
+    (see hub.Hub#hubs()): { key, name, head, forkedFrom, isPrivate, 
+    isArchived, storage }, where storage is the total_storage of the head 
+    commit, in bytes.
+
+    @param {Hash} row
+    @returns {Hash}
+  */
+  hubFromRow: function(row) {
+    var meta = row['meta_data'] ? JSON.parse(row['meta_data']) : {};
+    return {
+      key: row['key'],
+      name: row['name'],
+      head: row['head'] || null,
+      forkedFrom: row['forked_from'] || null,
+      isPrivate: !!parseInt(row['is_private'], 10),
+      isArchived: !!parseInt(row['is_archived'], 10),
+      storage: meta.storage || 0
+    };
+  },
+
+  /**
+    The target_uti of the meta_data links from a record's data item to the
+    chunks of its bytes.
+
+    @property {String}
+  */
+  CHUNK: "com.hub.chunk",
+
+  /**
+    Records whose JSON is longer than this are stored in chunks (see 
+    hub.buzhash.chunk()).
+
+    @property {Number}
+  */
+  CHUNK_THRESHOLD: 8192,
+
+  /**
+    Returned by sync() and getPack() when the hub has no transport.
+
+    @property {hub.Error}
+  */
+  NO_TRANSPORT_ERROR: hub.Error.desc("Hub Has No Transport"),
+
+  /**
+    Returned when a commit is not in the hub.
+
+    @property {hub.Error}
+  */
+  COMMIT_NOT_FOUND_ERROR: hub.Error.desc("Commit Not Found"),
+
+  /**
+    Returned by checkout() when the store has changes that aren't 
+    committed.
+
+    @property {hub.Error}
+  */
+  STORE_NOT_CLEAN_ERROR: hub.Error.desc("Store Has Uncommitted Changes"),
+
+  /**
+    Passed on when a transaction on the hub's database fails (see 
+    hub.Hub#sendToDB()).
+
+    @property {hub.Error}
+  */
+  TRANSACTION_ERROR: hub.Error.desc("Database Transaction Failed"),
+
+  /**
+    Returned when someone who is not a committer of a hub commits to it or 
+    pushes to it (see hub.Hub#committers).
+
+    @property {hub.Error}
+  */
+  NOT_A_COMMITTER_ERROR: hub.Error.desc("Not A Committer Of This Hub"),
+
+  /**
+    Returned when someone who does not own a hub changes its committers.
+
+    @property {hub.Error}
+  */
+  NOT_AN_OWNER_ERROR: hub.Error.desc("Not An Owner Of This Hub"),
+
+  /**
+    Returned when removing the last owner of a hub.
+
+    @property {hub.Error}
+  */
+  LAST_OWNER_ERROR: hub.Error.desc("Can't Remove The Last Owner"),
+
+  /**
+    Returns true if `committer` may commit, given the { committer, isOwner }
+    hashes of a hub's committers by name (see hub.Hub#committers).
+
+    @param {Hash} committers
+    @param {String} committer
+    @returns {Boolean}
+  */
+  mayCommit: function(committers, committer) {
+    if (hub.keys(committers || {}).length === 0) return true;
+    return !hub.none(committer) && committers.hasOwnProperty(committer);
+  },
+
+  /**
+    Returns true if `committer` is an owner, given the { committer, isOwner }
+    hashes of a hub's committers by name (see hub.Hub#committers).
+
+    @param {Hash} committers
+    @param {String} committer
+    @returns {Boolean}
+  */
+  isOwner: function(committers, committer) {
+    committers = committers || {};
+    return !hub.none(committer) && committers.hasOwnProperty(committer) && !!committers[committer].isOwner;
+  },
+
+  /**
+    Returned by checkSignature() for commits without a signature.
+
+    @property {hub.Error}
+  */
+  UNSIGNED_COMMIT_ERROR: hub.Error.desc("Commit Is Not Signed"),
+
+  /**
+    Returned by checkSignature() for commits by an actor whose public key is
+    not known.
+
+    @property {hub.Error}
+  */
+  UNKNOWN_ACTOR_ERROR: hub.Error.desc("Committer Is Not A Known Actor"),
+
+  /**
+    Returned by checkSignature() for commits whose signature is not the 
+    committer's.
+
+    @property {hub.Error}
+  */
+  FORGED_COMMIT_ERROR: hub.Error.desc("Commit Signature Is Forged"),
+
+  /**
+    Checks that `signature` is `committer`'s signature of the commit key 
+    `version` (see hub.schnorr.verify()).  `publicKey` is the committer's, 
+    from the actor table, or null if they are not in it.
+
+    @param {String} version the commit key
+    @param {String} committer
+    @param {String} signature
+    @param {String} publicKey
+    @returns {Boolean|hub.Error} true, or UNSIGNED_COMMIT_ERROR, 
+      UNKNOWN_ACTOR_ERROR or FORGED_COMMIT_ERROR
+  */
+  checkSignature: function(version, committer, signature, publicKey) {
+    if (hub.empty(signature)) return hub.Hub.UNSIGNED_COMMIT_ERROR;
+    if (hub.empty(publicKey)) return hub.Hub.UNKNOWN_ACTOR_ERROR;
+    if (!hub.schnorr.verify(version, signature, publicKey)) return hub.Hub.FORGED_COMMIT_ERROR;
+    return true;
+  },
+
+  /**
+    Decides whether a received commit by `committer` may be taken, given 
+    what checkSignature() said of it (`signed`) and the hub's committers 
+    (see hub.Hub#committers).  Forged commits never are.  Unverified ones
+    are only taken when the hub doesn't require signatures and has no 
+    committers, since anyone can put a committer's name in a commit they 
+    haven't signed.
+
+    @param {Hash} committers
+    @param {String} committer
+    @param {Boolean|hub.Error} signed
+    @param {Boolean} requireSignatures
+    @returns {Boolean|hub.Error} true, or the error to quarantine the 
+      commit with
+  */
+  admitCommit: function(committers, committer, signed, requireSignatures) {
+    if (signed === hub.Hub.FORGED_COMMIT_ERROR) return signed;
+    if (!hub.ok(signed) && (requireSignatures || hub.keys(committers || {}).length > 0)) return signed;
+    if (!hub.Hub.mayCommit(committers, committer)) return hub.Hub.NOT_A_COMMITTER_ERROR;
+    return true;
+  },
+
+  /**
+    Returns the commit `version` carries in an encoded pack, as { key, 
+    created_on, ancestors }, or null.
+
+    @param {Hash} pack the encoded pack
+    @param {String} version the commit key
+    @returns {Hash}
+  */
+  commitInPack: function(pack, version) {
+    var items = (pack && pack.items) || [],
+    idx, item;
+    for (idx = 0; idx < items.length; idx++) {
+      item = items[idx];
+      if (item && item.model === "Commit" && item.pk === version) {
+        return {
+          key: version,
+          created_on: parseInt(item.fields.created_on, 10),
+          ancestors: hub.Hub.parseAncestors(item.fields.ancestors)
+        };
+      }
+    }
+    return null;
+  },
+
+  /**
+    Walks down a commit graph from `keys` to find the commits the other side
+    of a sync is missing, one generation at a time.
+
+    `isKnown(key)` says whether the walk can stop at a commit.  Each 
+    generation of commits that are not known is handed to `lookup(keys, 
+    done)`, which must call `done` with those of them that are missing, as
+    { key, created_on, ancestors } by key (or with a hub.Error); the walk 
+    goes on with their ancestors.  Commits that `lookup` leaves out are 
+    skipped.
+
+    The callback is called with every missing commit, by key, or with the 
+    first hub.Error from `lookup`.
+
+    @param {Array} keys the commit keys to start from
+    @param {Function} isKnown
+    @param {Function} lookup
+    @param {Function} callback
+  */
+  walkMissing: function(keys, isKnown, lookup, callback) {
+    var missing = {},
+    seen = {};
+
+    var step = function(keys) {
+      keys = keys.filter(function(key) {
+        if (!key || seen[key] || isKnown(key)) return false;
+        seen[key] = true;
+        return true;
+      });
+      if (keys.length === 0) {
+        callback(missing);
+        return;
+      }
+      lookup(keys, function(commits) {
+        if (!hub.ok(commits)) {
+          callback(commits);
+          return;
+        }
+        var next = [];
+        keys.forEach(function(key) {
+          if (!commits[key]) return;
+          missing[key] = commits[key];
+          next.push.apply(next, commits[key].ancestors || []);
+        });
+        step(next);
+      });
+    };
+    step(keys || []);
+  },
+
+  /**
+    Orders the commits in `commitsByKey` so that each one comes after its 
+    ancestors (those of them that are in `commitsByKey`).  Commits that don't
+    depend on each other are ordered oldest first.
+
+    @param {Hash} commitsByKey commits by key, with ancestors and created_on
+    @returns {Array} the commit keys
+  */
+  ancestorsFirst: function(commitsByKey) {
+    var keys = hub.keys(commitsByKey).filter(function(key) {
+      return !!commitsByKey[key];
+    }),
+    done = {},
+    ret = [],
+    ready;
+
+    keys.sort(function(a, b) {
+      return commitsByKey[a].created_on - commitsByKey[b].created_on;
+    });
+    while (ret.length < keys.length) {
+      ready = keys.filter(function(key) {
+        return !done[key] && commitsByKey[key].ancestors.every(function(ancestor) {
+          return done[ancestor] || !commitsByKey[ancestor];
+        });
+      });
+      if (ready.length === 0) break; // a cycle; can't happen with real keys
+      done[ready[0]] = true;
+      ret.push(ready[0]);
+    }
+    return ret;
+  },
+
+  /**
+    Returns the keys of the commits in `commitsByKey` that are not an 
+    ancestor of any other commit in it, oldest first.
+
+    @param {Hash} commitsByKey commits by key, with ancestors and created_on
+    @returns {Array} the commit keys
+  */
+  tips: function(commitsByKey) {
+    var ancestors = {},
+    key;
+    for (key in commitsByKey) {
+      if (!commitsByKey.hasOwnProperty(key) || !commitsByKey[key]) continue;
+      commitsByKey[key].ancestors.forEach(function(ancestor) {
+        ancestors[ancestor] = true;
+      });
+    }
+    return hub.Hub.ancestorsFirst(commitsByKey).filter(function(key) {
+      return !ancestors[key];
+    });
+  },
+
+  /**
+    Describes the device hub.js is running on, as a new hub_device row.
+
+    @returns {Hash} { key, name, platform, created_on }
+  */
+  localDevice: function() {
+    var name = null,
+    platform = null;
+    if (hub.isNode) {
+      name = require('os').hostname();
+      platform = process.platform;
+    } else if (typeof navigator !== "undefined") {
+      name = navigator.userAgent;
+      platform = navigator.platform;
+    }
+    return {
+      key: hub.uuid(),
+      name: name,
+      platform: platform,
+      created_on: new Date().getTime()
+    };
+  },
+
+  /**
+    Returns the commits (see hub.Hub#log()) that were made by `options.actor`
+    (or `options.committer`) and on `options.device`.  Both can be given as
+    records or ids; leave one out to not filter on it.
+
+    @param {Array} commits
+    @param {Hash} options
+    @returns {Array}
+  */
+  filterCommits: function(commits, options) {
+    var idOf = function(identity) {
+      return (identity && identity.get) ? identity.get('id') : identity;
+    },
+    actor = idOf(options.actor || options.committer),
+    device = idOf(options.device);
+    return commits.filter(function(commit) {
+      return (!actor || commit.committer === actor) && (!device || commit.device === device);
+    });
+  },
+
+  /**
+    Orders log() so that every commit comes before its ancestors.
+
+    @property {String}
+  */
+  TOPO_ORDER: "topo",
+
+  /**
+    Orders log() newest commit first.
+
+    @property {String}
+  */
+  DATE_ORDER: "date",
+
+  /**
+    Returns the key of a commit.  Two commits can share the same data (a 
+    merge that takes one side, a revert...), so the key covers where the 
+    commit sits in the history too.
+
+    @param {String} name the commit name
+    @param {String} committer who made the commit
+    @param {String} dataKey the key of the commit's store data item
+    @param {String} ancestors the JSON-encoded ancestor keys
+    @param {Number} createdOn when the commit was made
+    @returns {String} the SHA256 key
+  */
+  commitKey: function(name, committer, dataKey, ancestors, createdOn) {
+    var str = hub.Hub._hub_keyString;
+    return hub.SHA256(str(name) + str(committer) + str(dataKey) + str(ancestors) + str(createdOn));
+  },
+
+  /**
+    Returns the key of a meta_data row.  The first pass leaves out the 
+    source, which is not known yet when the keys of the links are hashed into
+    the key of the data item they hang off.
+
+    @param {Hash} params the meta_data fields (with the data_key column as 
+      `data`)
+    @param {Boolean} secondPass true to include the source
+    @returns {String} the SHA256 key
+  */
+  metaDataKey: function(params, secondPass) {
+    var str = hub.Hub._hub_keyString,
+    string = str(params.name) + str(params.meta_uti) + str(params.meta_creator) + str(params.meta_editor) + str(params.target_uti) + str(params.target_creator) + str(params.target_editor) + str(params.target_position) + str(params.target) + str(params.data);
+    if (secondPass) string += str(params.source);
+    return hub.SHA256(string);
+  },
+
+  /** @private
+    Keys are hashed from what ends up in the database, where undefined comes
+    back as null.
+  */
+  _hub_keyString: function(value) {
+    return hub.none(value) ? "null": String(value);
+  },
+
+  /** @private The values of `column` in `rows`. */
+  _hub_column: function(rows, column) {
+    return rows.map(function(row) {
+      return row[column];
+    });
+  },
+
+  /** @private Sorts `rows` by `column`, as SQL's ORDER BY would. */
+  _hub_sortBy: function(rows, column) {
+    return rows.sort(function(a, b) {
+      var x = a[column], y = b[column];
+      if (x === y) return 0;
+      if (hub.none(x)) return -1;
+      if (hub.none(y)) return 1;
+      return x < y ? -1 : 1;
+    });
+  },
+
+  /** @private
+    Joins commit rows to their records, following commit -> store (data_key)
+    -> record type links -> record instance links -> data.  Returns an array
+    of { commit, type, inst, data } rows.
+  */
+  _hub_follow: function(commits, typeLinks, instLinks, dataRows) {
+    var bySource = function(rows) {
+      var ret = {};
+      rows.forEach(function(row) {
+        (ret[row['source']] = ret[row['source']] || []).push(row);
+      });
+      return ret;
+    },
+    typesBySource = bySource(typeLinks),
+    instsBySource = bySource(instLinks),
+    dataByKey = {},
+    ret = [];
+    dataRows.forEach(function(row) {
+      dataByKey[row['key']] = row;
+    });
+    commits.forEach(function(commit) {
+      (typesBySource[commit['data_key']] || []).forEach(function(type) {
+        (instsBySource[type['target']] || []).forEach(function(inst) {
+          var data = dataByKey[inst['target']];
+          if (data) ret.push({ commit: commit, type: type, inst: inst, data: data });
+        });
+      });
+    });
+    return ret;
+  },
+
+  /**
+    Parses the `ancestors` column of a commit row into an array of commit 
+    keys.  The root commit of a hub is stored with a `null` ancestor, which is
+    dropped.
+
+    @param {String|Array} ancestors the JSON-encoded ancestors
+    @returns {Array} the ancestor commit keys
+  */
+  parseAncestors: function(ancestors) {
+    if (hub.typeOf(ancestors) === hub.T_STRING) {
+      try {
+        ancestors = JSON.parse(ancestors);
+      } catch(e) {
+        ancestors = [ancestors];
+      }
+    }
+    return hub.typeOf(ancestors) === hub.T_ARRAY ? ancestors.filter(function(key) {
+      return !hub.empty(key);
+    }) : [];
+  },
+
+  /**
+    Sorts the commits reachable from `from` in a graph of the form { key: 
+    { ancestors: [], created_on: Number } }.
+
+    With hub.Hub.DATE_ORDER, commits are simply listed newest first.  With 
+    hub.Hub.TOPO_ORDER (the default), no commit is listed before all of its
+    descendants have been; among the commits that are ready, the newest goes
+    first.
+
+    @param {Hash} commitsByKey the commit graph
+    @param {String} from the commit key to start from
+    @param {String} order optional hub.Hub.TOPO_ORDER or hub.Hub.DATE_ORDER
+    @returns {Array} the sorted commits
+  */
+  sortCommits: function(commitsByKey, from, order) {
+    var reachable = {},
+    children = {},
+    stack = [from],
+    ret = [],
+    ready, key, commit;
+
+    var newestFirst = function(x, y) {
+      return (y.created_on - x.created_on) || (x.key < y.key ? -1 : (x.key > y.key ? 1 : 0));
+    };
+
+    while (stack.length > 0) {
+      key = stack.pop();
+      commit = commitsByKey[key];
+      if (!commit || reachable[key]) continue;
+      reachable[key] = commit;
+      if (!commit.key) commit.key = key;
+      ret.push(commit);
+      stack.push.apply(stack, commit.ancestors);
+    }
+
+    if (!reachable[from]) return ret;
+    if (order === hub.Hub.DATE_ORDER) return ret.sort(newestFirst);
+
+    // Count the children of each commit, then emit a commit once all of its
+    // children have been emitted.
+    ret.forEach(function(commit) {
+      commit.ancestors.forEach(function(ancestor) {
+        if (reachable[ancestor]) children[ancestor] = (children[ancestor] || 0) + 1;
+      });
+    });
+
+    ret = [];
+    ready = [reachable[from]];
+    while (ready.length > 0) {
+      ready.sort(newestFirst);
+      commit = ready.shift();
+      ret.push(commit);
+      commit.ancestors.forEach(function(ancestor) {
+        if (reachable[ancestor] && --children[ancestor] === 0) ready.push(reachable[ancestor]);
+      });
+    }
+    return ret;
+  },
+
+  /**
+    Works out which rows of a Hub database are garbage.
+
+    Every commit is kept.  A data row is reachable if it is a commit's 
+    data_key or the target of a reachable meta_data row; a meta_data row is
+    reachable if its source is a reachable data row.
+
+    Also recomputes, for each commit, the storage of the data it reaches 
+    (total_storage), of the data it reaches that none of its ancestors do 
+    (commit_storage), and of the data it and all of its ancestors reach 
+    (history_storage).
+
+    @param {Hash} commitsByKey commits by key (see hub.Hub#log())
+    @param {Array} metaRows meta_data rows, as { key, source, target }
+    @param {Array} dataRows data rows, as { key, storage, size }, where size
+      is the length of the bytes
+    @returns {Hash} the unreachable `data` and `metaData` keys, the `bytes` 
+      they take up, and the `storage` counts by commit key
+  */
+  collectGarbage: function(commitsByKey, metaRows, dataRows) {
+    var metaBySource = {},
+    storageByKey = {},
+    reachableData = {},
+    reachableMeta = {},
+    reachedBy = {},
+    historyOf = {},
+    storage = {},
+    ret = { data: [], metaData: [], bytes: 0, storage: storage },
+    key;
+
+    metaRows.forEach(function(row) {
+      if (!metaBySource[row.source]) metaBySource[row.source] = [];
+      metaBySource[row.source].push(row);
+    });
+    dataRows.forEach(function(row) {
+      storageByKey[row.key] = parseInt(row.storage, 10) || 0;
+    });
+
+    // The data keys one commit reaches, marking them (and the meta_data 
+    // rows on the way) as reachable.
+    var reach = function(dataKey) {
+      var seen = {},
+      stack = [dataKey],
+      next;
+      while (stack.length) {
+        next = stack.pop();
+        if (!next || seen[next]) continue;
+        seen[next] = reachableData[next] = true;
+        (metaBySource[next] || []).forEach(function(row) {
+          reachableMeta[row.key] = true;
+          stack.push(row.target);
+        });
+      }
+      return seen;
+    };
+
+    var sum = function(keys) {
+      var total = 0;
+      for (var k in keys) {
+        if (keys.hasOwnProperty(k)) total += storageByKey[k] || 0;
+      }
+      return total;
+    };
+
+    for (key in commitsByKey) {
+      if (commitsByKey.hasOwnProperty(key)) reachedBy[key] = reach(commitsByKey[key].data_key);
+    }
+
+    // Histories are built ancestors first, without recursing, so long 
+    // histories don't overflow the stack.
+    var history = function(from) {
+      var stack = [from],
+      commit, ready, ancestorHistory;
+      while (stack.length) {
+        commit = commitsByKey[stack[stack.length - 1]];
+        ready = true;
+        commit.ancestors.forEach(function(ancestor) {
+          if (commitsByKey[ancestor] && !historyOf[ancestor]) {
+            stack.push(ancestor);
+            ready = false;
+          }
+        });
+        if (!ready) continue;
+        stack.pop();
+        if (historyOf[commit.key]) continue;
+
+        ancestorHistory = {};
+        commit.ancestors.forEach(function(ancestor) {
+          if (historyOf[ancestor]) hub.mixin(ancestorHistory, historyOf[ancestor]);
+        });
+        historyOf[commit.key] = hub.mixin({}, ancestorHistory, reachedBy[commit.key]);
+        storage[commit.key] = {
+          total_storage: sum(reachedBy[commit.key]),
+          commit_storage: sum(historyOf[commit.key]) - sum(ancestorHistory),
+          history_storage: sum(historyOf[commit.key])
+        };
+      }
+    };
+
+    for (key in commitsByKey) {
+      if (commitsByKey.hasOwnProperty(key)) history(key);
+    }
+
+    dataRows.forEach(function(row) {
+      if (reachableData[row.key]) return;
+      ret.data.push(row.key);
+      ret.bytes += parseInt(row.size, 10) || 0;
+    });
+    metaRows.forEach(function(row) {
+      if (!reachableMeta[row.key]) ret.metaData.push(row.key);
+    });
+
+    return ret;
+  },
+
+  /**
+    Compares two snapshots of the form { "App.Task": { recordId: dataHash } }.
+    Returns, for each record type with changes:
+
+    {{{
+      "App.Task": {
+        created: { recordId: dataHash },
+        updated: { recordId: { attribute: { before: value, after: value } } },
+        destroyed: { recordId: dataHash }
+      }
+    }}}
+
+    Only the attributes that changed are listed under `updated`; an 
+    attribute that was added has an undefined `before`, one that was removed
+    an undefined `after`.
+
+    @param {Hash} snapshotA the snapshot to compare from
+    @param {Hash} snapshotB the snapshot to compare to
+    @returns {Hash} the differences
+  */
+  diffSnapshots: function(snapshotA, snapshotB) {
+    var ret = {},
+    types = {},
+    type;
+
+    var changesFor = function(type) {
+      if (!ret[type]) ret[type] = { created: {}, updated: {}, destroyed: {} };
+      return ret[type];
+    };
+
+    var diffHashes = function(before, after) {
+      var changes = null,
+      keys = {},
+      key;
+      for (key in before) if (before.hasOwnProperty(key)) keys[key] = true;
+      for (key in after) if (after.hasOwnProperty(key)) keys[key] = true;
+      for (key in keys) {
+        if (!keys.hasOwnProperty(key)) continue;
+        if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+        if (!changes) changes = {};
+        changes[key] = { before: before[key], after: after[key] };
+      }
+      return changes;
+    };
+
+    for (type in snapshotA) if (snapshotA.hasOwnProperty(type)) types[type] = true;
+    for (type in snapshotB) if (snapshotB.hasOwnProperty(type)) types[type] = true;
+
+    for (type in types) {
+      if (!types.hasOwnProperty(type)) continue;
+      var recordsA = snapshotA[type] || {},
+      recordsB = snapshotB[type] || {},
+      recordId, changes;
+
+      for (recordId in recordsA) {
+        if (!recordsA.hasOwnProperty(recordId)) continue;
+        if (!recordsB.hasOwnProperty(recordId)) {
+          changesFor(type).destroyed[recordId] = recordsA[recordId];
+        } else if ((changes = diffHashes(recordsA[recordId], recordsB[recordId]))) {
+          changesFor(type).updated[recordId] = changes;
+        }
+      }
+      for (recordId in recordsB) {
+        if (recordsB.hasOwnProperty(recordId) && !recordsA.hasOwnProperty(recordId)) {
+          changesFor(type).created[recordId] = recordsB[recordId];
+        }
+      }
+    }
+    return ret;
+  },
+
+  /**
+    Given a commit graph (see sortCommits()) and the state of one record in 
+    each commit, as { dataKey, dataHash, editor } hashes by commit key, lists
+    the commits reachable from `from` that created, changed or destroyed the
+    record.  See hub.Hub#recordHistory() for the format.
+
+    @param {Hash} commitsByKey the commit graph
+    @param {Hash} statesByCommit the record's state by commit key
+    @param {String} from the commit key to start from
+    @returns {Array} the versions, newest first
+  */
+  recordHistory: function(commitsByKey, statesByCommit, from) {
+    var ret = [];
+    hub.Hub.sortCommits(commitsByKey, from).forEach(function(commit) {
+      var state = statesByCommit[commit.key],
+      ancestorStates = commit.ancestors.map(function(key) {
+        return statesByCommit[key];
+      });
+
+      if (state) {
+        // Changed unless some ancestor already had exactly this version.
+        if (ancestorStates.some(function(s) { return s && s.dataKey === state.dataKey; })) return;
+      } else {
+        // Destroyed if some ancestor had it.
+        if (!ancestorStates.some(function(s) { return !!s; })) return;
+      }
+
+      ret.push({
+        commit: commit.key,
+        committer: commit.committer,
+        created_on: commit.created_on,
+        editor: state ? state.editor: null,
+        dataHash: state ? state.dataHash: null,
+        destroyed: !state
+      });
+    });
+    return ret;
+  },
+
+  /**
+    Given a commit graph (see sortCommits()) and the state of one record in 
+    each commit (see recordHistory()), finds the commit that last changed 
+    each attribute of the record as of `from`.  See hub.Hub#blame() for the 
+    format.
+
+    @param {Hash} commitsByKey the commit graph
+    @param {Hash} statesByCommit the record's state by commit key
+    @param {String} from the commit key to start from
+    @returns {Hash} the blame hash, or null
+  */
+  blameRecord: function(commitsByKey, statesByCommit, from) {
+    var state = statesByCommit[from],
+    ret = {},
+    key;
+    if (!state || !commitsByKey[from]) return null;
+
+    var sameValue = function(commitKey, attribute, value) {
+      var s = statesByCommit[commitKey];
+      return !!(s && commitsByKey[commitKey] && s.dataHash.hasOwnProperty(attribute) && JSON.stringify(s.dataHash[attribute]) === value);
+    };
+
+    for (key in state.dataHash) {
+      if (!state.dataHash.hasOwnProperty(key)) continue;
+      var value = JSON.stringify(state.dataHash[key]),
+      commitKey = from,
+      next = from,
+      seen = {};
+
+      // Follow any ancestor that already had this value back to where it
+      // came from.
+      while (next && !seen[next]) {
+        seen[next] = true;
+        commitKey = next;
+        next = null;
+        commitsByKey[commitKey].ancestors.some(function(ancestor) {
+          if (sameValue(ancestor, key, value)) next = ancestor;
+          return !!next;
+        });
+      }
+
+      ret[key] = {
+        commit: commitKey,
+        committer: commitsByKey[commitKey].committer,
+        created_on: commitsByKey[commitKey].created_on,
+        editor: statesByCommit[commitKey].editor,
+        value: state.dataHash[key]
+      };
+    }
+    return ret;
+  },
+
+  /**
+    Three-way merges two versions of a data hash against their common base,
+    attribute by attribute.  An attribute changed on only one side takes 
+    that side's value; one changed differently on both sides is passed to
+    `onConflict(key, baseValue, valueA, valueB)`, which returns the value to 
+    keep.  Returning undefined drops the attribute.
+
+    @param {Hash} base the data hash at the least-common-ancestor, or null
+    @param {Hash} hashA one side's data hash
+    @param {Hash} hashB the other side's data hash
+    @param {Function} onConflict conflict resolver
+    @returns {Hash} the merged data hash
+  */
+  mergeDataHashes: function(base, hashA, hashB, onConflict) {
+    var ret = {},
+    keys = {},
+    key, valueA, valueB, baseValue, value;
+    if (!base) base = {};
+
+    var same = function(x, y) {
+      return x === y || JSON.stringify(x) === JSON.stringify(y);
+    };
+
+    [base, hashA, hashB].forEach(function(hash) {
+      for (var k in hash) if (hash.hasOwnProperty(k)) keys[k] = true;
+    });
+
+    for (key in keys) {
+      if (!keys.hasOwnProperty(key)) continue;
+      baseValue = base[key];
+      valueA = hashA[key];
+      valueB = hashB[key];
+      if (same(valueA, valueB)) value = valueA;
+      else if (same(valueA, baseValue)) value = valueB;
+      else if (same(valueB, baseValue)) value = valueA;
+      else value = onConflict(key, baseValue, valueA, valueB);
+      if (value !== undefined) ret[key] = value;
+    }
+    return ret;
+  },
+
+  /**
+    Given a commit graph in the form { key: { ancestors: [], created_on: 
+    Number } }, returns the least-common-ancestor of commits `a` and `b`, or 
+    null if they share no history.
+
+    The candidates are all common ancestors that are not themselves an 
+    ancestor of another common ancestor.  When there is more than one (a 
+    criss-cross merge), the most recent commit wins.
+
+    @param {Hash} commitsByKey the commit graph
+    @param {String} a a commit key
+    @param {String} b a commit key
+    @returns {String} the key of the least-common-ancestor
+  */
+  leastCommonAncestor: function(commitsByKey, a, b) {
+    var ancestorsOf = function(key) {
+      var seen = {},
+      stack = [key],
+      commit;
+      while (stack.length > 0) {
+        key = stack.pop();
+        if (seen[key]) continue;
+        seen[key] = true;
+        commit = commitsByKey[key];
+        if (commit) stack.push.apply(stack, commit.ancestors);
+      }
+      return seen;
+    };
+
+    var ofA = ancestorsOf(a),
+    ofB = ancestorsOf(b),
+    common = [],
+    hidden = {},
+    key;
+
+    for (key in ofA) {
+      if (ofA.hasOwnProperty(key) && ofB[key]) common.push(key);
+    }
+
+    // Drop the common ancestors that are reachable from another one.
+    common.forEach(function(key) {
+      var commit = commitsByKey[key];
+      if (!commit) return;
+      commit.ancestors.forEach(function(ancestor) {
+        var seen = ancestorsOf(ancestor);
+        for (var k in seen) if (seen.hasOwnProperty(k)) hidden[k] = true;
+      });
+    });
+    common = common.filter(function(key) { return !hidden[key]; });
+    if (common.length === 0) return null;
+
+    common.sort(function(x, y) {
+      var cx = commitsByKey[x] ? commitsByKey[x].created_on : 0,
+      cy = commitsByKey[y] ? commitsByKey[y].created_on : 0;
+      return (cy - cx) || (x < y ? -1 : (x > y ? 1 : 0));
+    });
+    return common[0];
+  }
+
 });
@@ -5,7 +5,7 @@
 //            Portions ©2008-2009 Apple Inc. All rights reserved.
 // License:   Licensed under an MIT license (see license.js).
 // ==========================================================================
-/*global hub */
+/*global hub hub_assert */
 
 /**
   During a merge, each head is represented by a MergeHub instance.
@@ -23,29 +23,127 @@
 hub.MergeHub = hub.Hub.extend(hub.ChildStore,
   /** @scope hub.MergeHub.prototype */ {
   
-  changedRecords: hub.CoreSet.create(),
-  changesById: {},
+  /**
+    The store keys of the records that differ between this head and the 
+    parent store (which is at the least-common-ancestor during a merge).  
+    Store keys, unlike ids, are unique across record types.
+    
+    @property {hub.CoreSet}
+  */
+  changedRecords: null,
+  
+  /**
+    How each record in changedRecords changed: hub.Record.READY_NEW, 
+    READY_DIRTY or DESTROYED_CLEAN, by store key.
+    
+    @property {Hash}
+  */
+  changesByStoreKey: null,
+  
+  /**
+    The record type of each record in changedRecords, by store key.
+    
+    @property {Hash}
+  */
+  recordTypesByStoreKey: null,
+  
+  /**
+    When the commit this head is at was made.
+    
+    @property {Number}
+  */
+  createdOn: 0,
+  
+  /**
+    Who made the commit this head is at.
+    
+    @property {String}
+  */
+  committer: null,
   
   _hub_currentCommit: null,
   
+  /** @private
+    A MergeHub reads through its parent hub, so it does not start up a
+    database of its own.
+  */
+  init: function() {
+    hub.Store.prototype.init.apply(this, arguments) ;
+    this.changedRecords = hub.CoreSet.create() ;
+    this.changesByStoreKey = {} ;
+    this.recordTypesByStoreKey = {} ;
+  },
+  
   currentCommit: function() {
     if(this._hub_currentCommit) {
       return this._hub_currentCommit ;
     } else {
       var pstore = this.get('parentStore') ;
       hub_assert(pstore && pstore.isHub) ;
-      pstore.get('currentCommit') ;
+      return pstore.get('currentCommit') ;
     }
   }.property('_hub_currentCommit').cacheable(),
   
-  goTo: function(version) {
-    // var cversion = this.get('currentCommit') ;
+  /**
+    Moves this head to `version`, recording every record that differs from
+    the parent store.  Calls `callback` on the receiver when done.
     
-    this.checkout(version) ;
+    @param {String} version the commit key
+    @param {Function} callback optional
+  */
+  goTo: function(version, callback) {
+    var self = this,
+        pstore = this.get('parentStore'),
+        K = hub.Record ;
+    hub_assert(pstore && pstore.isHub) ;
     
-    // select all commits between cversion and version
-    // find the new storeKeys
-    // apply only these changes
+    pstore.readSnapshot(version, function(snapshot, commit) {
+      var seen = {}, typeName, recordType, recordId, storeKey, hash, status ;
+      
+      self.set('_hub_currentCommit', version) ;
+      if (commit) {
+        self.createdOn = parseInt(commit.created_on, 10) ;
+        self.committer = commit.committer ;
+      }
+      
+      for (typeName in snapshot) {
+        if (!snapshot.hasOwnProperty(typeName)) continue ;
+        recordType = hub.objectForPropertyPath(typeName) ;
+        for (recordId in snapshot[typeName]) {
+          if (!snapshot[typeName].hasOwnProperty(recordId)) continue ;
+          hash = snapshot[typeName][recordId] ;
+          storeKey = recordType.storeKeyFor(recordId) ;
+          seen[storeKey] = true ;
+          status = pstore.peekStatus(storeKey) ;
+          
+          if (status & K.READY) {
+            if (JSON.stringify(pstore.readDataHash(storeKey)) === JSON.stringify(hash)) continue ;
+            self._hub_recordChange(storeKey, recordType, K.READY_DIRTY) ;
+            self.writeDataHash(storeKey, hash, K.READY_DIRTY) ;
+          } else {
+            self._hub_recordChange(storeKey, recordType, K.READY_NEW) ;
+            self.writeDataHash(storeKey, hash, K.READY_NEW) ;
+          }
+          self.dataHashDidChange(storeKey) ;
+        }
+      }
+      
+      // Whatever the parent has that `version` doesn't was destroyed.
+      (pstore.storeKeys() || []).forEach(function(storeKey) {
+        if (seen[storeKey] || !(pstore.peekStatus(storeKey) & K.READY)) return ;
+        self._hub_recordChange(storeKey, pstore.recordTypeFor(storeKey), K.DESTROYED_CLEAN) ;
+        self.writeStatus(storeKey, K.DESTROYED_CLEAN) ;
+      });
+      
+      if (callback) callback.call(self) ;
+    });
+  },
+  
+  /** @private */
+  _hub_recordChange: function(storeKey, recordType, status) {
+    this.changedRecords.add(storeKey) ;
+    this.changesByStoreKey[storeKey] = status ;
+    this.recordTypesByStoreKey[storeKey] = recordType ;
   }
   
 });
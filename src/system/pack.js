@@ -0,0 +1,365 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global hub */
+
+/**
+  A pack carries one commit, and the data and meta_data rows it added, from
+  one hub.Hub to another.
+
+  Packs are sent as plain JSON (see encode()):
+
+  {{{
+    {
+      format: 1,
+      version: "commit key",
+      items: [
+        { pk: "key", model: "Data", fields: { bytes, storage, ... } },
+        { pk: "key", model: "MetaData", fields: { name, source, target, ... } },
+        { pk: "key", model: "Commit", fields: { name, committer, ... } }
+      ]
+    }
+  }}}
+
+  Every key in a pack is a SHA256 hash of what it names, so hub.Pack.decode()
+  recomputes each one and refuses packs that were corrupted or tampered with
+  on the way.  Data items that are not content-addressed on their own carry
+  what is needed to check them: store and record type items list the
+  (first-pass) keys of their `links`, and chunked records list their
+  `chunks` in order.
+
+  A pack only carries rows that were new in its commit, so some of the keys
+  it refers to (and some chunks) are expected to be known to the receiver
+  already.  These are listed in `missingKeys`; once the receiver has looked
+  them up, verifyWith() finishes the check.
+
+  @class
+  @extends hub.Object
+*/
+hub.Pack = hub.Object.extend(
+  /** @scope hub.Pack.prototype */ {
+
+  /**
+    The key of the commit this pack carries.
+
+    @property {String}
+  */
+  version: null,
+
+  /**
+    The { pk, model, fields } items.
+
+    @property {Array}
+  */
+  items: null,
+
+  /**
+    The data keys the pack refers to but does not carry.  Set by
+    hub.Pack.decode().
+
+    @property {Array}
+  */
+  missingKeys: null,
+
+  /** @private
+    Chunk keys by the key of each chunked record whose chunks are not all in
+    the pack.
+  */
+  _hub_unverified: null,
+
+  /**
+    Returns the pack as JSON-ready hash, with its format header.
+
+    @returns {Hash}
+  */
+  encode: function() {
+    return {
+      format: hub.Pack.FORMAT,
+      version: this.version,
+      items: this.items
+    };
+  },
+
+  /**
+    Finishes verifying a decoded pack against the data the receiver already
+    has: `bytesByKey` must hold every key in missingKeys (with the bytes of
+    each chunk).
+
+    @param {Hash} bytesByKey the receiver's bytes for missingKeys, by key
+    @returns {Boolean|hub.Error} true, or the reason the pack is bad
+  */
+  verifyWith: function(bytesByKey) {
+    var P = hub.Pack,
+    unverified = this._hub_unverified || {},
+    missing = this.missingKeys || [],
+    idx, key, bytes;
+
+    // chunks come from the pack itself, or from the receiver
+    bytesByKey = hub.mixin({}, bytesByKey);
+    this.items.forEach(function(item) {
+      if (item.model === "Data") bytesByKey[item.pk] = item.fields.bytes;
+    });
+
+    for (idx = 0; idx < missing.length; idx++) {
+      if (!bytesByKey.hasOwnProperty(missing[idx])) {
+        return P.error(P.MISSING_REFERENCE, "Pack refers to unknown data %@", missing[idx]);
+      }
+    }
+
+    for (key in unverified) {
+      if (!unverified.hasOwnProperty(key)) continue;
+      bytes = this._hub_chunkBytes(unverified[key], bytesByKey);
+      if (hub.SHA256(bytes) !== key) {
+        return P.error(P.KEY_MISMATCH, "Data %@ does not match its chunks", key);
+      }
+    }
+    return true;
+  },
+
+  /** @private */
+  _hub_chunkBytes: function(chunkKeys, bytesByKey) {
+    return chunkKeys.map(function(chunkKey) {
+      return bytesByKey[chunkKey];
+    }).join("");
+  }
+
+});
+
+hub.Pack.mixin(/** @scope hub.Pack */ {
+
+  /**
+    The pack format this version of hub.js reads and writes.
+
+    @property {Number}
+  */
+  FORMAT: 1,
+
+  /** Error code: the pack has no format header, or one we can't read. */
+  UNSUPPORTED_FORMAT: -500,
+
+  /** Error code: the pack is not shaped like a pack. */
+  MALFORMED: -501,
+
+  /** Error code: an item does not hash to its key. */
+  KEY_MISMATCH: -502,
+
+  /** Error code: the pack does not carry the commit it claims to. */
+  MISSING_COMMIT: -503,
+
+  /** Error code: the pack refers to data neither it nor the receiver has. */
+  MISSING_REFERENCE: -504,
+
+  /**
+    Returns a new hub.Error with one of the codes above, and `message`
+    formatted with `key`, which is also the error's value.
+
+    @param {Number} code
+    @param {String} message
+    @param {String} key
+    @returns {hub.Error}
+  */
+  error: function(code, message, key) {
+    return hub.Error.desc(hub.fmt(message, key), "hub.Pack", key, code);
+  },
+
+  /**
+    Builds a pack for the commit `version` from its database rows: the
+    commit row, and the data and meta_data rows that were new in it.
+    `linkRows` are the meta_data rows whose source is one of the data rows
+    (whether or not they are new); they tell which links and chunks each data
+    item hangs off.
+
+    @param {String} version the commit key
+    @param {Hash} commitRow
+    @param {Array} dataRows
+    @param {Array} metaDataRows
+    @param {Array} linkRows
+    @returns {hub.Pack}
+  */
+  fromRows: function(version, commitRow, dataRows, metaDataRows, linkRows) {
+    var linksBySource = {},
+    chunksBySource = {},
+    items = [],
+    fields;
+
+    linkRows.forEach(function(row) {
+      var source = row.source;
+      if (row.target_uti === hub.Hub.CHUNK) {
+        if (!chunksBySource[source]) chunksBySource[source] = [];
+        chunksBySource[source][parseInt(row.target_position, 10)] = row.target;
+      } else {
+        if (!linksBySource[source]) linksBySource[source] = {};
+        linksBySource[source][hub.Pack.linkKey(row)] = true;
+      }
+    });
+
+    dataRows.forEach(function(row) {
+      fields = {
+        metadata_count: row.metadata_count,
+        storage: parseInt(row.storage, 10),
+        created_on: parseInt(row.created_on, 10),
+        bytes: row.bytes
+      };
+      if (linksBySource[row.key]) fields.links = hub.keys(linksBySource[row.key]).sort();
+      if (row.bytes === null) fields.chunks = chunksBySource[row.key] || [];
+      items.push({ pk: row.key, model: "Data", fields: fields });
+    });
+
+    metaDataRows.forEach(function(row) {
+      fields = hub.clone(row);
+      delete fields.key;
+      delete fields.commit_id;
+      items.push({ pk: row.key, model: "MetaData", fields: fields });
+    });
+
+    fields = hub.clone(commitRow);
+    delete fields.key;
+    delete fields.commit_id;
+    fields.created_on = parseInt(fields.created_on, 10);
+    items.push({ pk: commitRow.key, model: "Commit", fields: fields });
+
+    return hub.Pack.create({ version: version, items: items });
+  },
+
+  /**
+    Returns the first-pass key of a link (see hub.Hub.metaDataKey()) from a
+    meta_data row or MetaData item fields.
+
+    @param {Hash} fields
+    @returns {String}
+  */
+  linkKey: function(fields) {
+    return hub.Hub.metaDataKey(hub.mixin({}, fields, { data: fields.data_key }));
+  },
+
+  /**
+    Reads a pack (as JSON, or already parsed), checking its format and
+    recomputing every key in it.
+
+    @param {String|Hash} json the encoded pack
+    @returns {hub.Pack|hub.Error} the pack, or the reason it is bad
+  */
+  decode: function(json) {
+    var P = hub.Pack,
+    dataByKey = {},
+    metaBySource = {},
+    missing = {},
+    unverified = {},
+    commit = null,
+    idx, item, fields, key, ret;
+
+    if (hub.typeOf(json) === hub.T_STRING) {
+      try {
+        json = JSON.parse(json);
+      } catch (e) {
+        return P.error(P.MALFORMED, "Pack is not valid JSON", null);
+      }
+    }
+    if (!json || hub.typeOf(json) !== hub.T_HASH) {
+      return P.error(P.MALFORMED, "Pack is not a hash", null);
+    }
+    if (json.format !== P.FORMAT) {
+      return P.error(P.UNSUPPORTED_FORMAT, "Unsupported pack format %@", json.format);
+    }
+    if (hub.typeOf(json.items) !== hub.T_ARRAY || hub.empty(json.version)) {
+      return P.error(P.MALFORMED, "Pack %@ has no items", json.version);
+    }
+
+    for (idx = 0; idx < json.items.length; idx++) {
+      item = json.items[idx];
+      if (!item || hub.empty(item.pk) || !item.fields) {
+        return P.error(P.MALFORMED, "Pack item %@ is malformed", idx);
+      }
+      if (item.model === "Data") dataByKey[item.pk] = item.fields;
+      else if (item.model === "MetaData") {
+        if (!metaBySource[item.fields.source]) metaBySource[item.fields.source] = [];
+        metaBySource[item.fields.source].push(item.fields);
+      } else if (item.model !== "Commit") {
+        return P.error(P.MALFORMED, "Pack item has unknown model %@", item.model);
+      }
+    }
+
+    var need = function(dataKey) {
+      if (!hub.none(dataKey) && !dataByKey[dataKey]) missing[dataKey] = true;
+    };
+
+    for (idx = 0; idx < json.items.length; idx++) {
+      item = json.items[idx];
+      fields = item.fields;
+      key = item.pk;
+
+      if (item.model === "Commit") {
+        if (hub.Hub.commitKey(fields.name, fields.committer, fields.data_key, fields.ancestors, fields.created_on) !== key) {
+          return P.error(P.KEY_MISMATCH, "Commit %@ does not match its contents", key);
+        }
+        if (key === json.version) commit = fields;
+        need(fields.data_key);
+
+      } else if (item.model === "MetaData") {
+        if (hub.Hub.metaDataKey(hub.mixin({}, fields, { data: fields.data_key }), true) !== key) {
+          return P.error(P.KEY_MISMATCH, "MetaData %@ does not match its contents", key);
+        }
+        need(fields.source);
+        need(fields.target);
+
+      } else if (fields.bytes === null) {
+        // a chunked record: check it now if we have all of its chunks
+        if (hub.typeOf(fields.chunks) !== hub.T_ARRAY || fields.chunks.length === 0) {
+          return P.error(P.MALFORMED, "Data %@ has no bytes or chunks", key);
+        }
+        fields.chunks.forEach(need);
+        if (fields.chunks.every(function(chunkKey) { return dataByKey[chunkKey]; })) {
+          if (hub.SHA256(fields.chunks.map(function(chunkKey) { return dataByKey[chunkKey].bytes; }).join("")) !== key) {
+            return P.error(P.KEY_MISMATCH, "Data %@ does not match its chunks", key);
+          }
+        } else unverified[key] = fields.chunks;
+
+      } else {
+        ret = fields.links ? P._hub_checkLinks(key, fields, metaBySource[key]) : true;
+        if (!hub.ok(ret)) return ret;
+        if (hub.SHA256("" + fields.bytes + (fields.links || []).join("")) !== key) {
+          return P.error(P.KEY_MISMATCH, "Data %@ does not match its contents", key);
+        }
+      }
+    }
+
+    if (!commit) {
+      return P.error(P.MISSING_COMMIT, "Pack does not carry commit %@", json.version);
+    }
+
+    return P.create({
+      version: json.version,
+      items: json.items,
+      missingKeys: hub.keys(missing),
+      _hub_unverified: unverified
+    });
+  },
+
+  /** @private
+    The links a store or record type item claims must include every link in
+    the pack that hangs off it.
+  */
+  _hub_checkLinks: function(key, fields, metaRows) {
+    var links = fields.links,
+    idx;
+    if (hub.typeOf(links) !== hub.T_ARRAY) {
+      return hub.Pack.error(hub.Pack.MALFORMED, "Data %@ has malformed links", key);
+    }
+    for (idx = 1; idx < links.length; idx++) {
+      if (links[idx - 1] > links[idx]) {
+        return hub.Pack.error(hub.Pack.MALFORMED, "Data %@ has unsorted links", key);
+      }
+    }
+    metaRows = metaRows || [];
+    for (idx = 0; idx < metaRows.length; idx++) {
+      if (metaRows[idx].target_uti === hub.Hub.CHUNK) continue;
+      if (links.indexOf(hub.Pack.linkKey(metaRows[idx])) < 0) {
+        return hub.Pack.error(hub.Pack.KEY_MISMATCH, "Data %@ does not list all of its links", key);
+      }
+    }
+    return true;
+  }
+
+});
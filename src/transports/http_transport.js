@@ -0,0 +1,160 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global hub require Buffer XMLHttpRequest */
+
+/**
+  A transport that talks to a pack server over HTTP:
+
+   - GET  keysUrl        returns a JSON array of commit keys
+   - GET  headsUrl       returns a JSON array of the head commit keys
+   - POST commitsUrl     given a JSON array of commit keys, returns a JSON
+                         hash of { key, created_on, ancestors } (or null) by
+                         key
+   - GET  packUrl        returns the JSON pack for a commit
+   - POST packUrl        stores the JSON pack for a commit
+
+  `packUrl` is formatted with the commit key.  All of the URLs are relative to
+  `baseUrl`, which can be left empty in a browser.  On node.js, requests go
+  through the http module, so `baseUrl` must name the server.
+
+  @class
+  @extends hub.SyncTransport
+*/
+hub.HTTPTransport = hub.SyncTransport.extend(
+/** @scope hub.HTTPTransport.prototype */ {
+
+  /**
+    Prefix for both URLs, e.g. "http://localhost:8000".
+
+    @property {String}
+  */
+  baseUrl: '',
+
+  /**
+    The URL of the list of commit keys.
+
+    @property {String}
+  */
+  keysUrl: '/packs/keys/',
+
+  /**
+    The URL of the list of head commit keys.  Servers that answer it with a
+    404 are synced through keysUrl instead.
+
+    @property {String}
+  */
+  headsUrl: '/packs/heads/',
+
+  /**
+    The URL commits are looked up at.
+
+    @property {String}
+  */
+  commitsUrl: '/packs/commits/',
+
+  /**
+    The URL of a pack, formatted with the commit key.
+
+    @property {String}
+  */
+  packUrl: '/packs/?pk=%@',
+
+  getCommitKeys: function(aHub, callback) {
+    this.request('GET', this.baseUrl + this.keysUrl, null, callback) ;
+  },
+
+  getHeads: function(aHub, callback) {
+    this.request('GET', this.baseUrl + this.headsUrl, null, function(ret) {
+      if (!hub.ok(ret) && ret.code === 404) ret = hub.SyncTransport.NOT_IMPLEMENTED_ERROR ;
+      callback(ret) ;
+    }) ;
+  },
+
+  getCommits: function(aHub, keys, callback) {
+    this.request('POST', this.baseUrl + this.commitsUrl, keys, callback) ;
+  },
+
+  getPack: function(aHub, version, callback) {
+    this.request('GET', this.baseUrl + hub.fmt(this.packUrl, version), null, callback) ;
+  },
+
+  sendPack: function(aHub, version, pack, callback) {
+    this.request('POST', this.baseUrl + hub.fmt(this.packUrl, version), pack, function(ret) {
+      callback(hub.ok(ret) ? true : ret) ;
+    }) ;
+  },
+
+  /**
+    Sends a JSON request, calling back with the parsed JSON response, or with
+    a hub.Error whose code is the HTTP status (0 if the server could not be
+    reached) and whose value is the response text.
+
+    @param {String} method GET or POST
+    @param {String} url
+    @param {Object} body optional, sent as JSON
+    @param {Function} callback
+  */
+  request: function(method, url, body, callback) {
+    var done = function(status, text) {
+      var ret ;
+      if (status < 200 || status >= 300) {
+        ret = hub.Error.desc(hub.fmt("%@ %@ failed with status %@", method, url, status), "hub.HTTPTransport", text, status) ;
+      } else {
+        try {
+          ret = text ? JSON.parse(text) : true ;
+        } catch (e) {
+          ret = hub.Error.desc(hub.fmt("%@ %@ did not return JSON", method, url), "hub.HTTPTransport", text, status) ;
+        }
+      }
+      callback(ret) ;
+    };
+    body = (body === null || body === undefined) ? null : JSON.stringify(body) ;
+
+    if (hub.isNode) this._hub_nodeRequest(method, url, body, done) ;
+    else this._hub_xhrRequest(method, url, body, done) ;
+  },
+
+  /** @private */
+  _hub_xhrRequest: function(method, url, body, done) {
+    var xhr = new XMLHttpRequest() ;
+    xhr.open(method, url, true) ;
+    xhr.setRequestHeader('Accept', 'application/json') ;
+    if (body !== null) xhr.setRequestHeader('Content-Type', 'application/json') ;
+    xhr.onreadystatechange = function() {
+      if (xhr.readyState === 4) done(xhr.status, xhr.responseText) ;
+    };
+    xhr.send(body) ;
+  },
+
+  /** @private */
+  _hub_nodeRequest: function(method, url, body, done) {
+    var http = require('http'),
+        parsed = require('url').parse(url),
+        headers = { 'Accept': 'application/json' },
+        req ;
+
+    if (body !== null) {
+      headers['Content-Type'] = 'application/json' ;
+      headers['Content-Length'] = Buffer.byteLength(body) ;
+    }
+    req = http.request({
+      method: method,
+      host: parsed.hostname,
+      port: parsed.port,
+      path: parsed.path,
+      headers: headers
+    }, function(res) {
+      var text = '' ;
+      res.setEncoding('utf8') ;
+      res.on('data', function(chunk) { text += chunk ; }) ;
+      res.on('end', function() { done(res.statusCode, text) ; }) ;
+    }) ;
+    req.on('error', function(e) { done(0, e.message) ; }) ;
+    if (body !== null) req.write(body) ;
+    req.end() ;
+  }
+
+});
@@ -0,0 +1,83 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global hub */
+
+/**
+  A transport whose "remote" is kept in memory.  Hubs that share a loopback 
+  transport sync with each other, which is handy in unit tests:
+
+  {{{
+    var remote = hub.LoopbackTransport.create(),
+        hubA = hub.Hub.create({ uti: "com.example.a", transport: remote }),
+        hubB = hub.Hub.create({ uti: "com.example.b", transport: remote }) ;
+  }}}
+
+  Packs are stored as JSON strings, just as they would go over the wire, and
+  callbacks are called asynchronously.
+
+  @class
+  @extends hub.SyncTransport
+*/
+hub.LoopbackTransport = hub.SyncTransport.extend(
+/** @scope hub.LoopbackTransport.prototype */ {
+
+  /**
+    The commit keys the remote has, in the order they were sent.
+
+    @property {Array}
+  */
+  commitKeys: null,
+
+  /** @private */
+  init: function() {
+    arguments.callee.base.apply(this, arguments) ;
+    this.commitKeys = [] ;
+    this._hub_packs = {} ;
+    this._hub_commits = {} ;
+  },
+
+  getCommitKeys: function(aHub, callback) {
+    var keys = this.commitKeys.slice() ;
+    this._hub_later(callback, keys) ;
+  },
+
+  getHeads: function(aHub, callback) {
+    this._hub_later(callback, hub.Hub.tips(this._hub_commits)) ;
+  },
+
+  getCommits: function(aHub, keys, callback) {
+    var commits = this._hub_commits, ret = {} ;
+    keys.forEach(function(key) {
+      ret[key] = commits[key] ? hub.clone(commits[key]) : null ;
+    });
+    this._hub_later(callback, ret) ;
+  },
+
+  getPack: function(aHub, version, callback) {
+    var json = this._hub_packs[version] ;
+    this._hub_later(callback, json ? JSON.parse(json) : hub.LoopbackTransport.PACK_NOT_FOUND_ERROR) ;
+  },
+
+  sendPack: function(aHub, version, pack, callback) {
+    if (!this._hub_packs[version]) this.commitKeys.push(version) ;
+    this._hub_packs[version] = JSON.stringify(pack) ;
+    this._hub_commits[version] = hub.Hub.commitInPack(pack, version) ;
+    this._hub_later(callback, true) ;
+  },
+
+  /** @private */
+  _hub_later: function(callback, result) {
+    if (callback) setTimeout(function() { callback(result) ; }, 0) ;
+  }
+
+});
+
+/**
+  Returned by getPack() for commits the remote does not have.
+
+  @property {hub.Error}
+*/
+hub.LoopbackTransport.PACK_NOT_FOUND_ERROR = hub.Error.desc("Pack Not Found") ;
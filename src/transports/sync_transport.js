@@ -0,0 +1,96 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global hub */
+
+/**
+  A sync transport moves packs (see hub.Pack) between a hub.Hub and a remote
+  copy of it.  hub.Hub#sync(), getPack() and sendPack() do all of their
+  talking through the Hub's `transport`.
+
+  Subclasses implement the methods below.  Each one is asynchronous: it 
+  calls `callback` with its result when done, or with a hub.Error if 
+  something went wrong.
+
+  getHeads() and getCommits() let sync() work out what to transfer by 
+  walking the commit graph from the heads, so only the keys of missing 
+  commits (and of the commits where the two histories meet) go over the 
+  wire.  Transports that leave them out fall back to getCommitKeys(), which 
+  lists every commit the remote has.
+
+  hub.js comes with hub.HTTPTransport, for the /packs protocol, and 
+  hub.LoopbackTransport, which keeps the "remote" in memory.
+
+  @class
+  @extends hub.Object
+*/
+hub.SyncTransport = hub.Object.extend(
+/** @scope hub.SyncTransport.prototype */ {
+
+  /**
+    Gets the keys of every commit the remote has.
+
+    @param {hub.Hub} aHub the Hub that is syncing
+    @param {Function} callback called with an array of commit keys
+  */
+  getCommitKeys: function(aHub, callback) {
+    callback(hub.SyncTransport.NOT_IMPLEMENTED_ERROR) ;
+  },
+
+  /**
+    Gets the keys of the remote's heads: the commits no other commit on the
+    remote descends from.
+
+    @param {hub.Hub} aHub the Hub that is syncing
+    @param {Function} callback called with an array of commit keys
+  */
+  getHeads: function(aHub, callback) {
+    callback(hub.SyncTransport.NOT_IMPLEMENTED_ERROR) ;
+  },
+
+  /**
+    Looks up commits on the remote.  Calls back with a hash that has, for 
+    each of `keys`, the commit as { key, created_on, ancestors }, or null if
+    the remote doesn't have it.
+
+    @param {hub.Hub} aHub the Hub that is syncing
+    @param {Array} keys the commit keys
+    @param {Function} callback called with the commits by key
+  */
+  getCommits: function(aHub, keys, callback) {
+    callback(hub.SyncTransport.NOT_IMPLEMENTED_ERROR) ;
+  },
+
+  /**
+    Gets the pack for commit `version` from the remote.
+
+    @param {hub.Hub} aHub the Hub that is syncing
+    @param {String} version the commit key
+    @param {Function} callback called with the encoded pack
+  */
+  getPack: function(aHub, version, callback) {
+    callback(hub.SyncTransport.NOT_IMPLEMENTED_ERROR) ;
+  },
+
+  /**
+    Sends the pack for commit `version` to the remote.
+
+    @param {hub.Hub} aHub the Hub that is syncing
+    @param {String} version the commit key
+    @param {Hash} pack the encoded pack (see hub.Pack#encode())
+    @param {Function} callback called with true once the remote has it
+  */
+  sendPack: function(aHub, version, pack, callback) {
+    callback(hub.SyncTransport.NOT_IMPLEMENTED_ERROR) ;
+  }
+
+});
+
+/**
+  Returned by transports that don't implement a method.
+
+  @property {hub.Error}
+*/
+hub.SyncTransport.NOT_IMPLEMENTED_ERROR = hub.Error.desc("Not Implemented by Transport") ;
@@ -5,7 +5,121 @@
 // ==========================================================================
 /*global hub */
 
+/** @private
+  The 256 random 32-bit values buzhash substitutes for each character.  They
+  come from a fixed-seed generator, so every client finds the same chunk
+  boundaries in the same data.
+*/
+hub._hub_buzhashTable = (function() {
+  var table = [], seed = 0x2545F491, i ;
+  for (i = 0; i < 256; i++) {
+    // xorshift32
+    seed ^= seed << 13 ; seed ^= seed >>> 17 ; seed ^= seed << 5 ;
+    table[i] = seed >>> 0 ;
+  }
+  return table ;
+})();
+
+/** @private */
+hub._hub_buzhashValue = function(c) {
+  return hub._hub_buzhashTable[(c ^ (c >>> 8)) & 0xFF] ;
+};
+
+/** @private 32-bit rotate left. */
+hub._hub_rotl = function(n, bits) {
+  bits = bits % 32 ;
+  return ((n << bits) | (n >>> (32 - bits))) >>> 0 ;
+};
+
+/**
+  Returns the buzhash (a cyclic polynomial hash) of the string `s`, as an
+  unsigned 32-bit integer.
+
+  Unlike a cryptographic hash, buzhash can be rolled along a string with
+  hub.buzhash.roll() one character at a time, which is what
+  hub.buzhash.chunk() uses to find chunk boundaries.
+
+  @param {String} s
+  @returns {Number}
+*/
 hub.buzhash = function(s) {
-  // FIXME: Write me!
-  return 0 ;
+  var hash = 0, len = s.length, i ;
+  for (i = 0; i < len; i++) {
+    hash = (hub._hub_rotl(hash, 1) ^ hub._hub_buzhashValue(s.charCodeAt(i))) >>> 0 ;
+  }
+  return hash ;
+};
+
+/**
+  Rolls a buzhash along by one character: given the hash of a window of
+  `size` characters, returns the hash of the window without its first
+  character `out`, but with `next` added at the end.
+
+  @param {Number} hash the hash of the current window
+  @param {String} out the character leaving the window
+  @param {String} next the character entering the window
+  @param {Number} size the window size
+  @returns {Number}
+*/
+hub.buzhash.roll = function(hash, out, next, size) {
+  return (hub._hub_rotl(hash, 1) ^
+          hub._hub_rotl(hub._hub_buzhashValue(out.charCodeAt(0)), size) ^
+          hub._hub_buzhashValue(next.charCodeAt(0))) >>> 0 ;
+};
+
+/**
+  The default options of hub.buzhash.chunk(): a 48 character window, and
+  chunks of 1K to 16K characters that average about 4K.
+*/
+hub.buzhash.CHUNK_OPTIONS = {
+  window: 48,
+  bits: 12,
+  min: 1024,
+  max: 16384
+};
+
+/**
+  Splits `s` into content-defined chunks.  A chunk ends wherever the low
+  `bits` bits of the rolling buzhash of the last `window` characters are all
+  set (or when it reaches `max` characters), but never before `min`
+  characters.
+
+  Because the boundaries depend only on the nearby content, a small edit in
+  a large string changes only the chunks around it; the rest come out
+  exactly the same, and so get the same SHA256 key.
+
+  @param {String} s the string to split
+  @param {Hash} options optional, see hub.buzhash.CHUNK_OPTIONS
+  @returns {Array} the chunks, which join back up into `s`
+*/
+hub.buzhash.chunk = function(s, options) {
+  options = hub.mixin({}, hub.buzhash.CHUNK_OPTIONS, options) ;
+
+  var size = options.window,
+      mask = (1 << options.bits) - 1,
+      len = s.length,
+      chunks = [],
+      start = 0,
+      hash = 0,
+      i ;
+
+  if (len <= options.min) return len ? [s] : [] ;
+
+  for (i = 0; i < len; i++) {
+    if (i - start < size) {
+      hash = (hub._hub_rotl(hash, 1) ^ hub._hub_buzhashValue(s.charCodeAt(i))) >>> 0 ;
+    } else {
+      hash = hub.buzhash.roll(hash, s.charAt(i - size), s.charAt(i), size) ;
+    }
+
+    if ((i + 1 - start >= options.min && (hash & mask) === mask) ||
+        i + 1 - start >= options.max) {
+      chunks.push(s.slice(start, i + 1)) ;
+      start = i + 1 ;
+      hash = 0 ;
+    }
+  }
+  if (start < len) chunks.push(s.slice(start)) ;
+
+  return chunks ;
 };
@@ -0,0 +1,172 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*global hub BigInt require window */
+
+/**
+  Schnorr signatures over the 2048-bit MODP group of RFC 3526 (group 14),
+  with hub.SHA256 as the hash.  Keys and signatures are hex strings:
+
+  {{{
+    var keys = hub.schnorr.keyPair(),
+        signature = hub.schnorr.sign("message", keys.privateKey) ;
+    hub.schnorr.verify("message", signature, keys.publicKey) ; // true
+  }}}
+
+  Nonces are drawn uniformly from [1, q), deterministically from the private
+  key and the message (see _hub_nonce()), so signing the same message twice
+  gives the same signature and needs no randomness; only keyPair() does.
+
+  Needs BigInt, and a secure random source (window.crypto or node's crypto
+  module) to make keys.
+*/
+hub.schnorr = {
+
+  /**
+    The group's prime modulus p, as hex.  The generator is 2, which
+    generates the subgroup of prime order (p - 1) / 2.
+  */
+  P: "FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74" +
+     "020BBEA63B139B22514A08798E3404DDEF9519B3CD3A431B302B0A6DF25F1437" +
+     "4FE1356D6D51C245E485B576625E7EC6F44C42E9A637ED6B0BFF5CB6F406B7ED" +
+     "EE386BFB5A899FA5AE9F24117C4B1FE649286651ECE45B3DC2007CB8A163BF05" +
+     "98DA48361C55D39A69163FA8FD24CF5F83655D23DCA3AD961C62F356208552BB" +
+     "9ED529077096966D670C354E4ABC9804F1746C08CA18217C32905E462E36CE3B" +
+     "E39E772C180E86039B2783A2EC07A28FB5C55DF06F4C52C9DE2BCBF695581718" +
+     "3995497CEA956AE515D2261898FA051015728E5A8AACAA68FFFFFFFFFFFFFFFF",
+
+  /**
+    Makes a new key pair.
+
+    @returns {Hash} { publicKey, privateKey }
+  */
+  keyPair: function() {
+    var S = hub.schnorr, q = S._hub_group().q, x ;
+    do {
+      x = BigInt("0x" + S._hub_randomHex(32)) % q ;
+    } while (x === BigInt(0)) ;
+    x = S._hub_hex(x, 64) ;
+    return { publicKey: S.publicKey(x), privateKey: x } ;
+  },
+
+  /**
+    Returns the public key that goes with `privateKey`.
+
+    @param {String} privateKey
+    @returns {String}
+  */
+  publicKey: function(privateKey) {
+    var S = hub.schnorr, G = S._hub_group() ;
+    return S._hub_hex(S._hub_modPow(G.g, BigInt("0x" + privateKey), G.p), 512) ;
+  },
+
+  /**
+    Signs `message` (a string) with `privateKey`.
+
+    @param {String} message
+    @param {String} privateKey
+    @returns {String} the signature
+  */
+  sign: function(message, privateKey) {
+    var S = hub.schnorr, G = S._hub_group(),
+        x = BigInt("0x" + privateKey),
+        k = S._hub_nonce(privateKey, message),
+        r, e, s ;
+
+    r = S._hub_modPow(G.g, k, G.p) ;
+    e = S._hub_challenge(r, message) ;
+    s = ((k - x * e) % G.q + G.q) % G.q ;
+    return S._hub_hex(e, 64) + S._hub_hex(s, 512) ;
+  },
+
+  /**
+    Returns true if `signature` is a signature of `message` by the owner of
+    `publicKey`.
+
+    @param {String} message
+    @param {String} signature
+    @param {String} publicKey
+    @returns {Boolean}
+  */
+  verify: function(message, signature, publicKey) {
+    var S = hub.schnorr, G = S._hub_group(), y, e, s, r ;
+    if (!/^[0-9a-f]{576}$/i.test(signature || "") || !/^[0-9a-f]+$/i.test(publicKey || "")) {
+      return false ;
+    }
+    y = BigInt("0x" + publicKey) ;
+    e = BigInt("0x" + signature.slice(0, 64)) ;
+    s = BigInt("0x" + signature.slice(64)) ;
+    if (y <= BigInt(1) || y >= G.p || s >= G.q) return false ;
+
+    r = (S._hub_modPow(G.g, s, G.p) * S._hub_modPow(y, e, G.p)) % G.p ;
+    return S._hub_challenge(r, message) === e ;
+  },
+
+  /** @private */
+  _hub_group: function() {
+    var S = hub.schnorr, p ;
+    if (!S._hub_cachedGroup) {
+      p = BigInt("0x" + S.P) ;
+      S._hub_cachedGroup = { p: p, q: (p - BigInt(1)) / BigInt(2), g: BigInt(2) } ;
+    }
+    return S._hub_cachedGroup ;
+  },
+
+  /** @private
+    Returns the nonce for signing `message` with `privateKey`: as many bits
+    as q has, expanded from the key and the message with hub.SHA256, and
+    drawn again with the next counter until they're a number in [1, q), as
+    in RFC 6979.  It has to be as large as q, or s = k - xe isn't reduced
+    and gives x away.
+  */
+  _hub_nonce: function(privateKey, message) {
+    var S = hub.schnorr, q = S._hub_group().q, bits = q.toString(2).length,
+        counter = 0, block, hex, k ;
+    do {
+      hex = "" ;
+      for (block = 0; hex.length * 4 < bits; block++) {
+        hex += hub.SHA256(hub.fmt("%@:%@:%@:%@", privateKey, counter, block, message)) ;
+      }
+      k = BigInt("0x" + hex) >> BigInt(hex.length * 4 - bits) ;
+      counter++ ;
+    } while (k === BigInt(0) || k >= q) ;
+    return k ;
+  },
+
+  /** @private */
+  _hub_challenge: function(r, message) {
+    return BigInt("0x" + hub.SHA256(hub.schnorr._hub_hex(r, 512) + ":" + message)) ;
+  },
+
+  /** @private */
+  _hub_modPow: function(base, exp, mod) {
+    var zero = BigInt(0), one = BigInt(1), two = BigInt(2), ret = one ;
+    base = base % mod ;
+    while (exp > zero) {
+      if (exp % two === one) ret = (ret * base) % mod ;
+      base = (base * base) % mod ;
+      exp = exp / two ;
+    }
+    return ret ;
+  },
+
+  /** @private Lowercase hex, zero-padded to `width` digits. */
+  _hub_hex: function(n, width) {
+    var ret = n.toString(16) ;
+    while (ret.length < width) ret = "0" + ret ;
+    return ret ;
+  },
+
+  /** @private */
+  _hub_randomHex: function(bytes) {
+    var ret = "", buf, i ;
+    if (hub.isNode) return require('crypto').randomBytes(bytes).toString('hex') ;
+    buf = new Uint8Array(bytes) ;
+    window.crypto.getRandomValues(buf) ;
+    for (i = 0; i < bytes; i++) ret += (buf[i] < 16 ? "0" : "") + buf[i].toString(16) ;
+    return ret ;
+  }
+
+};
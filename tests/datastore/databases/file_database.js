@@ -0,0 +1,127 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same stop start process */
+
+var F, name, db ;
+
+// a new database object on the test's directory
+var open = function() {
+  return F.create({ name: name, tables: hub.Database.STORE_TABLES }) ;
+};
+
+var keys = function(database, table, callback) {
+  database.transaction(function(tx) {
+    tx.select(table, null, function(rows) {
+      callback(rows.map(function(row) { return row.key ; })) ;
+    });
+  });
+};
+
+module("hub.FileDatabase", {
+  setup: function() {
+    F = hub.FileDatabase.extend({ root: process.env.TMPDIR || "/tmp" }) ;
+    // a directory of its own, so each test starts empty
+    name = "hub-test-" + hub.uuid() ;
+    db = open() ;
+  },
+
+  teardown: function() {
+    db.erase() ;
+  }
+});
+
+test("parseIndex", function() {
+  var P = hub.FileDatabase.parseIndex, ret ;
+  ret = P('[["remove","data",{}]]\n[]\n') ;
+  equals(JSON.stringify(ret.transactions), '[[["remove","data",{}]],[]]', 'should parse every line');
+  equals(ret.length, 26, 'should use the whole index');
+
+  ret = P('[]\n[["remove","da') ;
+  ok(ret.transactions.length === 1 && ret.length === 3, 'should leave out an unfinished last line');
+  ret = P('[]\n[["remove"\n') ;
+  ok(ret.transactions.length === 1 && ret.length === 3, 'should leave out a last line that is not a transaction');
+  equals(P('[]\n{}\n[]\n'), null, 'should not parse indexes with other lines that are not transactions');
+  ret = P('') ;
+  ok(ret.transactions.length === 0 && ret.length === 0, 'should parse an empty index');
+});
+
+test("rowJSON", function() {
+  var schema = hub.Database.STORE_TABLES.actor ;
+  equals(hub.FileDatabase.rowJSON(schema, { public_key: true, other: 1, email: 'a@b' }), '{"email":"a@b","public_key":1}', 'should keep only the columns, in order, as SQL would store them');
+});
+
+test("reopening", function() {
+  stop(5000) ;
+  db.transaction(function(tx) {
+    tx.put('commits', { key: 'c1', commit_id: 1 }) ;
+    tx.put('commits', { key: 'c2', commit_id: 2 }) ;
+    tx.put('commits', { key: 'c3', commit_id: 3 }) ;
+    tx.select('commits', null, function(rows) {
+      tx.update('commits', { key: 'c1' }, { name: "n" + rows.length }) ;
+    });
+    tx.remove('commits', { key: 'c2' }) ;
+  }, function() {
+    var again = open() ;
+    keys(again, 'commits', function(rows) {
+      same(rows, ['c3', 'c1'], 'should have the rows');
+      again.transaction(function(tx) {
+        tx.select('commits', { key: 'c1' }, function(rows) {
+          equals(rows[0].name, "n3", 'should have the changes');
+        });
+      }, function() { start() ; });
+    });
+  });
+});
+
+test("rolled back transactions", function() {
+  stop(5000) ;
+  db.transaction(function(tx) {
+    tx.put('actor', { email: 'a@b' }) ;
+  }, function() {
+    db.run(function(tx) {
+      tx.put('actor', { email: 'c@d' }) ;
+      tx.select('actor', null, function(rows) { throw new Error("fail") ; }) ;
+    }, function(error) {
+      open().transaction(function(tx) {
+        tx.select('actor', null, function(rows) {
+          same(rows.map(function(row) { return row.email ; }), ['a@b'], 'should not be written');
+        });
+      }, function() { start() ; });
+    }, function() {
+      ok(false, 'should not succeed');
+      start() ;
+    });
+  });
+});
+
+test("compaction", function() {
+  var schema = hub.Database.STORE_TABLES.data,
+      rows = [{ key: 'd1', bytes: "one" }, { key: 'd2', bytes: "two" }, { key: 'd3', bytes: "three" }],
+      paths = rows.map(function(row) {
+        return hub.FileDatabase.objectPath(db.directory, hub.SHA256(hub.FileDatabase.rowJSON(schema, row))) ;
+      }),
+      exists = function(path) { return hub.FileDatabase._hub_exists(path) ; } ;
+
+  F = F.extend({ compactAfter: 2 }) ;
+  db = open() ;
+  stop(5000) ;
+  db.transaction(function(tx) {
+    rows.forEach(function(row) { tx.put('data', row) ; }) ;
+  }, function() {
+    ok(paths.every(exists), 'should write the objects');
+    // as hub.Hub#gc() does
+    db.transaction(function(tx) {
+      tx.remove('data', { key: ['d1', 'd2'] }) ;
+    }, function() {
+      ok(!exists(paths[0]) && !exists(paths[1]), 'should delete the objects of removed rows');
+      ok(exists(paths[2]), 'should keep the objects of the other rows');
+      keys(open(), 'data', function(keys) {
+        same(keys, ['d3'], 'should have the rows');
+        start() ;
+      });
+    });
+  });
+});
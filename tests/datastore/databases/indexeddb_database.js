@@ -0,0 +1,152 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same stop start */
+
+var I, factory, db ;
+
+var open = function() {
+  return I.create({ name: "test", tables: hub.Database.STORE_TABLES, factory: factory }) ;
+};
+
+// the values of `column` of the rows of `table`, in the order they come
+var column = function(database, table, where, column, callback) {
+  database.transaction(function(tx) {
+    tx.select(table, where, function(rows) {
+      callback(rows.map(function(row) { return row[column] ; }).join(",")) ;
+    });
+  });
+};
+
+module("hub.IndexedDBDatabase", {
+  setup: function() {
+    I = hub.IndexedDBDatabase ;
+    factory = hub.IndexedDBShim.create() ;
+    db = open() ;
+  }
+});
+
+test("indexes", function() {
+  var indexes = I.indexes(hub.Database.STORE_TABLES.data) ;
+  same(hub.keys(indexes).sort(), ['UniqueDataKey', 'UniqueDataStoreKey', 'commit_id'], 'should index the key, the unique columns and commit_id');
+  ok(indexes.UniqueDataStoreKey.unique && !indexes.commit_id.unique, 'should only make unique indexes unique');
+  same(hub.keys(I.indexes(hub.Database.HUB_TABLES.hub_commit)), ['UniqueHubCommit'], 'should only index columns tables have');
+});
+
+test("affinity and lookup", function() {
+  var schema = hub.Database.STORE_TABLES.data ;
+  equals(I.affinity("INTEGER", "12"), 12, 'should store strings of digits as numbers in INTEGER columns');
+  equals(I.affinity("TEXT", 12), "12", 'should store numbers as strings in TEXT columns');
+  equals(I.affinity("INTEGER", true), 1, 'should store booleans as SQL would');
+
+  same(I.lookup(schema, { key: 'd1', storage: 3 }), { index: 'UniqueDataKey', keys: ['d1'] }, 'should look rows up by key');
+  same(I.lookup(schema, { commit_id: ['1', 2] }), { index: 'commit_id', keys: [1, 2] }, 'should look rows up by indexed columns');
+  equals(I.lookup(schema, { storage: 3 }), null, 'should look at every row without an indexed column');
+  equals(I.lookup(schema, { store_key: null }), null, 'should look at every row for null columns');
+});
+
+test("put", function() {
+  stop(2000) ;
+  db.transaction(function(tx) {
+    tx.put('data', { key: 'd2', store_key: 2, storage: 10 }) ;
+    tx.put('data', { key: 'd1', store_key: 1, storage: 10 }) ;
+    tx.put('data', { key: 'd1', store_key: 3, storage: 20 }) ;
+    tx.put('data', { key: 'd3', store_key: 1, storage: 20 }) ;
+    tx.put('actor', { email: null, public_key: 'k1' }) ;
+    tx.put('actor', { email: null, public_key: 'k2' }) ;
+  }, function() {
+    column(db, 'data', null, 'storage', function(storage) {
+      equals(storage, "10,10", 'should leave rows with the same key or unique columns alone');
+      column(db, 'actor', null, 'public_key', function(keys) {
+        equals(keys, "k1,k2", 'should keep rows with a null key');
+        db.transaction(function(tx) {
+          tx.put('data', { key: 'd1', store_key: 2, storage: 30 }, true) ;
+        }, function() {
+          column(db, 'data', null, 'key', function(keys) {
+            equals(keys, "d1", 'should replace rows with the same key or unique columns');
+            start() ;
+          });
+        });
+      });
+    });
+  });
+});
+
+test("select, update and remove", function() {
+  stop(2000) ;
+  db.transaction(function(tx) {
+    tx.put('commits', { key: 'c2', commit_id: 2 }) ;
+    tx.put('commits', { key: 'c1', commit_id: 1 }) ;
+    tx.select('commits', null, function(rows) {
+      tx.put('commits', { key: 'c3', commit_id: rows.length + 1 }) ;
+    });
+    tx.update('commits', { commit_id: '2' }, { name: "two" }) ;
+    tx.remove('commits', { key: ['c1', 'c9'] }) ;
+  }, function() {
+    column(db, 'commits', null, 'key', function(keys) {
+      equals(keys, "c2,c3", 'should run statements in order, those from callbacks last');
+      column(db, 'commits', { commit_id: 3 }, 'key', function(keys) {
+        equals(keys, "c3", 'should look rows up by indexed columns');
+        column(db, 'commits', { name: "two" }, 'commit_id', function(ids) {
+          equals(ids, "2", 'should update the matching rows');
+          start() ;
+        });
+      });
+    });
+  });
+});
+
+test("rolled back transactions", function() {
+  stop(2000) ;
+  db.transaction(function(tx) {
+    tx.put('commits', { key: 'c1', commit_id: 1 }) ;
+  }, function() {
+    db.run(function(tx) {
+      tx.remove('commits', null) ;
+      tx.select('commits', null, function(rows) { throw new Error("fail") ; }) ;
+    }, function(error) {
+      column(db, 'commits', null, 'key', function(keys) {
+        equals(keys, "c1", 'should be undone');
+        start() ;
+      });
+    }, function() {
+      ok(false, 'should not succeed');
+      start() ;
+    });
+  });
+});
+
+test("failed statements", function() {
+  factory = hub.IndexedDBShim.create({ quota: 1 }) ;
+  db = open() ;
+  stop(2000) ;
+  db.transaction(function(tx) {}, function() {
+    db.run(function(tx) {
+      tx.put('commits', { key: 'c1', commit_id: 1 }) ;
+      tx.put('commits', { key: 'c2', commit_id: 2 }) ;
+    }, function(error) {
+      equals(error && error.name, "QuotaExceededError", 'should pass the error on');
+      column(db, 'commits', null, 'key', function(keys) {
+        equals(keys, "", 'should not commit the statements before it');
+        start() ;
+      });
+    }, function() {
+      ok(false, 'should not succeed');
+      start() ;
+    });
+  });
+});
+
+test("reopening", function() {
+  stop(2000) ;
+  db.transaction(function(tx) {
+    tx.put('commits', { key: 'c1', commit_id: 1 }) ;
+  }, function() {
+    column(open(), 'commits', null, 'key', function(keys) {
+      equals(keys, "c1", 'should have the rows');
+      start() ;
+    });
+  });
+});
@@ -0,0 +1,97 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same stop start */
+
+var M, data, commits ;
+
+module("hub.MemoryDatabase", {
+  setup: function() {
+    M = hub.MemoryDatabase ;
+    data = M.table(hub.Database.STORE_TABLES.data) ;
+    commits = M.table(hub.Database.STORE_TABLES.commits) ;
+  }
+});
+
+test("put", function() {
+  var row ;
+  M.put(data, { key: 'd1', store_key: 1, storage: 10, other: 'x', metadata_count: true }) ;
+  row = M.select(data, { key: 'd1' })[0] ;
+  same(hub.keys(row).sort(), ['bytes', 'commit_id', 'created_on', 'key', 'metadata_count', 'storage', 'store_key'], 'should keep only the columns');
+  ok(row.created_on === null && row.metadata_count === 1, 'should store values as SQL would');
+
+  M.put(data, { key: 'd1', store_key: 2, storage: 20 }) ;
+  equals(M.select(data, { key: 'd1' })[0].storage, 10, 'should leave rows with the same key alone');
+  M.put(data, { key: 'd2', store_key: 1, storage: 20 }) ;
+  equals(M.select(data).length, 1, 'should leave rows with the same unique column alone');
+
+  M.put(data, { key: 'd1', store_key: 2, storage: 20 }, true) ;
+  same(M.select(data).map(function(row) { return row.storage ; }), [20], 'should replace rows with the same key');
+  M.put(data, { key: 'd2', store_key: 2, storage: 30 }, true) ;
+  same(M.select(data).map(function(row) { return row.key ; }), ['d2'], 'should replace rows with the same unique column');
+
+  M.put(data, { key: 'd3' }) ;
+  M.put(data, { key: 'd4' }) ;
+  equals(M.select(data, { store_key: null }).length, 2, 'should let rows share a null unique column');
+});
+
+test("select", function() {
+  M.put(commits, { key: 'c1', commit_id: 1 }) ;
+  M.put(commits, { key: 'c2', commit_id: 2 }) ;
+  M.put(commits, { key: 'c3', commit_id: 2 }) ;
+
+  same(M.select(commits, { key: ['c3', 'c1', 'c9'] }).map(function(row) { return row.key ; }), ['c3', 'c1'], 'should look rows up by key');
+  same(M.select(commits, { key: 'c2', commit_id: 1 }), [], 'should match every column, even when looking up by key');
+  same(M.select(commits, { commit_id: '2' }).map(function(row) { return row.key ; }), ['c2', 'c3'], 'should filter the other columns, in the order rows were added');
+
+  M.select(commits, { key: 'c1' })[0].commit_id = 42 ;
+  equals(M.select(commits, { key: 'c1' })[0].commit_id, 1, 'should return copies');
+});
+
+test("update and remove", function() {
+  var row ;
+  M.put(data, { key: 'd1', store_key: 1 }) ;
+  M.put(data, { key: 'd2', store_key: 2 }) ;
+
+  M.update(data, { key: 'd1' }, { store_key: 3, metadata_count: false }) ;
+  row = M.select(data, { key: 'd1' })[0] ;
+  ok(row.store_key === 3 && row.metadata_count === 0, 'should change the matching rows');
+  equals(M.select(data, { store_key: 1 }).length, 0, 'should move rows out of their old unique keys');
+  M.put(data, { key: 'd3', store_key: 3 }) ;
+  equals(M.select(data, { key: 'd3' }).length, 0, 'should move rows into their new unique keys');
+
+  M.remove(data, { store_key: [2, 3] }) ;
+  equals(M.select(data).length, 0, 'should delete the matching rows');
+  M.put(data, { key: 'd1', store_key: 3 }) ;
+  equals(M.select(data, { key: 'd1' }).length, 1, 'should free the keys of deleted rows');
+});
+
+test("transactions", function() {
+  var db = M.create({ name: "test", tables: hub.Database.STORE_TABLES }) ;
+  stop(1000) ;
+  db.transaction(function(tx) {
+    tx.put('commits', { key: 'c1', commit_id: 1 }) ;
+    tx.select('commits', {}, function(rows) {
+      tx.put('commits', { key: 'c2', commit_id: rows.length + 1 }) ;
+    });
+    tx.put('commits', { key: 'c3', commit_id: 3 }) ;
+  }, function() {
+    same(M.select(db._hub_tables.commits).map(function(row) { return row.key ; }), ['c1', 'c3', 'c2'], 'should run statements from callbacks after the ones already queued');
+
+    db.run(function(tx) {
+      tx.remove('commits', { key: 'c1' }) ;
+      tx.put('commits', { key: 'c4', commit_id: 4 }) ;
+      tx.select('commits', {}, function(rows) { throw new Error("fail") ; }) ;
+    }, function(error) {
+      same(M.select(db._hub_tables.commits).map(function(row) { return row.key ; }), ['c1', 'c3', 'c2'], 'should roll back failed transactions');
+      M.put(db._hub_tables.commits, { key: 'c4', commit_id: 4 }) ;
+      equals(M.select(db._hub_tables.commits, { key: 'c4' }).length, 1, 'should free the keys of rolled back rows');
+      start() ;
+    }, function() {
+      ok(false, 'should not succeed');
+      start() ;
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var committed, db ;
+
+// a Web SQL database whose statements fail if their SQL matches `failing`;
+// it commits the statements that ran into `committed`, as WebSQL would
+var webSQL = function(failing) {
+  return {
+    transaction: function(func, onError, onSuccess) {
+      var statements = [], ran = [], statement ;
+      var tx = {
+        executeSql: function(sql, values, callback, errorCallback) {
+          statements.push({ sql: sql, callback: callback, errorCallback: errorCallback }) ;
+        }
+      };
+      func(tx) ;
+      while ((statement = statements.shift())) {
+        if (failing.test(statement.sql)) {
+          // only an error callback returning false lets the transaction go on
+          if (!statement.errorCallback || statement.errorCallback(tx, { message: "constraint failed" }) !== false) {
+            onError({ message: "rolled back" }) ;
+            return ;
+          }
+        } else {
+          ran.push(statement.sql) ;
+          if (statement.callback) statement.callback(tx, { rows: { length: 0, item: function() {} } }) ;
+        }
+      }
+      committed = committed.concat(ran) ;
+      onSuccess() ;
+    }
+  };
+};
+
+module("hub.SQLDatabase", {
+  setup: function() {
+    committed = [] ;
+    db = hub.SQLDatabase.create({ name: "test", tables: hub.Database.STORE_TABLES, db: webSQL(/"data"/) }) ;
+  }
+});
+
+test("failed statements", function() {
+  var error = null, succeeded = false ;
+  db.run(function(tx) {
+    tx.put('commits', { key: 'c1', commit_id: 1 }) ;
+    tx.put('data', { key: 'd1' }) ;
+  }, function(e) {
+    error = e ;
+  }, function() {
+    succeeded = true ;
+  });
+  ok(!succeeded, 'should not commit the transaction');
+  equals(committed.length, 0, 'should not commit the statements before the one that failed');
+  equals(error && error.message, "constraint failed", 'should pass the failed statement\'s error on');
+});
+
+test("transactions", function() {
+  var succeeded = false ;
+  db.run(function(tx) {
+    tx.put('commits', { key: 'c1', commit_id: 1 }) ;
+    tx.remove('commits', { key: 'c2' }) ;
+  }, function(e) {
+    ok(false, 'should not fail');
+  }, function() {
+    succeeded = true ;
+  });
+  ok(succeeded && committed.length === 2, 'should commit every statement');
+});
@@ -0,0 +1,284 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same stop start */
+
+var Todo, remote ;
+
+// calls `func` once every hub in `hubs` has started up
+var whenSetUp = function(hubs, func) {
+  if (hubs.every(function(aHub) { return aHub._hub.setup ; })) func() ;
+  else setTimeout(function() { whenSetUp(hubs, func) ; }, 10) ;
+};
+
+var commit = function(aHub, func) {
+  aHub.commitRecords(undefined, undefined, undefined, { onFinish: func }) ;
+};
+
+// syncs `from`, whose push after committing may still be under way, then
+// `to`
+var pull = function(to, from, func) {
+  from.sync(function() { to.sync(func) ; }) ;
+};
+
+var names = function(aHub, ids) {
+  return ids.map(function(id) {
+    var task = aHub.storeKeyExists(Todo.Task, id) ? aHub.find(Todo.Task, id) : null ;
+    return task ? task.get('name') : null ;
+  });
+};
+
+module("hub.Hub on a hub.MemoryDatabase", {
+  setup: function() {
+    // class names are only looked up in browsers
+    hub.isReady = true ;
+    Todo = {} ;
+    Todo.Task = hub.Record.extend({ name: hub.Record.attr(String), notes: hub.Record.attr(String) }) ;
+    Todo.Task._hub_object_className = "Todo.Task" ;
+    Todo.Note = hub.Record.extend({ text: hub.Record.attr(String) }) ;
+    Todo.Note._hub_object_className = "Todo.Note" ;
+    remote = hub.LoopbackTransport.create() ;
+  }
+});
+
+test("commit, read and checkout", function() {
+  var aHub = hub.Hub.create({ uti: "com.example.memory.commit", databaseType: hub.MemoryDatabase }) ;
+  stop(5000) ;
+  whenSetUp([aHub], function() {
+    aHub.createRecord(Todo.Task, { id: 'c1', name: "one" }) ;
+    commit(aHub, function(v1) {
+      aHub.find(Todo.Task, 'c1').set('name', "uno") ;
+      aHub.createRecord(Todo.Task, { id: 'c2', name: "two" }) ;
+      commit(aHub, function(v2) {
+        aHub.log(null, function(commits) {
+          same(commits.map(function(c) { return c.key ; }), [v2, v1], 'should log both commits');
+          aHub.readSnapshot(v1, function(snapshot) {
+            same(hub.keys(snapshot['Todo.Task']), ['c1'], 'should read the records of the first commit');
+            equals(snapshot['Todo.Task'].c1.name, "one", 'should read the records as they were');
+            aHub.checkout(v1, { onFinish: function() {
+              same(names(aHub, ['c1', 'c2']), ["one", null], 'should check out the first commit');
+              start() ;
+            }});
+          });
+        });
+      });
+    });
+  });
+});
+
+test("checkout over uncommitted changes", function() {
+  var aHub = hub.Hub.create({ uti: "com.example.memory.dirty", databaseType: hub.MemoryDatabase }) ;
+  stop(5000) ;
+  whenSetUp([aHub], function() {
+    aHub.createRecord(Todo.Task, { id: 'u1', name: "one" }) ;
+    commit(aHub, function(v1) {
+      aHub.createRecord(Todo.Task, { id: 'u2', name: "two" }) ;
+      commit(aHub, function(v2) {
+        var error = null ;
+        aHub.find(Todo.Task, 'u2').set('name', "deux") ;
+        equals(aHub.checkout(v1, { onFinish: function(ret) { error = ret ; } }), hub.Hub.STORE_NOT_CLEAN_ERROR, 'should not check out');
+        equals(error, hub.Hub.STORE_NOT_CLEAN_ERROR, 'should call back with the error');
+        equals(aHub.get('currentCommit'), v2, 'should stay on the current commit');
+        same(names(aHub, ['u1', 'u2']), ["one", "deux"], 'should leave the records alone');
+        start() ;
+      });
+    });
+  });
+});
+
+test("checkouts that wait", function() {
+  var aHub = hub.Hub.create({ uti: "com.example.memory.wait", databaseType: hub.MemoryDatabase }) ;
+  stop(5000) ;
+  whenSetUp([aHub], function() {
+    aHub.checkoutBranch(null, function(ret) {
+      equals(ret, null, 'should call back without a head to check out');
+      aHub.createRecord(Todo.Task, { id: 'w1', name: "one" }) ;
+      commit(aHub, function(v1) {
+        aHub.createRecord(Todo.Task, { id: 'w2', name: "two" }) ;
+        commit(aHub, function(v2) {
+          var finished = [] ;
+          aHub.checkout(v1, { onFinish: function() { finished.push("first") ; } }) ;
+          aHub.checkout(v1, { onFinish: function() {
+            finished.push("second") ;
+            equals(finished.join(), "first,second", 'should call back checking out the same commit twice, in order');
+            same(names(aHub, ['w1', 'w2']), ["one", null], 'should check out the commit');
+            start() ;
+          }});
+        });
+      });
+    });
+  });
+});
+
+test("failed commits", function() {
+  var aHub = hub.Hub.create({ uti: "com.example.memory.failed", databaseType: hub.MemoryDatabase }) ;
+  stop(5000) ;
+  whenSetUp([aHub], function() {
+    aHub.createRecord(Todo.Task, { id: 'f1', name: "one" }) ;
+    commit(aHub, function(v1) {
+      // once whatever the commit queued is done
+      aHub.log(null, function() {
+        var db = aHub.database(), run = db.run, error = null ;
+        db.run = function(func, onError, onSuccess) { onError(new Error("disk full")) ; } ;
+        aHub.find(Todo.Task, 'f1').set('name', "uno") ;
+        commit(aHub, function(ret) {
+          error = ret ;
+          db.run = run ;
+        });
+        commit(aHub, function(v2) {
+          equals(error, hub.Hub.TRANSACTION_ERROR, 'should call back with the error');
+          ok(v2 && v2 !== v1, 'should go on with the queued commit');
+          aHub.readSnapshot(v2, function(snapshot) {
+            equals(snapshot['Todo.Task'].f1.name, "uno", 'should commit the records again');
+            aHub.log(null, function(commits) {
+              same(commits.map(function(c) { return c.key ; }), [v2, v1], 'should not keep the failed commit');
+              same(commits[0].ancestors, [v1], 'should commit on top of the last commit');
+              start() ;
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+test("sync and merge", function() {
+  var hubA = hub.Hub.create({ uti: "com.example.memory.a", databaseType: hub.MemoryDatabase, transport: remote }),
+      hubB = hub.Hub.create({ uti: "com.example.memory.b", databaseType: hub.MemoryDatabase, transport: remote }) ;
+  stop(5000) ;
+  whenSetUp([hubA, hubB], function() {
+    hubA.createRecord(Todo.Task, { id: 's1', name: "one" }) ;
+    commit(hubA, function(v1) {
+      pull(hubB, hubA, function(ret) {
+        same(ret.pulled, [v1], 'should pull the commit');
+        equals(hubB.get('currentCommit'), v1, 'should move to the pulled commit');
+        same(names(hubB, ['s1']), ["one"], 'should have the pulled records');
+
+        // the hubs' histories part...
+        hubA.createRecord(Todo.Task, { id: 's2', name: "two" }) ;
+        hubB.createRecord(Todo.Task, { id: 's3', name: "three" }) ;
+        commit(hubA, function(vA) {
+          commit(hubB, function(vB) {
+            // ...and come together again
+            pull(hubB, hubA, function(ret) {
+              same(ret.pulled, [vA], 'should pull the other commit');
+              hubB.log(null, function(commits) {
+                same(commits[0].ancestors, [vB, vA], 'should merge both commits');
+                hubB.readSnapshot(commits[0].key, function(snapshot) {
+                  same(hub.keys(snapshot['Todo.Task']).sort(), ['s1', 's2', 's3'], 'should merge the records');
+                  start() ;
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+// one hub, with the edits on branches: hubs in the same process share
+// their record types' store keys, so two hubs can't hold the same record
+test("conflicting edits", function() {
+  var conflicts = [],
+      aHub = hub.Hub.create({ uti: "com.example.memory.conflict", databaseType: hub.MemoryDatabase }) ;
+  aHub.delegate = {
+    hubDidHaveConflict: function(aHub, storeA, storeB, recordId, key, baseValue, valueA, valueB) {
+      conflicts.push([recordId, key, baseValue, valueA, valueB].join(" ")) ;
+      return valueA + "+" + valueB ;
+    }
+  };
+  stop(5000) ;
+  whenSetUp([aHub], function() {
+    aHub.createRecord(Todo.Task, { id: 'm1', name: "one", notes: "" }) ;
+    commit(aHub, function(v1) {
+      aHub.createBranch('other', v1, function() {
+        aHub.find(Todo.Task, 'm1').set('name', "A").set('notes', "from A") ;
+        commit(aHub, function(vA) {
+          aHub.checkoutBranch('other', function() {
+            aHub.find(Todo.Task, 'm1').set('name', "B") ;
+            commit(aHub, function(vB) {
+              aHub.checkoutBranch(null, function() {
+                aHub.applyCommits(vB, function(version) {
+                  equals(conflicts.join(), "m1 name one A B", 'should hand the attribute changed on both sides to the delegate');
+                  aHub.log(null, function(commits) {
+                    same(commits[0].ancestors, [vA, vB], 'should merge both commits');
+                    equals(version, commits[0].key, 'should move to the merge');
+                    aHub.readSnapshot(version, function(snapshot) {
+                      equals(snapshot['Todo.Task'].m1.name, "A+B", 'should keep the resolved attribute');
+                      equals(snapshot['Todo.Task'].m1.notes, "from A", 'should keep the attribute changed on one side');
+                      same(names(aHub, ['m1']), ["A+B"], 'should have the merged record');
+                      start() ;
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+test("identical changes", function() {
+  var aHub = hub.Hub.create({ uti: "com.example.memory.identical", databaseType: hub.MemoryDatabase }) ;
+  stop(5000) ;
+  whenSetUp([aHub], function() {
+    aHub.createRecord(Todo.Task, { id: 'i1', name: "one" }) ;
+    commit(aHub, function(v1) {
+      aHub.createBranch('other', v1, function() {
+        aHub.find(Todo.Task, 'i1').destroy() ;
+        commit(aHub, function(vA) {
+          aHub.checkoutBranch('other', function() {
+            aHub.find(Todo.Task, 'i1').destroy() ;
+            commit(aHub, function(vB) {
+              aHub.checkoutBranch(null, function() {
+                aHub.applyCommits(vB, function(version) {
+                  aHub.log(null, function(commits) {
+                    same(commits[0].ancestors, [vA, vB], 'should record the merge');
+                    equals(version, commits[0].key, 'should move to the merge');
+                    same(names(aHub, ['i1']), [null], 'should have no records');
+                    start() ;
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+test("records of different types with the same id", function() {
+  var aHub = hub.Hub.create({ uti: "com.example.memory.types", databaseType: hub.MemoryDatabase }) ;
+  stop(5000) ;
+  whenSetUp([aHub], function() {
+    aHub.createRecord(Todo.Task, { id: 'x1', name: "one" }) ;
+    aHub.createRecord(Todo.Note, { id: 'x1', text: "note" }) ;
+    commit(aHub, function(v1) {
+      aHub.createBranch('other', v1, function() {
+        aHub.find(Todo.Task, 'x1').set('name', "A") ;
+        commit(aHub, function(vA) {
+          aHub.checkoutBranch('other', function() {
+            aHub.find(Todo.Note, 'x1').set('text', "B") ;
+            commit(aHub, function(vB) {
+              aHub.checkoutBranch(null, function() {
+                aHub.applyCommits(vB, function(version) {
+                  aHub.readSnapshot(version, function(snapshot) {
+                    equals(snapshot['Todo.Task'].x1.name, "A", 'should keep the change to one');
+                    equals(snapshot['Todo.Note'].x1.text, "B", 'should keep the change to the other');
+                    start() ;
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,37 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var D, row ;
+
+module("hub.Database.matches", {
+  setup: function() {
+    D = hub.Database ;
+    row = { key: 'k1', store_key: 12, source: null } ;
+  }
+});
+
+test("matching rows", function() {
+  ok(D.matches(row, { key: 'k1' }), 'should match equal columns');
+  ok(D.matches(row, { store_key: '12' }), 'should compare numbers and strings as SQL does');
+  ok(D.matches(row, { key: ['k0', 'k1'] }), 'should match any value in an array');
+  ok(D.matches(row, { source: null, missing: null }), 'should match null with null and missing columns');
+  ok(D.matches(row, null) && D.matches(row, {}), 'should match every row without a where');
+});
+
+test("rows that don't match", function() {
+  ok(!D.matches(row, { key: 'k2' }), 'should not match other values');
+  ok(!D.matches(row, { key: 'k1', store_key: 13 }), 'should need every column to match');
+  ok(!D.matches(row, { key: [] }), 'should not match an empty array');
+  ok(!D.matches(row, { key: null }), 'should not match null with a value');
+});
+
+test("keys", function() {
+  var T = D.HUB_TABLES.hub_commit ;
+  equals(D.keyFor(T, { hub: 'h', commit: 'c', extra: 1 }), D.keyFor(T, { hub: 'h', commit: 'c' }), 'should only use the key columns');
+  ok(D.keyFor(T, { hub: 'h', commit: 'c' }) !== D.keyFor(T, { hub: 'hc', commit: '' }), 'should keep the columns apart');
+  equals(D.keyFor(D.STORE_TABLES.data, { key: 1 }), D.keyFor(D.STORE_TABLES.data, { key: '1' }), 'should compare numbers and strings as SQL does');
+});
@@ -0,0 +1,68 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same stop start */
+
+var FAILED = hub.Error.desc("Failed"), Fake, db, ran ;
+
+module("hub.Database.transaction", {
+  setup: function() {
+    ran = [] ;
+    // runs the name each function returns, failing "fail" and opening
+    // only once `canOpen`
+    Fake = hub.Database.extend({
+      canOpen: true,
+      open: function(callback) {
+        var ok = this.canOpen ;
+        setTimeout(function() { callback(ok || FAILED) ; }, 0) ;
+      },
+      run: function(func, onError, onSuccess) {
+        var name = func() ;
+        setTimeout(function() {
+          if (name === "fail") onError(FAILED) ;
+          else {
+            ran.push(name) ;
+            onSuccess() ;
+          }
+        }, 0) ;
+      }
+    });
+    db = Fake.create({ name: "test" }) ;
+  }
+});
+
+test("failed transactions", function() {
+  var errors = [] ;
+  stop(1000) ;
+  db.transaction(function() { return "one" ; }) ;
+  db.transaction(function() { return "fail" ; }, function(error) {
+    errors.push(error) ;
+    equals(db.get('state'), "b", 'should report the error before the next transaction');
+  });
+  db.transaction(function() { return "two" ; }, function(error) {
+    equals(errors[0], FAILED, 'should pass the error to onFinish');
+    equals(error, undefined, 'should not pass an error on success');
+    same(ran, ["one", "two"], 'should go on with the queued transactions');
+    setTimeout(function() {
+      equals(db.get('state'), "a", 'should be waiting again');
+      start() ;
+    }, 0) ;
+  });
+});
+
+test("failing to open", function() {
+  stop(1000) ;
+  db.canOpen = false ;
+  db.transaction(function() { return "one" ; }, function(error) {
+    equals(error, FAILED, 'should pass the error to onFinish');
+    ok(!db.isOpen, 'should not be open');
+    db.canOpen = true ;
+    db.transaction(function() { return "two" ; }, function(error) {
+      ok(!error && db.isOpen, 'should open on the next transaction');
+      same(ran, ["two"], 'should not have run the failed transaction');
+      start() ;
+    });
+  });
+});
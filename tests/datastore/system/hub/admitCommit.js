@@ -0,0 +1,32 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var committers ;
+
+module("hub.Hub.admitCommit", {
+  setup: function() {
+    committers = {
+      'erich@example.com': { committer: 'erich@example.com', isOwner: true, head: null }
+    };
+  }
+});
+
+test("open hubs", function() {
+  var H = hub.Hub ;
+  equals(H.admitCommit({}, 'bob@example.com', true, false), true, 'should take signed commits');
+  equals(H.admitCommit({}, 'bob@example.com', H.UNSIGNED_COMMIT_ERROR, false), true, 'should take unverified commits');
+  equals(H.admitCommit({}, 'bob@example.com', H.UNSIGNED_COMMIT_ERROR, true), H.UNSIGNED_COMMIT_ERROR, 'should refuse unverified commits when signatures are required');
+  equals(H.admitCommit({}, 'bob@example.com', H.FORGED_COMMIT_ERROR, false), H.FORGED_COMMIT_ERROR, 'should refuse forged commits');
+});
+
+test("committers", function() {
+  var H = hub.Hub ;
+  equals(H.admitCommit(committers, 'erich@example.com', true, false), true, 'should take signed commits by committers');
+  equals(H.admitCommit(committers, 'bob@example.com', true, false), H.NOT_A_COMMITTER_ERROR, 'should refuse signed commits by others');
+  equals(H.admitCommit(committers, 'erich@example.com', H.UNSIGNED_COMMIT_ERROR, false), H.UNSIGNED_COMMIT_ERROR, 'should refuse unsigned commits naming a committer');
+  equals(H.admitCommit(committers, 'erich@example.com', H.UNKNOWN_ACTOR_ERROR, false), H.UNKNOWN_ACTOR_ERROR, 'should refuse commits by committers it has no key for');
+});
@@ -0,0 +1,57 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var commits ;
+
+module("hub.Hub.ancestorsFirst", {
+  setup: function() {
+    // c1 (known locally, not pulled)
+    //   \
+    //    c2 ----- c4
+    //     \      /
+    //      c3(old)     x0
+    commits = {
+      c4: { key: 'c4', ancestors: ['c2', 'c3'], created_on: 40 },
+      c3: { key: 'c3', ancestors: ['c2'], created_on: 5 },
+      c2: { key: 'c2', ancestors: ['c1'], created_on: 30 },
+      x0: { key: 'x0', ancestors: [], created_on: 50 }
+    };
+  }
+});
+
+test("ordering", function() {
+  equals(hub.Hub.ancestorsFirst(commits).join(), 'c2,c3,c4,x0', 'should put each commit after its ancestors, and otherwise oldest first');
+  equals(hub.Hub.ancestorsFirst({}).join(), '', 'should order nothing');
+});
+
+test("missing commits", function() {
+  commits.y0 = null;
+  equals(hub.Hub.ancestorsFirst(commits).join(), 'c2,c3,c4,x0', 'should skip commits that are not known');
+});
+
+test("tips", function() {
+  equals(hub.Hub.tips(commits).join(), 'c4,x0', 'should list the commits no other commit descends from, oldest first');
+});
+
+module("hub.Hub.commitInPack");
+
+test("finding the commit", function() {
+  var pack = {
+    format: hub.Pack.FORMAT,
+    version: 'c2',
+    items: [
+      { pk: 'd1', model: "Data", fields: {} },
+      { pk: 'c2', model: "Commit", fields: { created_on: "30", ancestors: '["c1"]' } }
+    ]
+  };
+  var commit = hub.Hub.commitInPack(pack, 'c2');
+  equals(commit.key, 'c2', 'should find the commit');
+  equals(commit.created_on, 30, 'should parse created_on');
+  equals(commit.ancestors.join(), 'c1', 'should parse the ancestors');
+  equals(hub.Hub.commitInPack(pack, 'c3'), null, 'should not find a commit the pack does not carry');
+  equals(hub.Hub.commitInPack(null, 'c2'), null, 'should not find a commit without a pack');
+});
@@ -0,0 +1,43 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var H ;
+
+var path = function(transitions, states) {
+  for (var i = 1; i < states.length; i++) {
+    if (!hub.Hub.canTransition(transitions, states[i - 1], states[i])) return false ;
+  }
+  return true ;
+};
+
+module("hub.Hub.canTransition", {
+  setup: function() { H = hub.Hub ; }
+});
+
+test("hub states", function() {
+  var T = H.STATE_TRANSITIONS ;
+  ok(path(T, [H.WAITING, H.READING, H.WRITING, H.CLEANING_UP, H.WAITING]), 'should allow a commit');
+  ok(path(T, [H.WAITING, H.WRITING, H.WAITING]), 'should allow receiving a pack');
+  ok(path(T, [H.WAITING, H.CHECKING_OUT, H.WAITING]), 'should allow a checkout');
+  ok(path(T, [H.WAITING, H.SENDING_PACK, H.WAITING]), 'should allow sending a pack');
+  ok(H.canTransition(T, H.WRITING, H.WRITING), 'should allow staying put');
+});
+
+test("illegal hub states", function() {
+  var T = H.STATE_TRANSITIONS ;
+  ok(!H.canTransition(T, H.WRITING, H.SENDING_PACK), 'should not send a pack in the middle of a commit');
+  ok(!H.canTransition(T, H.CHECKING_OUT, H.WRITING), 'should not write in the middle of a checkout');
+  ok(!H.canTransition(T, H.READING, H.WAITING), 'should not abandon a commit');
+  ok(!H.canTransition(T, H.WAITING, 42), 'should not go to unknown states');
+});
+
+test("database states", function() {
+  var T = hub.Database.STATE_TRANSITIONS ;
+  ok(path(T, ["a", "b", "a"]), 'should allow running a transaction');
+  ok(!H.canTransition(T, "b", "c"), 'should go back to waiting after errors');
+  ok(!H.canTransition(T, "a", "c"), 'should not have an error state');
+});
@@ -0,0 +1,34 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var keys, version ;
+
+module("hub.Hub.checkSignature", {
+  setup: function() {
+    keys = hub.schnorr.keyPair() ;
+    version = hub.Hub.commitKey("commit", "erich@example.com", "data", "[]", 0) ;
+  }
+});
+
+test("signed commits", function() {
+  var signature = hub.schnorr.sign(version, keys.privateKey) ;
+  equals(hub.Hub.checkSignature(version, "erich@example.com", signature, keys.publicKey), true, 'should accept the committer\'s signature');
+});
+
+test("unverified commits", function() {
+  var signature = hub.schnorr.sign(version, keys.privateKey) ;
+  equals(hub.Hub.checkSignature(version, "erich@example.com", null, keys.publicKey), hub.Hub.UNSIGNED_COMMIT_ERROR, 'should flag unsigned commits');
+  equals(hub.Hub.checkSignature(version, "erich@example.com", signature, null), hub.Hub.UNKNOWN_ACTOR_ERROR, 'should flag commits by unknown actors');
+});
+
+test("forged commits", function() {
+  var other = hub.schnorr.keyPair(),
+      forged = hub.schnorr.sign(version, other.privateKey),
+      otherVersion = hub.Hub.commitKey("commit", "erich@example.com", "data", "[]", 1) ;
+  equals(hub.Hub.checkSignature(version, "erich@example.com", forged, keys.publicKey), hub.Hub.FORGED_COMMIT_ERROR, 'should reject a signature by someone else');
+  equals(hub.Hub.checkSignature(otherVersion, "erich@example.com", hub.schnorr.sign(version, keys.privateKey), keys.publicKey), hub.Hub.FORGED_COMMIT_ERROR, 'should reject a signature of another commit');
+});
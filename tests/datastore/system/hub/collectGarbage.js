@@ -0,0 +1,69 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var commits, metaRows, dataRows ;
+
+module("hub.Hub.collectGarbage", {
+  setup: function() {
+    // c1: store s1 -> type y1 -> records r1, r2
+    // c2: store s2 -> type y2 -> records r1, r3
+    // an abandoned commit left s3 -> y3 -> r4 behind
+    commits = {
+      c1: { key: 'c1', data_key: 's1', ancestors: [] },
+      c2: { key: 'c2', data_key: 's2', ancestors: ['c1'] }
+    };
+    metaRows = [
+      { key: 'm1', source: 's1', target: 'y1' },
+      { key: 'm2', source: 'y1', target: 'r1' },
+      { key: 'm3', source: 'y1', target: 'r2' },
+      { key: 'm4', source: 's2', target: 'y2' },
+      { key: 'm5', source: 'y2', target: 'r1' },
+      { key: 'm6', source: 'y2', target: 'r3' },
+      { key: 'm7', source: 's3', target: 'y3' },
+      { key: 'm8', source: 'y3', target: 'r4' }
+    ];
+    dataRows = [
+      { key: 's1', storage: 0, size: 7 },
+      { key: 's2', storage: 0, size: 7 },
+      { key: 's3', storage: 0, size: 7 },
+      { key: 'y1', storage: 0, size: 10 },
+      { key: 'y2', storage: 0, size: 10 },
+      { key: 'y3', storage: 0, size: 10 },
+      { key: 'r1', storage: 10, size: 10 },
+      { key: 'r2', storage: 20, size: 20 },
+      { key: 'r3', storage: 30, size: 30 },
+      { key: 'r4', storage: 40, size: 40 }
+    ];
+  }
+});
+
+test("unreachable rows", function() {
+  var garbage = hub.Hub.collectGarbage(commits, metaRows, dataRows);
+  
+  same(garbage.data.sort(), ['r4', 's3', 'y3'], 'should find the unreachable data');
+  same(garbage.metaData.sort(), ['m7', 'm8'], 'should find the unreachable meta data');
+  equals(garbage.bytes, 57, 'should add up the bytes of the unreachable data');
+});
+
+test("storage counts", function() {
+  var storage = hub.Hub.collectGarbage(commits, metaRows, dataRows).storage;
+  
+  equals(storage.c1.total_storage, 30, 'c1 reaches r1 and r2');
+  equals(storage.c1.commit_storage, 30, 'the root commit adds everything it reaches');
+  equals(storage.c1.history_storage, 30, 'the root commit has no ancestors');
+  equals(storage.c2.total_storage, 40, 'c2 reaches r1 and r3');
+  equals(storage.c2.commit_storage, 30, 'c2 adds only r3');
+  equals(storage.c2.history_storage, 60, 'the history holds r1, r2 and r3');
+});
+
+test("nothing to collect", function() {
+  var garbage = hub.Hub.collectGarbage({}, [], []);
+  
+  equals(garbage.data.length, 0, 'should find no data');
+  equals(garbage.metaData.length, 0, 'should find no meta data');
+  equals(garbage.bytes, 0, 'should reclaim nothing');
+});
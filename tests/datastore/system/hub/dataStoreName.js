@@ -0,0 +1,18 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+module("hub.Hub.dataStoreName");
+
+test("hubs", function() {
+  equals(hub.Hub.dataStoreName({ key: 'h1', meta_data: "" }), 'h1', 'should keep a hub in its own database');
+  equals(hub.Hub.dataStoreName({ key: 'h1', meta_data: null }), 'h1', 'should allow missing meta data');
+});
+
+test("forks", function() {
+  var fork = { key: 'h2', forked_from: 'h1', meta_data: JSON.stringify({ db: 'h1' }) };
+  equals(hub.Hub.dataStoreName(fork), 'h1', 'should keep a fork in the database it was forked from');
+});
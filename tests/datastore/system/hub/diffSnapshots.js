@@ -0,0 +1,57 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var before, after ;
+
+module("hub.Hub.diffSnapshots", {
+  setup: function() {
+    before = {
+      "App.Task": {
+        t1: { id: "t1", name: "Write me", done: false },
+        t2: { id: "t2", name: "Delete me" },
+        t3: { id: "t3", name: "Leave me" }
+      },
+      "App.Note": {
+        n1: { id: "n1", body: "unchanged" }
+      }
+    };
+    after = {
+      "App.Task": {
+        t1: { id: "t1", name: "Write me", done: true, due: 12 },
+        t3: { id: "t3", name: "Leave me" },
+        t4: { id: "t4", name: "New" }
+      },
+      "App.Note": {
+        n1: { id: "n1", body: "unchanged" }
+      }
+    };
+  }
+});
+
+test("changed records", function() {
+  var diff = hub.Hub.diffSnapshots(before, after),
+      tasks = diff["App.Task"];
+  
+  same(hub.keys(tasks.created), ["t4"], 'should list created records');
+  same(tasks.created.t4, after["App.Task"].t4, 'should include the created data hash');
+  same(hub.keys(tasks.destroyed), ["t2"], 'should list destroyed records');
+  same(hub.keys(tasks.updated), ["t1"], 'should list only the updated records');
+  same(tasks.updated.t1.done, { before: false, after: true }, 'should include before and after values');
+  equals(tasks.updated.t1.due.before, undefined, 'should have an undefined before value for added attributes');
+  equals(tasks.updated.t1.due.after, 12, 'should have the after value for added attributes');
+  ok(!tasks.updated.t1.name, 'should not list unchanged attributes');
+});
+
+test("unchanged record types", function() {
+  ok(!hub.Hub.diffSnapshots(before, after)["App.Note"], 'should leave out record types without changes');
+  same(hub.Hub.diffSnapshots(before, before), {}, 'should be empty for identical snapshots');
+});
+
+test("record types that come and go", function() {
+  same(hub.keys(hub.Hub.diffSnapshots({}, after)["App.Note"].created), ["n1"], 'should create every record of a new record type');
+  same(hub.keys(hub.Hub.diffSnapshots(before, {})["App.Note"].destroyed), ["n1"], 'should destroy every record of a removed record type');
+});
@@ -0,0 +1,39 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var commits, store ;
+
+var keysOf = function(list) {
+  return list.map(function(commit) { return commit.key; }).join();
+};
+
+module("hub.Hub.filterCommits", {
+  setup: function() {
+    store = hub.Store.create() ;
+    commits = [
+      { key: 'c3', committer: 'erich@example.com', device: 'laptop' },
+      { key: 'c2', committer: 'ann@example.com', device: 'phone' },
+      { key: 'c1', committer: 'erich@example.com', device: 'phone' },
+      { key: 'c0', committer: null, device: null }
+    ];
+  }
+});
+
+test("by actor", function() {
+  var erich = store.createRecord(hub.Actor, { email: 'erich@example.com', name: 'Erich' }) ;
+  equals(erich.get('id'), 'erich@example.com', 'should identify actors by email');
+  equals(keysOf(hub.Hub.filterCommits(commits, { actor: erich })), 'c3,c1', 'should list the commits by an actor');
+  equals(keysOf(hub.Hub.filterCommits(commits, { actor: 'ann@example.com' })), 'c2', 'should take an actor id');
+  equals(keysOf(hub.Hub.filterCommits(commits, { committer: 'ann@example.com' })), 'c2', 'should take a committer');
+});
+
+test("by device", function() {
+  var phone = store.createRecord(hub.Device, { name: 'Phone', platform: 'iPhone' }, 'phone') ;
+  equals(keysOf(hub.Hub.filterCommits(commits, { device: phone })), 'c2,c1', 'should list the commits made on a device');
+  equals(keysOf(hub.Hub.filterCommits(commits, { device: 'phone', actor: 'erich@example.com' })), 'c1', 'should filter on both');
+  equals(keysOf(hub.Hub.filterCommits(commits, {})), 'c3,c2,c1,c0', 'should list every commit without a filter');
+});
@@ -0,0 +1,21 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+module("hub.Hub.hubFromRow");
+
+test("hubs", function() {
+  var entry = hub.Hub.hubFromRow({ key: 'h1', name: 'Main', head: 'c1', forked_from: "", is_private: 0, is_archived: "0", meta_data: JSON.stringify({ storage: 42 }) });
+  same(entry, { key: 'h1', name: 'Main', head: 'c1', forkedFrom: null, isPrivate: false, isArchived: false, storage: 42 }, 'should describe the hub');
+});
+
+test("flags", function() {
+  var entry = hub.Hub.hubFromRow({ key: 'h2', name: 'Fork', head: null, forked_from: 'h1', is_private: "1", is_archived: 1, meta_data: "" });
+  ok(entry.isPrivate, 'should read is_private');
+  ok(entry.isArchived, 'should read is_archived');
+  equals(entry.forkedFrom, 'h1', 'should read forked_from');
+  equals(entry.storage, 0, 'should default the storage to 0');
+});
@@ -0,0 +1,60 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var commits ;
+
+module("hub.Hub.leastCommonAncestor", {
+  setup: function() {
+    //        c2 -- c4
+    //       /         \
+    // c0 - c1          c6
+    //       \         /
+    //        c3 -- c5
+    commits = {
+      c0: { ancestors: [], created_on: 0 },
+      c1: { ancestors: ['c0'], created_on: 1 },
+      c2: { ancestors: ['c1'], created_on: 2 },
+      c3: { ancestors: ['c1'], created_on: 3 },
+      c4: { ancestors: ['c2'], created_on: 4 },
+      c5: { ancestors: ['c3'], created_on: 5 },
+      c6: { ancestors: ['c4', 'c5'], created_on: 6 },
+      x0: { ancestors: [], created_on: 7 }
+    };
+  }
+});
+
+test("diverged branches", function() {
+  equals(hub.Hub.leastCommonAncestor(commits, 'c4', 'c5'), 'c1', 'should find the fork point');
+  equals(hub.Hub.leastCommonAncestor(commits, 'c5', 'c4'), 'c1', 'should not depend on argument order');
+});
+
+test("linear history", function() {
+  equals(hub.Hub.leastCommonAncestor(commits, 'c4', 'c1'), 'c1', 'an ancestor is its own LCA');
+  equals(hub.Hub.leastCommonAncestor(commits, 'c2', 'c2'), 'c2', 'a commit is its own LCA');
+});
+
+test("merge commits", function() {
+  equals(hub.Hub.leastCommonAncestor(commits, 'c6', 'c5'), 'c5', 'should walk every ancestor of a merge');
+});
+
+test("criss-cross merges", function() {
+  commits.m1 = { ancestors: ['c2', 'c3'], created_on: 8 };
+  commits.m2 = { ancestors: ['c3', 'c2'], created_on: 9 };
+  equals(hub.Hub.leastCommonAncestor(commits, 'm1', 'm2'), 'c3', 'should pick the most recent of the best candidates');
+});
+
+test("unrelated histories", function() {
+  equals(hub.Hub.leastCommonAncestor(commits, 'c4', 'x0'), null, 'should return null');
+});
+
+module("hub.Hub.parseAncestors");
+
+test("parsing the ancestors column", function() {
+  same(hub.Hub.parseAncestors('["a","b"]'), ['a', 'b'], 'should parse JSON');
+  same(hub.Hub.parseAncestors('[null]'), [], 'should drop the root commit marker');
+  same(hub.Hub.parseAncestors(null), [], 'should handle a missing column');
+});
@@ -0,0 +1,37 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var committers ;
+
+module("hub.Hub.mayCommit", {
+  setup: function() {
+    committers = {
+      'erich@example.com': { committer: 'erich@example.com', isOwner: true, head: null },
+      'ann@example.com': { committer: 'ann@example.com', isOwner: false, head: 'c1' }
+    };
+  }
+});
+
+test("open hubs", function() {
+  ok(hub.Hub.mayCommit({}, 'bob@example.com'), 'should let anyone commit to a hub without committers');
+  ok(hub.Hub.mayCommit({}, null), 'should let anonymous actors commit to a hub without committers');
+  ok(!hub.Hub.isOwner({}, 'bob@example.com'), 'should not make anyone the owner of a hub without committers');
+});
+
+test("committers", function() {
+  ok(hub.Hub.mayCommit(committers, 'erich@example.com'), 'should let owners commit');
+  ok(hub.Hub.mayCommit(committers, 'ann@example.com'), 'should let committers commit');
+  ok(!hub.Hub.mayCommit(committers, 'bob@example.com'), 'should not let others commit');
+  ok(!hub.Hub.mayCommit(committers, null), 'should not let anonymous actors commit');
+  ok(!hub.Hub.mayCommit(committers, 'hasOwnProperty'), 'should not be fooled by property names');
+});
+
+test("owners", function() {
+  ok(hub.Hub.isOwner(committers, 'erich@example.com'), 'should know the owner');
+  ok(!hub.Hub.isOwner(committers, 'ann@example.com'), 'should not make committers owners');
+  ok(!hub.Hub.isOwner(committers, 'bob@example.com'), 'should not make others owners');
+});
@@ -0,0 +1,60 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var base, conflicts, pickA ;
+
+module("hub.Hub.mergeDataHashes", {
+  setup: function() {
+    base = { id: "rec1", name: "base", count: 1, tags: ["a"] };
+    conflicts = [];
+    pickA = function(key, baseValue, valueA, valueB) {
+      conflicts.push([key, baseValue, valueA, valueB]);
+      return valueA;
+    };
+  }
+});
+
+test("attributes changed on one side", function() {
+  var hashA = hub.merge(base, { name: "from A" }),
+      hashB = hub.merge(base, { count: 2 });
+  
+  same(hub.Hub.mergeDataHashes(base, hashA, hashB, pickA), { id: "rec1", name: "from A", count: 2, tags: ["a"] }, 'should take both changes');
+  equals(conflicts.length, 0, 'should not report a conflict');
+});
+
+test("attributes changed the same way on both sides", function() {
+  var hashA = hub.merge(base, { tags: ["a", "b"] }),
+      hashB = hub.merge(base, { tags: ["a", "b"] });
+  
+  same(hub.Hub.mergeDataHashes(base, hashA, hashB, pickA).tags, ["a", "b"], 'should keep the change');
+  equals(conflicts.length, 0, 'should not report a conflict');
+});
+
+test("attributes changed differently on both sides", function() {
+  var hashA = hub.merge(base, { name: "from A", count: 2 }),
+      hashB = hub.merge(base, { name: "from B" });
+  
+  same(hub.Hub.mergeDataHashes(base, hashA, hashB, pickA), { id: "rec1", name: "from A", count: 2, tags: ["a"] }, 'should use the resolved value');
+  equals(conflicts.length, 1, 'should report only the conflicting attribute');
+  same(conflicts[0], ["name", "base", "from A", "from B"], 'should pass the key, base value and both values');
+});
+
+test("added and removed attributes", function() {
+  var hashA = hub.merge(base, { color: "red" }),
+      hashB = hub.merge(base, {});
+  delete hashB.count;
+  
+  same(hub.Hub.mergeDataHashes(base, hashA, hashB, pickA), { id: "rec1", name: "base", color: "red", tags: ["a"] }, 'should add and remove attributes');
+});
+
+test("records created on both sides", function() {
+  var merged = hub.Hub.mergeDataHashes(null, { id: "rec1", name: "A" }, { id: "rec1", name: "B" }, function() {
+    return undefined;
+  });
+  
+  same(merged, { id: "rec1" }, 'should treat a missing base as empty, and drop attributes resolved to undefined');
+});
@@ -0,0 +1,81 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var commits, states ;
+
+module("hub.Hub.recordHistory", {
+  setup: function() {
+    // c0 (no record) - c1 (created) - c2 (name) - c3 (unrelated) - c4 (done)
+    //                                                            \
+    //                                                             c5 (destroyed)
+    commits = {
+      c0: { key: 'c0', committer: 'ann', ancestors: [], created_on: 0 },
+      c1: { key: 'c1', committer: 'ann', ancestors: ['c0'], created_on: 1 },
+      c2: { key: 'c2', committer: 'bob', ancestors: ['c1'], created_on: 2 },
+      c3: { key: 'c3', committer: 'cat', ancestors: ['c2'], created_on: 3 },
+      c4: { key: 'c4', committer: 'ann', ancestors: ['c3'], created_on: 4 },
+      c5: { key: 'c5', committer: 'bob', ancestors: ['c3'], created_on: 5 }
+    };
+    states = {
+      c1: { dataKey: 'd1', dataHash: { id: 't1', name: 'a', done: false }, editor: 'task1' },
+      c2: { dataKey: 'd2', dataHash: { id: 't1', name: 'b', done: false }, editor: 'task2' },
+      c3: { dataKey: 'd2', dataHash: { id: 't1', name: 'b', done: false }, editor: 'task2' },
+      c4: { dataKey: 'd4', dataHash: { id: 't1', name: 'b', done: true }, editor: 'task4' }
+    };
+  }
+});
+
+test("versions of a record", function() {
+  var history = hub.Hub.recordHistory(commits, states, 'c4');
+  
+  same(history.map(function(v) { return v.commit; }), ['c4', 'c2', 'c1'], 'should list only the commits that changed the record');
+  equals(history[1].committer, 'bob', 'should include the committer');
+  equals(history[1].created_on, 2, 'should include the commit time');
+  equals(history[1].editor, 'task2', 'should include the editor');
+  equals(history[1].dataHash.name, 'b', 'should include the data hash');
+  ok(!history[0].destroyed, 'should not be destroyed');
+});
+
+test("destroyed records", function() {
+  var history = hub.Hub.recordHistory(commits, states, 'c5');
+  
+  equals(history[0].commit, 'c5', 'should list the commit that destroyed the record');
+  ok(history[0].destroyed, 'should be marked destroyed');
+  equals(history[0].dataHash, null, 'should not have a data hash');
+  equals(history.length, 3, 'should list the earlier versions too');
+});
+
+module("hub.Hub.blameRecord", {
+  setup: function() {
+    commits = {
+      c1: { key: 'c1', committer: 'ann', ancestors: [], created_on: 1 },
+      c2: { key: 'c2', committer: 'bob', ancestors: ['c1'], created_on: 2 },
+      c3: { key: 'c3', committer: 'cat', ancestors: ['c1'], created_on: 3 },
+      m4: { key: 'm4', committer: 'ann', ancestors: ['c2', 'c3'], created_on: 4 }
+    };
+    states = {
+      c1: { dataKey: 'd1', dataHash: { id: 't1', name: 'a', done: false }, editor: 'task1' },
+      c2: { dataKey: 'd2', dataHash: { id: 't1', name: 'b', done: false }, editor: 'task2' },
+      c3: { dataKey: 'd3', dataHash: { id: 't1', name: 'a', done: true }, editor: 'task3' },
+      m4: { dataKey: 'd4', dataHash: { id: 't1', name: 'b', done: true }, editor: 'task4' }
+    };
+  }
+});
+
+test("attributes changed across a merge", function() {
+  var blame = hub.Hub.blameRecord(commits, states, 'm4');
+  
+  equals(blame.id.commit, 'c1', 'id was set when the record was created');
+  equals(blame.name.commit, 'c2', 'name was changed on one side of the merge');
+  equals(blame.name.committer, 'bob', 'should include the committer');
+  equals(blame.done.commit, 'c3', 'done was changed on the other side of the merge');
+  equals(blame.done.value, true, 'should include the current value');
+});
+
+test("missing records", function() {
+  equals(hub.Hub.blameRecord(commits, {}, 'm4'), null, 'should be null');
+});
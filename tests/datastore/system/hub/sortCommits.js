@@ -0,0 +1,42 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var commits ;
+
+var keysOf = function(list) {
+  return list.map(function(commit) { return commit.key; });
+};
+
+module("hub.Hub.sortCommits", {
+  setup: function() {
+    // c0 - c1 - c2 ------ c4
+    //        \           /
+    //         c3(old) --
+    commits = {
+      c0: { key: 'c0', ancestors: [], created_on: 0 },
+      c1: { key: 'c1', ancestors: ['c0'], created_on: 10 },
+      c2: { key: 'c2', ancestors: ['c1'], created_on: 30 },
+      c3: { key: 'c3', ancestors: ['c1'], created_on: 5 },
+      c4: { key: 'c4', ancestors: ['c2', 'c3'], created_on: 40 },
+      x0: { key: 'x0', ancestors: [], created_on: 50 }
+    };
+  }
+});
+
+test("topological order", function() {
+  same(keysOf(hub.Hub.sortCommits(commits, 'c4', hub.Hub.TOPO_ORDER)), ['c4', 'c2', 'c3', 'c1', 'c0'], 'should list every commit before its ancestors');
+  same(keysOf(hub.Hub.sortCommits(commits, 'c4')), ['c4', 'c2', 'c3', 'c1', 'c0'], 'should default to topological order');
+});
+
+test("date order", function() {
+  same(keysOf(hub.Hub.sortCommits(commits, 'c4', hub.Hub.DATE_ORDER)), ['c4', 'c2', 'c1', 'c3', 'c0'], 'should list commits newest first');
+});
+
+test("starting point", function() {
+  same(keysOf(hub.Hub.sortCommits(commits, 'c3')), ['c3', 'c1', 'c0'], 'should only list commits reachable from the starting point');
+  same(hub.Hub.sortCommits(commits, 'missing'), [], 'should list nothing for an unknown commit');
+});
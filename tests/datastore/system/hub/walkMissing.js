@@ -0,0 +1,64 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var remote, local, lookups ;
+
+// Answers synchronously, like a remote that has the commits in `remote`.
+var lookup = function(keys, done) {
+  var ret = {} ;
+  lookups.push(keys.slice().sort().join()) ;
+  keys.forEach(function(key) { ret[key] = remote[key] || null ; }) ;
+  done(ret) ;
+};
+
+var isLocal = function(key) { return !!local[key] ; };
+
+var walk = function(keys) {
+  var ret ;
+  hub.Hub.walkMissing(keys, isLocal, lookup, function(missing) { ret = missing ; }) ;
+  return ret ;
+};
+
+module("hub.Hub.walkMissing", {
+  setup: function() {
+    // c0 - c1 - c2 - c4     (local has c0 and c1)
+    //         \     /
+    //          c3 --
+    remote = {
+      c0: { key: 'c0', ancestors: [], created_on: 0 },
+      c1: { key: 'c1', ancestors: ['c0'], created_on: 10 },
+      c2: { key: 'c2', ancestors: ['c1'], created_on: 20 },
+      c3: { key: 'c3', ancestors: ['c1'], created_on: 30 },
+      c4: { key: 'c4', ancestors: ['c2', 'c3'], created_on: 40 }
+    };
+    local = { c0: true, c1: true } ;
+    lookups = [] ;
+  }
+});
+
+test("finding missing commits", function() {
+  equals(hub.keys(walk(['c4'])).sort().join(), 'c2,c3,c4', 'should find every commit down to the ones already known');
+  equals(lookups.join('|'), 'c4|c2,c3', 'should look up one generation at a time');
+});
+
+test("nothing missing", function() {
+  equals(hub.keys(walk(['c1'])).length, 0, 'should find nothing when the heads are known');
+  equals(lookups.length, 0, 'should not look anything up');
+  equals(hub.keys(walk([])).length, 0, 'should find nothing without heads');
+});
+
+test("unknown commits", function() {
+  equals(hub.keys(walk(['c4', 'x9'])).sort().join(), 'c2,c3,c4', 'should skip commits the lookup does not return');
+});
+
+test("errors", function() {
+  var ret ;
+  hub.Hub.walkMissing(['c4'], isLocal, function(keys, done) {
+    done(hub.SyncTransport.NOT_IMPLEMENTED_ERROR) ;
+  }, function(missing) { ret = missing ; }) ;
+  equals(ret, hub.SyncTransport.NOT_IMPLEMENTED_ERROR, 'should call back with the lookup error');
+});
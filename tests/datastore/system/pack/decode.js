@@ -0,0 +1,133 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var json, recordKey, typeKey, storeKey, commitKey ;
+
+var link = function(name, source, target, targetUti) {
+  var fields = {
+    name: name, meta_uti: "com.hub.link", meta_creator: "task", meta_editor: "",
+    target_uti: targetUti, target_creator: "task", target_editor: "",
+    target_position: -1, storage: 0, source: source, target: target, data_key: ''
+  } ;
+  return { pk: hub.Hub.metaDataKey(hub.mixin({}, fields, { data: '' }), true), model: "MetaData", fields: fields } ;
+};
+
+// builds a good pack into json, and the keys of its items
+var fixture = function() {
+  var bytes = JSON.stringify({ id: "t1", name: "a" }),
+      recordLink, typeLink, ancestors = JSON.stringify([]) ;
+  
+  recordKey = hub.SHA256(bytes) ;
+  recordLink = link("t1", null, recordKey, "com.hub.instance") ;
+  typeKey = hub.SHA256(JSON.stringify("App.Task") + hub.Pack.linkKey(recordLink.fields)) ;
+  recordLink.fields.source = typeKey ;
+  recordLink.pk = hub.Hub.metaDataKey(hub.mixin({}, recordLink.fields, { data: '' }), true) ;
+  typeLink = link("App.Task", null, typeKey, "com.hub.record") ;
+  storeKey = hub.SHA256(JSON.stringify("store") + hub.Pack.linkKey(typeLink.fields)) ;
+  typeLink.fields.source = storeKey ;
+  typeLink.pk = hub.Hub.metaDataKey(hub.mixin({}, typeLink.fields, { data: '' }), true) ;
+  commitKey = hub.Hub.commitKey("commit", "ann", storeKey, ancestors, 1000) ;
+  
+  json = {
+    format: hub.Pack.FORMAT,
+    version: commitKey,
+    items: [
+      { pk: recordKey, model: "Data", fields: { bytes: bytes, storage: bytes.length, created_on: 1000 } },
+      { pk: typeKey, model: "Data", fields: { bytes: JSON.stringify("App.Task"), storage: 0, created_on: 1000, links: [hub.Pack.linkKey(recordLink.fields)] } },
+      { pk: storeKey, model: "Data", fields: { bytes: JSON.stringify("store"), storage: 7, created_on: 1000, links: [hub.Pack.linkKey(typeLink.fields)] } },
+      recordLink,
+      typeLink,
+      { pk: commitKey, model: "Commit", fields: { name: "commit", committer: "ann", data_key: storeKey, ancestors: ancestors, created_on: 1000 } }
+    ]
+  } ;
+};
+
+module("hub.Pack.decode", {
+  setup: fixture
+});
+
+test("a good pack", function() {
+  var pack = hub.Pack.decode(JSON.stringify(json)) ;
+  
+  ok(hub.ok(pack), 'should decode') ;
+  equals(pack.version, commitKey, 'should have the version') ;
+  equals(pack.items.length, 6, 'should have the items') ;
+  equals(pack.missingKeys.length, 0, 'should carry everything it refers to') ;
+  equals(pack.verifyWith({}), true, 'should verify') ;
+  equals(JSON.stringify(pack.encode()), JSON.stringify(json), 'should encode back to the same pack') ;
+});
+
+test("format header", function() {
+  delete json.format ;
+  equals(hub.Pack.decode(json).code, hub.Pack.UNSUPPORTED_FORMAT, 'a pack without a format is refused') ;
+  json.format = 99 ;
+  equals(hub.Pack.decode(json).code, hub.Pack.UNSUPPORTED_FORMAT, 'a pack in a later format is refused') ;
+  equals(hub.Pack.decode("{not json").code, hub.Pack.MALFORMED, 'bad JSON is refused') ;
+  equals(hub.Pack.decode([]).code, hub.Pack.MALFORMED, 'an old style array of items is refused') ;
+});
+
+test("tampered items", function() {
+  var error ;
+  
+  json.items[0].fields.bytes = JSON.stringify({ id: "t1", name: "evil" }) ;
+  error = hub.Pack.decode(json) ;
+  equals(error.code, hub.Pack.KEY_MISMATCH, 'changed record bytes are caught') ;
+  equals(error.get('errorValue'), recordKey, 'the error names the bad item') ;
+  ok(error.get('message').indexOf(recordKey) >= 0, 'the message names the bad item') ;
+  
+  fixture() ;
+  json.items[3].fields.name = "t2" ;
+  equals(hub.Pack.decode(json).code, hub.Pack.KEY_MISMATCH, 'changed meta data is caught') ;
+  
+  fixture() ;
+  json.items[5].fields.committer = "mallory" ;
+  equals(hub.Pack.decode(json).code, hub.Pack.KEY_MISMATCH, 'a changed committer is caught') ;
+  
+  fixture() ;
+  json.items[1].fields.links = [] ;
+  equals(hub.Pack.decode(json).code, hub.Pack.KEY_MISMATCH, 'dropped links are caught') ;
+});
+
+test("missing commit", function() {
+  json.items.pop() ;
+  equals(hub.Pack.decode(json).code, hub.Pack.MISSING_COMMIT, 'a pack without its commit is refused') ;
+});
+
+test("references to data the receiver has", function() {
+  var pack, error ;
+  
+  json.items.shift() ; // the receiver already has the record
+  pack = hub.Pack.decode(json) ;
+  ok(hub.ok(pack), 'should decode') ;
+  same(pack.missingKeys, [recordKey], 'should list the record') ;
+  
+  error = pack.verifyWith({}) ;
+  equals(error.code, hub.Pack.MISSING_REFERENCE, 'should not verify if the receiver lacks it') ;
+  
+  ok(pack.verifyWith({ recordKey: null }) !== true, 'should need the right key') ;
+  equals(pack.verifyWith(hub.mixin({}, (function() { var h = {} ; h[recordKey] = "{}" ; return h ; })())), true, 'should verify if the receiver has it') ;
+});
+
+test("chunked records", function() {
+  var chunks = ['{"id":"t1",', '"name":"a"}'],
+      chunkKeys = chunks.map(function(c) { return hub.SHA256(c) ; }),
+      pack, bytesByKey = {} ;
+  
+  json.items[0].fields.bytes = null ;
+  json.items[0].fields.chunks = chunkKeys ;
+  json.items.push({ pk: chunkKeys[0], model: "Data", fields: { bytes: chunks[0], storage: 11, created_on: 1000 } }) ;
+  json.items.push({ pk: chunkKeys[1], model: "Data", fields: { bytes: chunks[1], storage: 11, created_on: 1000 } }) ;
+  ok(hub.ok(hub.Pack.decode(json)), 'should verify chunks it carries') ;
+  
+  json.items.pop() ; // the receiver already has the last chunk
+  pack = hub.Pack.decode(json) ;
+  same(pack.missingKeys, [chunkKeys[1]], 'should list the chunk it does not carry') ;
+  bytesByKey[chunkKeys[1]] = chunks[1] ;
+  equals(pack.verifyWith(bytesByKey), true, 'should verify with the receiver\'s chunk') ;
+  bytesByKey[chunkKeys[1]] = '"name":"evil"}' ;
+  equals(pack.verifyWith(bytesByKey).code, hub.Pack.KEY_MISMATCH, 'should catch chunks that do not add up') ;
+});
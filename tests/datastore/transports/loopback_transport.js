@@ -0,0 +1,113 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same stop start */
+
+var Todo, remote, FAILED = hub.Error.desc("Failed") ;
+
+// calls `func` once every hub in `hubs` has started up
+var whenSetUp = function(hubs, func) {
+  if (hubs.every(function(aHub) { return aHub._hub.setup ; })) func() ;
+  else setTimeout(function() { whenSetUp(hubs, func) ; }, 10) ;
+};
+
+var commit = function(aHub, func) {
+  aHub.commitRecords(undefined, undefined, undefined, { onFinish: func }) ;
+};
+
+var create = function(name, transport) {
+  return hub.Hub.create({ uti: "com.example.loopback." + name, databaseType: hub.MemoryDatabase, transport: transport }) ;
+};
+
+module("hub.LoopbackTransport", {
+  setup: function() {
+    // class names are only looked up in browsers
+    hub.isReady = true ;
+    Todo = {} ;
+    Todo.Task = hub.Record.extend({ name: hub.Record.attr(String) }) ;
+    Todo.Task._hub_object_className = "Todo.Task" ;
+    remote = hub.LoopbackTransport.create() ;
+  }
+});
+
+test("sync", function() {
+  var hubA = create("sync.a", remote), hubB = create("sync.b", remote) ;
+  stop(5000) ;
+  whenSetUp([hubA, hubB], function() {
+    hubA.createRecord(Todo.Task, { id: 'l1', name: "one" }) ;
+    commit(hubA, function(v1) {
+      hubA.sync(function() {
+        same(remote.commitKeys, [v1], 'should push the commit');
+        hubB.sync(function(ret) {
+          same(ret.pulled, [v1], 'should pull the commit');
+          equals(hubB.get('currentCommit'), v1, 'should move to the pulled commit');
+          equals(hubB.find(Todo.Task, 'l1').get('name'), "one", 'should have the pulled records');
+          hubB.sync(function(ret) {
+            ok(ret.pulled.length === 0 && ret.pushed.length === 0, 'should have nothing left to sync');
+            start() ;
+          });
+        });
+      });
+    });
+  });
+});
+
+test("sendPack and getPack", function() {
+  var hubA = create("pack.a", null), hubB = create("pack.b", remote) ;
+  stop(5000) ;
+  whenSetUp([hubA, hubB], function() {
+    hubA.createRecord(Todo.Task, { id: 'l2', name: "two" }) ;
+    commit(hubA, function(vA) {
+      hubB.createRecord(Todo.Task, { id: 'l3', name: "three" }) ;
+      commit(hubB, function(vB) {
+        hubA.set('transport', remote) ;
+        hubA.sendPack(vA, null, function(ret) {
+          equals(ret, true, 'should send the pack');
+          ok(remote.commitKeys.indexOf(vA) >= 0, 'should hand the pack to the remote');
+          hubB.getPack(vA, true, function(ret) {
+            equals(ret, vA, 'should receive the pack');
+            hubB.log(null, function(commits) {
+              same(commits[0].ancestors, [vB, vA], 'should merge the pack into the current commit');
+              equals(hubB.find(Todo.Task, 'l2').get('name'), "two", 'should have the records of the pack');
+              equals(hubB.find(Todo.Task, 'l3').get('name'), "three", 'should keep its own records');
+              start() ;
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+test("transport errors", function() {
+  var failing = hub.LoopbackTransport.create({
+        getHeads: function(aHub, callback) { this._hub_later(callback, FAILED) ; },
+        sendPack: function(aHub, version, pack, callback) { this._hub_later(callback, FAILED) ; }
+      }),
+      aHub = create("errors", failing),
+      lonely = create("errors.none", null) ;
+  stop(5000) ;
+  whenSetUp([aHub, lonely], function() {
+    aHub.getPack(new Array(65).join("c"), false, function(ret) {
+      equals(ret, hub.LoopbackTransport.PACK_NOT_FOUND_ERROR, 'should pass on a missing pack');
+      aHub.sync(function(ret) {
+        equals(ret, FAILED, 'should pass on a failed sync');
+        aHub.createRecord(Todo.Task, { id: 'l4', name: "four" }) ;
+        commit(aHub, function(version) {
+          aHub.sendPack(version, null, function(ret) {
+            equals(ret, FAILED, 'should pass on a failed push');
+            lonely.sync(function(ret) {
+              equals(ret, hub.Hub.NO_TRANSPORT_ERROR, 'should need a transport to sync');
+              lonely.getPack(version, false, function(ret) {
+                equals(ret, hub.Hub.NO_TRANSPORT_ERROR, 'should need a transport to get packs');
+                start() ;
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same stop start process */
+
+// test files don't get a require of their own; run from the top of the tree
+var nodeRequire = process.mainModule.require,
+    fs = nodeRequire('fs'),
+    packServer = nodeRequire(process.cwd() + "/lib/pack_server"),
+    Todo, server, transport, directory ;
+
+// starts `server` on a port of its own, and points `transport` at it
+var listen = function(func) {
+  server.listen(0, "127.0.0.1", function() {
+    transport = hub.HTTPTransport.create({ baseUrl: "http://127.0.0.1:" + server.address().port }) ;
+    func() ;
+  });
+};
+
+// commits a new task on `aHub` and syncs it to the server
+var push = function(aHub, id, func) {
+  aHub.createRecord(Todo.Task, { id: id, name: id }) ;
+  aHub.commitRecords(undefined, undefined, undefined, { onFinish: function(version) {
+    aHub.sync(function(ret) { func(version, ret) ; }) ;
+  }});
+};
+
+var whenSetUp = function(aHub, func) {
+  if (aHub._hub.setup) func() ;
+  else setTimeout(function() { whenSetUp(aHub, func) ; }, 10) ;
+};
+
+module("lib/pack_server.js", {
+  setup: function() {
+    hub.isReady = true ;
+    Todo = {} ;
+    Todo.Task = hub.Record.extend({ name: hub.Record.attr(String) }) ;
+    Todo.Task._hub_object_className = "Todo.Task" ;
+    directory = (process.env.TMPDIR || "/tmp") + "/hub-packs-" + hub.uuid() ;
+    server = null ;
+  },
+
+  teardown: function() {
+    if (server) server.close() ;
+    if (!fs.existsSync(directory)) return ;
+    fs.readdirSync(directory).forEach(function(name) { fs.unlinkSync(directory + "/" + name) ; }) ;
+    fs.rmdirSync(directory) ;
+  }
+});
+
+test("pushing and reading back packs", function() {
+  server = packServer.createServer() ;
+  stop(5000) ;
+  listen(function() {
+    var aHub = hub.Hub.create({ uti: "com.example.packs.push", databaseType: hub.MemoryDatabase, transport: transport }) ;
+    whenSetUp(aHub, function() {
+      push(aHub, 'p1', function(version, ret) {
+        ok(hub.ok(ret), 'should sync');
+        transport.getCommitKeys(aHub, function(keys) {
+          same(keys, [version], 'should list the pushed commit');
+          transport.getPack(aHub, version, function(pack) {
+            equals(hub.Pack.decode(pack).version, version, 'should read back the pack');
+            start() ;
+          });
+        });
+      });
+    });
+  });
+});
+
+test("malformed packs", function() {
+  var key = new Array(65).join("a") ;
+  server = packServer.createServer() ;
+  stop(5000) ;
+  listen(function() {
+    transport.sendPack(null, key, { items: "nonsense" }, function(ret) {
+      ok(!hub.ok(ret) && ret.code >= 400 && ret.code < 500, 'should be refused with a 4xx');
+      transport.getCommitKeys(null, function(keys) {
+        same(keys, [], 'should not be kept');
+        transport.getPack(null, key, function(ret) {
+          equals(ret.code, 404, 'should not be found');
+          start() ;
+        });
+      });
+    });
+  });
+});
+
+test("restarting", function() {
+  server = packServer.createServer(directory) ;
+  stop(5000) ;
+  listen(function() {
+    var aHub = hub.Hub.create({ uti: "com.example.packs.restart", databaseType: hub.MemoryDatabase, transport: transport }) ;
+    whenSetUp(aHub, function() {
+      push(aHub, 'r1', function(v1) {
+        push(aHub, 'r2', function(v2) {
+          var later = new Date(Date.now() + 60000) ;
+          // the order must not come from the files' times
+          fs.utimesSync(directory + "/" + v1 + ".json", later, later) ;
+          same(new packServer.PackServer(directory).keys, [v1, v2], 'should keep the packs in the order they were pushed');
+          same(fs.readdirSync(directory).filter(function(name) { return (/\.tmp$/).test(name) ; }), [], 'should not leave temporary files');
+
+          fs.unlinkSync(directory + "/keys") ;
+          same(new packServer.PackServer(directory).keys.sort(), [v1, v2].sort(), 'should load packs the keys file misses');
+          start() ;
+        });
+      });
+    });
+  });
+});
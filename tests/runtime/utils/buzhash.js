@@ -0,0 +1,60 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same */
+
+var text ;
+
+module("hub.buzhash", {
+  setup: function() {
+    var words = [], seed = 7, i ;
+    for (i = 0; i < 8000; i++) {
+      seed = (seed * 69069 + 1) % 4294967296 ;
+      words.push((seed >>> 8).toString(36)) ;
+    }
+    text = words.join(" ") ;
+  }
+});
+
+test("hashing strings", function() {
+  equals(hub.buzhash(""), 0, 'the empty string hashes to 0') ;
+  equals(hub.buzhash("hub.js"), hub.buzhash("hub.js"), 'the same string hashes the same') ;
+  ok(hub.buzhash("hub.js") !== hub.buzhash("hub.jS"), 'different strings hash differently') ;
+  ok(hub.buzhash(text) >= 0 && hub.buzhash(text) <= 0xFFFFFFFF, 'hashes are unsigned 32-bit integers') ;
+});
+
+test("rolling the hash", function() {
+  var size = 48,
+      hash = hub.buzhash(text.slice(0, size)),
+      i ;
+  
+  for (i = size; i < 500; i++) {
+    hash = hub.buzhash.roll(hash, text.charAt(i - size), text.charAt(i), size) ;
+  }
+  equals(hash, hub.buzhash(text.slice(500 - size, 500)), 'should equal the hash of the last window') ;
+});
+
+test("chunking", function() {
+  var chunks = hub.buzhash.chunk(text),
+      options = hub.buzhash.CHUNK_OPTIONS ;
+  
+  equals(chunks.join(""), text, 'chunks join back up into the string') ;
+  ok(chunks.length > 1, 'a large string is split') ;
+  ok(chunks.slice(0, -1).every(function(c) { return c.length >= options.min && c.length <= options.max ; }), 'chunks are within the size limits') ;
+  same(hub.buzhash.chunk("small"), ["small"], 'a small string is one chunk') ;
+  same(hub.buzhash.chunk(""), [], 'the empty string has no chunks') ;
+});
+
+test("chunk boundaries depend on content", function() {
+  var edited = text.slice(0, 20000) + "an edit" + text.slice(20000),
+      before = hub.buzhash.chunk(text),
+      after = hub.buzhash.chunk(edited),
+      changed = after.filter(function(c) { return before.indexOf(c) < 0 ; }),
+      kept = before.filter(function(c) { return after.indexOf(c) >= 0 ; }) ;
+  
+  ok(changed.length > 0, 'the chunk with the edit changes') ;
+  ok(changed.length <= 2, 'only the chunks around the edit change') ;
+  ok(kept.length >= before.length - 2, 'the other chunks are shared') ;
+});
@@ -0,0 +1,54 @@
+// ==========================================================================
+// Project:   hub.js - cloud-friendly object graph sync
+// Copyright: ©2010 Erich Ocean.
+// License:   Licensed under an MIT license (see license.js).
+// ==========================================================================
+/*globals hub module test ok equals same BigInt */
+
+var keys, other ;
+
+module("hub.schnorr", {
+  setup: function() {
+    keys = hub.schnorr.keyPair() ;
+    other = hub.schnorr.keyPair() ;
+  }
+});
+
+test("keys", function() {
+  equals(keys.privateKey.length, 64, 'should make a 256-bit private key');
+  equals(keys.publicKey.length, 512, 'should make a 2048-bit public key');
+  equals(hub.schnorr.publicKey(keys.privateKey), keys.publicKey, 'should derive the public key from the private key');
+  ok(keys.privateKey !== other.privateKey, 'should make a new key each time');
+});
+
+test("signing", function() {
+  var signature = hub.schnorr.sign("commit", keys.privateKey) ;
+  equals(signature.length, 576, 'should make a fixed-size signature');
+  equals(hub.schnorr.sign("commit", keys.privateKey), signature, 'should sign the same message the same way');
+  ok(hub.schnorr.verify("commit", signature, keys.publicKey), 'should verify a signature');
+});
+
+test("forgeries", function() {
+  var signature = hub.schnorr.sign("commit", keys.privateKey),
+      last = signature.charAt(signature.length - 1) ;
+  ok(!hub.schnorr.verify("commit!", signature, keys.publicKey), 'should not verify another message');
+  ok(!hub.schnorr.verify("commit", signature, other.publicKey), 'should not verify with another key');
+  ok(!hub.schnorr.verify("commit", signature.slice(0, -1) + (last === "0" ? "1" : "0"), keys.publicKey), 'should not verify a changed signature');
+  ok(!hub.schnorr.verify("commit", null, keys.publicKey), 'should not verify a missing signature');
+  ok(!hub.schnorr.verify("commit", "abc", keys.publicKey), 'should not verify a malformed signature');
+});
+
+test("nonces", function() {
+  var signature = hub.schnorr.sign("hello", keys.privateKey),
+      x = BigInt("0x" + keys.privateKey),
+      q = (BigInt("0x" + hub.schnorr.P) - BigInt(1)) / BigInt(2),
+      e = BigInt("0x" + signature.slice(0, 64)),
+      s = BigInt("0x" + signature.slice(64)),
+      guess = (q - s) / e, found = false, d ;
+  for (d = -2; d <= 2; d++) {
+    if (guess + BigInt(d) === x) found = true ;
+  }
+  ok(!found, 'should not give the private key away as (q - s) / e');
+  ok(s.toString(2).length > 1024, 'should reduce s mod q');
+  ok(hub.schnorr.verify("hello", signature, keys.publicKey), 'should still verify');
+});